@@ -2,11 +2,35 @@
 
 const Homey = require('homey');
 const WhatwattAPI = require('../../lib/whatwattapi');
+const WhatwattSession = require('../../lib/session');
 const WhatwattEventStream = require('../../lib/eventstream');
+const WhatwattPoller = require('../../lib/poller');
 const {
-  updateCapability, setupCapability, convertPower, convertReport, updateMeterInformation, calculatePower, refreshDeviceIP,
+  updateCapability, setupCapability, convertPower, convertReport, updateMeterInformation, calculatePower, refreshDeviceIP, isValidNumber,
 } = require('../../lib/utils');
-const { DEFAULT_TIMEOUT, HEARTBEAT_TIMEOUT } = require('../../lib/constants');
+const ThresholdMonitor = require('../../lib/thresholds');
+const { getDayKey, shiftDay } = require('../../lib/periods');
+const PeakDemandTracker = require('../../lib/peakdemand');
+const EnergyCounters = require('../../lib/energycounters');
+const EnergyCost = require('../../lib/energycost');
+const VoltageMonitor = require('../../lib/voltagemonitor');
+const {
+  WhatwattError, AuthenticationError, TimeoutError, DeviceError, MalformedResponseError,
+} = require('../../lib/errors');
+const { createPinnedDispatcher, getCertificateMismatch } = require('../../lib/tls');
+const { createBackup, diffBackup, restoreBackup } = require('../../lib/backup');
+const { parseMQTTSettings, buildMQTTUpdate, getCopyableMQTTSettings } = require('../../lib/mqtt');
+const {
+  normalizeScanResults, parseWiFiSettings, parseEthernetSettings, buildWiFiUpdate, buildEthernetUpdate, isDisruptiveChange,
+} = require('../../lib/network');
+const { getEffectiveScalers, buildCustomScalers, previewScaledValues } = require('../../lib/scalers');
+const {
+  VARIABLE_CAPABILITY, flattenVariables, parseVariableSelection, toVariableId, validateVariableSelection, getVariableCapabilityId, getVariableTokenType,
+} = require('../../lib/variables');
+const {
+  DEFAULT_TIMEOUT, HEARTBEAT_TIMEOUT, DEFAULT_POLL_INTERVAL, DATA_STALE_TIMEOUT, DIAGNOSTICS_INTERVAL, FLOW_HYSTERESIS, EXPORT_START_POWER, EXPORT_STOP_POWER, EXPORT_DEBOUNCE,
+  MAX_CONFIG_BACKUPS, NETWORK_REDISCOVERY_DELAY, NETWORK_REDISCOVERY_ATTEMPTS, DEFAULT_VARIABLES_INTERVAL, STATE_SAVE_INTERVAL,
+} = require('../../lib/constants');
 
 /** Maps capability IDs to value extractors for live data updates. */
 const LIVE_DATA_CAPABILITIES = [
@@ -31,6 +55,103 @@ const LIVE_DATA_CAPABILITIES = [
   ['measure_power_factor', (d) => d.PF],
 ];
 
+/** Labels shown in device settings for the detected authentication scheme. */
+const AUTH_SCHEME_LABELS = {
+  digest: 'Digest',
+  basic: 'Basic',
+};
+
+/**
+ * Formats a duration as a short human-readable age for diagnostics.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatAge(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds} s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+/** Capability IDs holding the current per phase, indexed by phase number - 1. */
+const PHASE_CURRENT_CAPABILITIES = ['measure_current', 'measure_current.phase2', 'measure_current.phase3'];
+
+/** Headroom and overload alarm capabilities per phase, indexed by phase number - 1. */
+const PHASE_LOAD_CAPABILITIES = [1, 2, 3].map((phase) => ({
+  headroom: `measure_current.headroom_phase${phase}`,
+  headroomTitle: { en: `Headroom (Phase ${phase})`, nl: `Resterende ruimte (Fase ${phase})` },
+  alarm: `alarm_phase_overload.phase${phase}`,
+  alarmTitle: { en: `Overload (Phase ${phase})`, nl: `Overbelasting (Fase ${phase})` },
+}));
+
+/** Shown when the device presents a different certificate than the one trusted on first use. */
+const CERTIFICATE_MISMATCH_MESSAGE = 'The device certificate has changed - use Repair to trust the new certificate';
+
+/**
+ * Codes of the errors with their own message while the device is unavailable (see lib/errors),
+ * translated under device.unavailable in the locales.
+ */
+const UNAVAILABLE_CODES = ['authentication', 'timeout', 'unreachable', 'endpoint_disabled', 'device_error', 'malformed_response'];
+
+/** Peak demand capabilities and their titles, present while peak demand tracking is enabled. */
+const PEAK_DEMAND_CAPABILITIES = {
+  'measure_peak_demand.quarter': { en: 'Quarter-hour Average', nl: 'Kwartiergemiddelde' },
+  'measure_peak_demand.month': { en: 'Peak This Month', nl: 'Piek deze maand' },
+  'measure_peak_demand.average': { en: '12-month Average Peak', nl: 'Gemiddelde piek 12 maanden' },
+};
+
+/** Period energy capabilities, with the direction and period they show from EnergyCounters.getCounters(). */
+const ENERGY_COUNTER_CAPABILITIES = [
+  ['meter_power.imported_today', 'imported', 'today'],
+  ['meter_power.imported_yesterday', 'imported', 'yesterday'],
+  ['meter_power.imported_week', 'imported', 'week'],
+  ['meter_power.imported_month', 'imported', 'month'],
+  ['meter_power.imported_year', 'imported', 'year'],
+  ['meter_power.exported_today', 'exported', 'today'],
+  ['meter_power.exported_yesterday', 'exported', 'yesterday'],
+  ['meter_power.exported_week', 'exported', 'week'],
+  ['meter_power.exported_month', 'exported', 'month'],
+  ['meter_power.exported_year', 'exported', 'year'],
+];
+
+/** Cost capabilities with the period and amount they show from EnergyCost.getTotals(), and their titles. */
+const ENERGY_COST_CAPABILITIES = [
+  ['meter_cost.today', 'today', 'cost', { en: 'Energy Cost (Today)', nl: 'Energiekosten (Vandaag)' }],
+  ['meter_cost.month', 'month', 'cost', { en: 'Energy Cost (This Month)', nl: 'Energiekosten (Deze Maand)' }],
+  ['meter_revenue.today', 'today', 'revenue', { en: 'Feed-in Revenue (Today)', nl: 'Terugleveropbrengst (Vandaag)' }],
+  ['meter_revenue.month', 'month', 'revenue', { en: 'Feed-in Revenue (This Month)', nl: 'Terugleveropbrengst (Deze Maand)' }],
+];
+
+/** Labels used in logs and device settings for a voltage excursion type. */
+const VOLTAGE_TYPE_LABELS = {
+  over: 'Over-voltage',
+  under: 'Under-voltage',
+};
+
+/** Settings for the main fuse; saving any of them starts overload detection over. */
+const FUSE_SETTINGS = ['fuse_size', 'fuse_alarm_level', 'fuse_alarm_delay'];
+
+/** Settings that define the energy tariff; saving any of them applies the new tariff. */
+const TARIFF_SETTINGS = ['tariff_mode', 'import_price', 'import_price_low', 'import_price_high', 'export_price', 'standing_charge', 'currency'];
+
+/** Live data fields holding the lifetime meter total per energy direction. */
+const ENERGY_TOTALS = { imported: 'E_In', exported: 'E_Out' };
+
+/**
+ * Rounds a kW, kWh or money value to three decimals for capabilities and Flow tokens.
+ * @param {number} value - Power in kW, energy in kWh or an amount of money
+ * @returns {number}
+ */
+function roundMilli(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/** Settings that change how the device is reached; saving any of them re-validates the connection. */
+const CONNECTION_SETTINGS = ['https', 'port_override', 'username', 'password', 'timeout', 'heartbeat_timeout'];
+
 /**
  * whatwatt Go device driver for Homey.
  *
@@ -46,12 +167,70 @@ module.exports = class whatwattGoDevice extends Homey.Device {
     // Maintains reference to SSE stream for proper cleanup during device lifecycle
     this.eventStream = null;
 
+    // REST poller used as degraded data source while the SSE stream is unavailable
+    this.poller = null;
+    this._pollFailing = false;
+    this._connectionMode = 'stream';
+
+    // Address and auth state shared by the API client and the event stream, so auth detection
+    // and the Digest handshake happen once per device
+    this._session = null;
+    this._api = null;
+
+    // Connection health tracking shown in diagnostics and the connectivity alarm
+    this._lastDataAt = null;
+    this._lastError = null;
+    this._reconnectCount = 0;
+    this._hasConnected = false;
+    this._diagnosticsTimer = null;
+
+    // Shared TLS pinning for all HTTPS requests; mismatch details are kept for the repair view
+    this._dispatcher = null;
+    this._certificateMismatch = null;
+
+    // Set when the device rejects the stored password; all retries stop until the device is repaired
+    this._authenticationFailed = false;
+
     // Prevents async operations from executing after device removal to avoid errors
     this._isDeleted = false;
 
     // Tracks setup completion to defer live updates until capabilities are properly initialized
     this._setupCompleted = this.getSetting('_setupCompleted') || false;
     this.log(`Device setup completed flag: ${this._setupCompleted}`);
+
+    // Keeps debounce and hysteresis state for threshold Flow triggers across live samples
+    this._thresholds = new ThresholdMonitor({ hysteresis: FLOW_HYSTERESIS });
+
+    // Debounced export state; null until the first live sample has been seen
+    this._exporting = null;
+
+    // Looks for the device again after a WiFi or Ethernet change made from Homey
+    this._networkRediscoveryTimer = null;
+    this._networkRediscoveryDelay = NETWORK_REDISCOVERY_DELAY;
+
+    // Polls /api/v1/variables for the variables selected in settings; values and global Flow
+    // tokens are kept per variable name so changes can be detected between polls
+    this.variablesPoller = null;
+    this._variableValues = new Map();
+    this._variableTokens = new Map();
+
+    // Quarter-hour peak demand for capacity tariffs; null while disabled in settings. State is
+    // saved to the store periodically so the month peak and history survive app restarts
+    this._peakDemand = null;
+    this._peakDemandSavedAt = 0;
+
+    // Energy per day, week, month and year derived from the meter totals, saved to the store
+    // like the peak demand state
+    this._energyCounters = null;
+    this._energyCountersSavedAt = 0;
+
+    // Cost and feed-in revenue for today and this month; null while no tariff is set in settings
+    this._energyCost = null;
+    this._energyCostSavedAt = 0;
+
+    // Over- and under-voltage excursions per phase with a bounded event log and daily statistics
+    this._voltageMonitor = null;
+    this._voltageMonitorSavedAt = 0;
   }
 
   /**
@@ -63,11 +242,27 @@ module.exports = class whatwattGoDevice extends Homey.Device {
    */
   async onInit() {
     this.log('whatwatt Go Device has been initialized');
+    await this._movePasswordSetting()
+      .catch((error) => this.error('Failed to store the password from pairing:', error.message));
+    this._initVoltageMonitor();
+    this._startDiagnostics();
+    this._initVariables().catch((error) => this.error('Failed to set up device variables:', error.message));
+    this._initPeakDemand().catch((error) => this.error('Failed to set up peak demand tracking:', error.message));
+    this._initEnergyCounters();
+    this._initEnergyCost().catch((error) => this.error('Failed to set up energy cost:', error.message));
 
     try {
       await this._testConnection();
       await this._initializeEventStream();
     } catch (error) {
+      // A changed certificate will not be fixed by IP discovery; wait for the user to re-trust it
+      if (getCertificateMismatch(error)) {
+        await this.setUnavailable(CERTIFICATE_MISMATCH_MESSAGE);
+        return;
+      }
+      // Same for a rejected password; the user has to enter the correct one from the repair view
+      if (this._handleAuthenticationFailure(error)) return;
+
       this.log('Initial connection failed, attempting IP discovery and retry...');
 
       try {
@@ -82,12 +277,12 @@ module.exports = class whatwattGoDevice extends Homey.Device {
         } else {
           // IP discovery unsuccessful, mark device as unavailable without crashing
           this.log('IP discovery did not resolve connection issue, marking device as unavailable');
-          await this.setUnavailable('Device unreachable - check network connection and IP address');
+          await this.setUnavailable(this._getUnavailableMessage(error));
         }
       } catch (retryError) {
         this.error('Failed to recover from connection error:', retryError.message);
         // Mark device as unavailable to prevent initialization crashes
-        await this.setUnavailable('Device unreachable - check network connection and IP address');
+        await this.setUnavailable(this._getUnavailableMessage(retryError));
       }
     }
   }
@@ -118,7 +313,7 @@ module.exports = class whatwattGoDevice extends Homey.Device {
    */
   async _initCapabilities() {
     this.log('Setting up device capabilities');
-    const api = this._createAPI();
+    const api = this._getAPI();
     const data = await api.getReport();
 
     // Convert REST API response to standardized format for consistent processing
@@ -127,11 +322,11 @@ module.exports = class whatwattGoDevice extends Homey.Device {
     // Calculate net power values to handle bidirectional energy flow
     const powerData = calculatePower(sseData);
 
-    // convertReport returns watts; no additional conversion needed for setupCapability
-    await setupCapability(this, 'measure_power', powerData.total);
-    await setupCapability(this, 'measure_power.phase1', powerData.phase1);
-    await setupCapability(this, 'measure_power.phase2', powerData.phase2);
-    await setupCapability(this, 'measure_power.phase3', powerData.phase3);
+    // convertReport keeps SSE units (kW); convert to watts like live updates do
+    await setupCapability(this, 'measure_power', convertPower(powerData.total));
+    await setupCapability(this, 'measure_power.phase1', convertPower(powerData.phase1));
+    await setupCapability(this, 'measure_power.phase2', convertPower(powerData.phase2));
+    await setupCapability(this, 'measure_power.phase3', convertPower(powerData.phase3));
 
     await setupCapability(this, 'measure_voltage', sseData.V_P1);
     await setupCapability(this, 'measure_voltage.phase2', sseData.V_P2);
@@ -149,8 +344,15 @@ module.exports = class whatwattGoDevice extends Homey.Device {
     await setupCapability(this, 'meter_power.exported_tariff1', sseData.E_Out_T1);
     await setupCapability(this, 'meter_power.exported_tariff2', sseData.E_Out_T2);
 
-    await setupCapability(this, 'measure_power_reactive_in', sseData.rP_In);
-    await setupCapability(this, 'measure_power_reactive_out', sseData.rP_Out);
+    // Period counters are only kept for the totals the meter reports
+    const counters = this._energyCounters?.getCounters();
+    for (const [capability, direction, period] of ENERGY_COUNTER_CAPABILITIES) {
+      const hasTotal = isValidNumber(sseData[ENERGY_TOTALS[direction]]);
+      await setupCapability(this, capability, hasTotal ? roundMilli(counters?.[direction][period] ?? 0) : null);
+    }
+
+    await setupCapability(this, 'measure_power_reactive_in', convertPower(sseData.rP_In));
+    await setupCapability(this, 'measure_power_reactive_out', convertPower(sseData.rP_Out));
     await setupCapability(this, 'measure_power_factor', sseData.PF);
 
     this.log('Initial capability setup completed');
@@ -171,7 +373,7 @@ module.exports = class whatwattGoDevice extends Homey.Device {
    */
   async _initMeterInformation() {
     this.log('Setting up meter information');
-    const api = this._createAPI();
+    const api = this._getAPI();
     const systemInfo = await api.getSystemInfo();
 
     // Store meter details in device settings for future reference
@@ -185,14 +387,61 @@ module.exports = class whatwattGoDevice extends Homey.Device {
    *
    * Monitors for connection-related setting changes and reinitializes the
    * connection when credentials or network parameters are modified, allowing
-   * configuration updates without requiring device re-addition.
+   * configuration updates without requiring device re-addition. New connection
+   * values are tested against the device first so a typo cannot break a working setup.
    */
   async onSettings({ oldSettings, newSettings, changedKeys }) {
     this.log('whatwatt Go Device settings were changed:', changedKeys);
 
-    const connectionChanged = changedKeys.some((key) => ['https', 'username', 'password', 'timeout'].includes(key));
+    if (changedKeys.includes('variables_selected')) {
+      validateVariableSelection(parseVariableSelection(newSettings.variables_selected));
+    }
+
+    if (changedKeys.includes('voltage_low') || changedKeys.includes('voltage_high')) {
+      if (newSettings.voltage_low >= newSettings.voltage_high) {
+        throw new Error('The lower voltage limit must be below the upper voltage limit');
+      }
+      this._voltageMonitor?.setLimits({ low: newSettings.voltage_low, high: newSettings.voltage_high });
+    }
+
+    if (changedKeys.includes('poll_interval') && this.poller) {
+      this.poller.setInterval(this._getPollInterval(newSettings));
+    }
+
+    if (changedKeys.includes('variables_selected') || changedKeys.includes('variables_interval')) {
+      this._initVariables(newSettings).catch((error) => this.error('Failed to update device variables:', error.message));
+    }
+
+    if (changedKeys.some((key) => FUSE_SETTINGS.includes(key))) {
+      this._resetPhaseLoad(newSettings).catch((error) => this.error('Failed to update phase overload detection:', error.message));
+    }
+
+    if (changedKeys.some((key) => TARIFF_SETTINGS.includes(key))) {
+      this._initEnergyCost(newSettings).catch((error) => this.error('Failed to update energy cost:', error.message));
+    }
+
+    if (changedKeys.includes('peak_demand')) {
+      this._initPeakDemand(newSettings).catch((error) => this.error('Failed to update peak demand tracking:', error.message));
+    }
+
+    const connectionChanged = changedKeys.some((key) => CONNECTION_SETTINGS.includes(key));
 
     if (connectionChanged) {
+      // An empty password field means "keep the current password"
+      const passwordChanged = changedKeys.includes('password') && newSettings.password;
+      const password = passwordChanged ? newSettings.password : this._getPassword();
+
+      await this._validateConnectionSettings(newSettings, password);
+
+      if (passwordChanged) {
+        // Stored before anything connects with it. The field is emptied in the settings Homey
+        // saves when onSettings resolves, so the password never stays in the device settings.
+        await this.homey.settings.set(`password_${this.getData().id}`, password);
+        newSettings.password = '';
+        this.log('Updated password in ManagerSettings');
+        this._resumeAfterPasswordChange(newSettings);
+      }
+
       this.log('Connection settings changed, reinitializing...');
       await this._reinitializeConnection(newSettings);
       return 'Connection settings updated successfully';
@@ -209,11 +458,21 @@ module.exports = class whatwattGoDevice extends Homey.Device {
   async onDeleted() {
     this.log('whatwatt Go Device has been deleted');
     this._isDeleted = true;
+    this._stopPolling();
+    this._stopDiagnostics();
+    this._stopNetworkRediscovery();
+    this._stopVariablePolling();
+
+    // Global Flow tokens outlive the device otherwise
+    for (const name of [...this._variableTokens.keys()]) {
+      await this._unregisterVariableToken(name);
+    }
 
     if (this.eventStream) {
       this.eventStream.stop();
       this.eventStream = null;
     }
+    this._destroyAPI();
   }
 
   /**
@@ -225,11 +484,20 @@ module.exports = class whatwattGoDevice extends Homey.Device {
   async onUninit() {
     this.log('whatwatt Go Device has been uninitialized');
     this._isDeleted = true;
+    await this._savePeakDemand();
+    await this._saveEnergyCounters();
+    await this._saveEnergyCost();
+    await this._saveVoltageQuality();
+    this._stopPolling();
+    this._stopDiagnostics();
+    this._stopNetworkRediscovery();
+    this._stopVariablePolling();
 
     if (this.eventStream) {
       this.eventStream.stop();
       this.eventStream = null;
     }
+    this._destroyAPI();
   }
 
   // ============================================================================
@@ -238,21 +506,31 @@ module.exports = class whatwattGoDevice extends Homey.Device {
 
   /**
    * Builds connection config from device store and settings.
-   * Store holds address/port (from pairing); settings hold protocol and timeout preferences.
+   * Store holds address/port (from pairing); settings hold protocol, port override and timeout preferences.
    * @private
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
    * @returns {{ host: string, port: number, https: boolean, timeout: number }}
    */
-  _getConnectionConfig() {
+  _getConnectionConfig(settings = this.getSettings()) {
     const store = this.getStore();
-    const settings = this.getSettings();
     return {
       host: store.address,
-      port: store.port || 80,
+      port: settings.port_override || store.port || 80,
       https: settings.https || false,
-      timeout: settings.timeout || DEFAULT_TIMEOUT,
+      timeout: settings.timeout ? settings.timeout * 1000 : DEFAULT_TIMEOUT,
     };
   }
 
+  /**
+   * Returns the live stream heartbeat timeout in ms from device settings.
+   * @private
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
+   * @returns {number}
+   */
+  _getHeartbeatTimeout(settings = this.getSettings()) {
+    return settings.heartbeat_timeout ? settings.heartbeat_timeout * 1000 : HEARTBEAT_TIMEOUT;
+  }
+
   /**
    * Retrieves device password from Homey manager settings.
    * Stored separately from device settings for security.
@@ -265,23 +543,171 @@ module.exports = class whatwattGoDevice extends Homey.Device {
   }
 
   /**
-   * Creates an API client with current device configuration.
+   * Returns the session shared by the API client and the event stream, brought up to date with
+   * the stored address, settings and password. Auth detection runs once per session, so the
+   * detected scheme and Digest challenge survive IP changes and are shared by both clients.
    * @private
-   * @returns {whatwattAPI}
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
+   * @returns {WhatwattSession}
    */
-  _createAPI() {
-    const config = this._getConnectionConfig();
-    const settings = this.getSettings();
-    return new WhatwattAPI({
+  _getSession(settings = this.getSettings()) {
+    const config = this._getConnectionConfig(settings);
+    const options = {
       host: config.host,
       port: config.port,
       https: config.https,
-      username: settings.username,
+      username: settings.username || '',
       password: this._getPassword(),
-      authScheme: 'auto',
       timeout: config.timeout,
-      device: this,
-    });
+    };
+
+    if (!this._session) {
+      this._session = new WhatwattSession({
+        ...options, homey: this.homey, authScheme: 'auto', dispatcher: this._getDispatcher(),
+      });
+    } else if (this._session.update(options)) {
+      this.log(`Connection session updated to ${this._session.baseUrl}`);
+    }
+    return this._session;
+  }
+
+  /**
+   * Returns the API client for the current device configuration, on the shared session.
+   * @private
+   * @returns {WhatwattAPI}
+   */
+  _getAPI() {
+    const session = this._getSession();
+    if (!this._api) {
+      this._api = new WhatwattAPI({ session, device: this });
+    }
+    return this._api;
+  }
+
+  /**
+   * Cancels the requests and retries still queued on the API client.
+   * @private
+   */
+  _destroyAPI() {
+    this._api?.destroy();
+    this._api = null;
+  }
+
+  /**
+   * Returns the fetch dispatcher that pins the device certificate on first use.
+   * Shared by the API client, auth detection and the event stream.
+   * @private
+   * @returns {Object}
+   */
+  _getDispatcher() {
+    if (!this._dispatcher) {
+      this._dispatcher = createPinnedDispatcher({
+        get: () => this.getStoreValue('tls_fingerprint'),
+        set: (fingerprint) => {
+          this._certificateMismatch = null;
+          this.setStoreValue('tls_fingerprint', fingerprint)
+            .catch((error) => this.error('Failed to store certificate fingerprint:', error.message));
+        },
+      }, (message) => this.log(`[TLS] ${message}`));
+    }
+    return this._dispatcher;
+  }
+
+  /**
+   * Forgets the pinned certificate so the next HTTPS connection trusts the certificate it sees.
+   * Used from the repair view after the user confirmed the new certificate.
+   */
+  async trustNewCertificate() {
+    this.log('Clearing pinned certificate fingerprint, next connection will trust the presented certificate');
+    this._certificateMismatch = null;
+    await this.unsetStoreValue('tls_fingerprint');
+  }
+
+  /**
+   * Returns the pinned and, after a mismatch, the presented certificate fingerprint.
+   * @returns {{ https: boolean, fingerprint: string|null, mismatch: { fingerprint: string, expectedFingerprint: string }|null }}
+   */
+  getCertificateStatus() {
+    return {
+      https: this._getConnectionConfig().https,
+      fingerprint: this.getStoreValue('tls_fingerprint') || null,
+      mismatch: this._certificateMismatch,
+    };
+  }
+
+  /**
+   * Remembers a certificate mismatch for the repair view and marks the device unavailable.
+   * @private
+   * @param {Error} error - Error carrying the mismatch
+   * @returns {boolean} Whether the error was a certificate mismatch
+   */
+  _handleCertificateMismatch(error) {
+    const mismatch = getCertificateMismatch(error);
+    if (!mismatch) return false;
+
+    this.error(`Certificate mismatch: expected ${mismatch.expectedFingerprint}, got ${mismatch.fingerprint}`);
+    this._certificateMismatch = {
+      fingerprint: mismatch.fingerprint,
+      expectedFingerprint: mismatch.expectedFingerprint,
+    };
+    this._setAvailability(false, CERTIFICATE_MISMATCH_MESSAGE);
+    return true;
+  }
+
+  /**
+   * Stops all connection attempts when the device rejects the stored password, marks the device
+   * unavailable and notifies the user once. Retrying would only keep hitting 401 until the
+   * password is entered again from the repair view.
+   * @private
+   * @param {Error} error - Stream, polling or API error
+   * @returns {boolean} Whether the error was an authentication failure
+   */
+  _handleAuthenticationFailure(error) {
+    if (!(error instanceof AuthenticationError)) return false;
+    if (this._authenticationFailed) return true;
+
+    this._authenticationFailed = true;
+    this.error('Device rejected the stored password, stopping reconnect attempts until repaired');
+    this.eventStream?.stop();
+    this._stopPolling();
+    this._stopVariablePolling();
+    this._setAvailability(false, this._getUnavailableMessage(error));
+
+    this.homey.notifications.createNotification({
+      excerpt: `The password of **${this.getName()}** has changed. Open the device and use Repair to enter the new password.`,
+    }).catch((notificationError) => this.error('Failed to send password notification:', notificationError.message));
+    return true;
+  }
+
+  /**
+   * Clears an authentication failure after the password was entered again from the repair view.
+   */
+  clearAuthenticationFailure() {
+    if (!this._authenticationFailed) return;
+    this.log('Password repaired, resuming normal operation');
+    this._authenticationFailed = false;
+    this._setAvailability(true);
+  }
+
+  /**
+   * Resumes normal operation after a new password was validated and saved from the settings,
+   * like a repair does. A password rejected at startup leaves no event stream, and one rejected
+   * later stops the stream and variable polling. Called once the new password is stored, and
+   * connects with the new settings as they are not saved yet.
+   * @private
+   * @param {Object} settings - New device settings
+   */
+  _resumeAfterPasswordChange(settings) {
+    const failed = this._authenticationFailed;
+    this.clearAuthenticationFailure();
+
+    if (failed || !this.eventStream) {
+      this.log('Starting event stream with the new password');
+      this.eventStream?.stop();
+      this.eventStream = null;
+      this._initializeEventStream(settings).catch((error) => this.error('Failed to start event stream:', error.message));
+    }
+    this._initVariables(settings).catch((error) => this.error('Failed to restart device variables:', error.message));
   }
 
   /**
@@ -293,42 +719,97 @@ module.exports = class whatwattGoDevice extends Homey.Device {
   async _testConnection() {
     const config = this._getConnectionConfig();
     this.log(`Testing connection to ${config.host}:${config.port}`);
-    const isConnected = await WhatwattAPI.testDeviceConnection(
-      { host: config.host, port: config.port },
-      this._getPassword(),
-      config.timeout,
-    );
 
-    if (!isConnected) {
+    try {
+      await this._getAPI().getSystemInfo();
+    } catch (error) {
+      this.error('Connection test failed:', error.message);
+      // Typed errors are passed on so onInit can pick the right availability message
+      if (this._handleCertificateMismatch(error) || error instanceof WhatwattError) throw error;
       throw new Error('Failed to connect to whatwatt Go device');
     }
 
     this.log('Successfully connected to whatwatt Go device');
   }
 
+  /**
+   * Checks candidate connection settings against the device before they are saved.
+   * Uses a separate API client so the active connection is untouched when the check fails.
+   * @private
+   * @param {Object} settings - New device settings
+   * @param {string} password - Password to test with
+   */
+  async _validateConnectionSettings(settings, password) {
+    const config = this._getConnectionConfig(settings);
+    const protocol = config.https ? 'https' : 'http';
+    this.log(`Validating connection settings against ${protocol}://${config.host}:${config.port}`);
+
+    const api = new WhatwattAPI({
+      host: config.host,
+      port: config.port,
+      https: config.https,
+      username: settings.username,
+      password,
+      authScheme: 'auto',
+      timeout: config.timeout,
+      device: null,
+      homey: this.homey,
+      dispatcher: this._getDispatcher(),
+    });
+
+    try {
+      await api.getSystemInfo();
+    } catch (error) {
+      this.error('Connection settings validation failed:', error.message);
+      if (error.isCertificateMismatch) {
+        throw new Error(CERTIFICATE_MISMATCH_MESSAGE);
+      }
+      if (error instanceof AuthenticationError) {
+        throw new Error('The device rejected the username or password');
+      }
+      if (error instanceof TimeoutError) {
+        throw new Error(`The device at ${protocol}://${config.host}:${config.port} did not respond within ${config.timeout / 1000} seconds - increase the request timeout`);
+      }
+      if (error instanceof DeviceError || error instanceof MalformedResponseError) {
+        throw new Error(`The device at ${protocol}://${config.host}:${config.port} answered, but with an error: ${error.message}`);
+      }
+      throw new Error(`Could not reach the device at ${protocol}://${config.host}:${config.port}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves a password handed over in the device settings into ManagerSettings. Manual pairing
+   * passes the tested password this way, so it is only stored once the device has been added.
+   * @private
+   */
+  async _movePasswordSetting() {
+    const password = this.getSetting('password');
+    if (!password) return;
+
+    await this.homey.settings.set(`password_${this.getData().id}`, password);
+    await this.setSettings({ password: '' });
+    this.log('Moved password from pairing to ManagerSettings');
+  }
+
   /**
    * Initialize Server-Sent Events stream for real-time meter data.
    *
    * Establishes a persistent connection to receive live meter readings efficiently.
    * Uses SSE instead of polling to minimize device load and ensure timely updates.
+   *
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
    */
-  async _initializeEventStream() {
-    const config = this._getConnectionConfig();
-    const settings = this.getSettings();
+  async _initializeEventStream(settings = this.getSettings()) {
     this.eventStream = new WhatwattEventStream({
       homey: this.homey,
-      host: config.host,
-      port: config.port,
-      https: config.https,
-      username: settings.username,
-      password: this._getPassword(),
-      authScheme: 'auto',
-      heartbeatTimeout: HEARTBEAT_TIMEOUT,
+      session: this._getSession(settings),
+      heartbeatTimeout: this._getHeartbeatTimeout(settings),
       logger: (message) => this.log(`[EventStream] ${message}`),
       onData: (data) => this._onLiveData(data),
       onConnect: () => this._onStreamConnect(),
       onError: (error) => this._onStreamError(error),
       onDisconnect: () => this._onStreamDisconnect(),
+      onDegraded: (reason) => this._onStreamDegraded(reason),
       device: this,
       driver: this.driver,
     });
@@ -339,26 +820,22 @@ module.exports = class whatwattGoDevice extends Homey.Device {
   /**
    * Update connection parameters and reinitialize the event stream.
    *
-   * Validates new connection settings and updates the active event stream
-   * configuration when connection parameters are modified.
+   * Applies validated connection settings to the active event stream
+   * when connection parameters are modified.
    */
   async _reinitializeConnection(newSettings) {
-    try {
-      await this._testConnection();
-      if (this.eventStream) {
-        const config = this._getConnectionConfig();
-        this.eventStream.updateSettings({
-          host: config.host,
-          port: config.port,
-          https: newSettings.https || false,
-          username: newSettings.username,
-          password: this._getPassword(),
-        });
-      }
-    } catch (error) {
-      this.error('Failed to reinitialize connection:', error.message);
-      throw new Error(`Failed to update connection settings: ${error.message}`);
-    }
+    if (!this.eventStream) return;
+
+    const config = this._getConnectionConfig(newSettings);
+    this.eventStream.updateSettings({
+      host: config.host,
+      port: config.port,
+      https: config.https,
+      username: newSettings.username,
+      password: this._getPassword(),
+      timeout: config.timeout,
+      heartbeatTimeout: this._getHeartbeatTimeout(newSettings),
+    });
   }
 
   // ============================================================================
@@ -381,31 +858,68 @@ module.exports = class whatwattGoDevice extends Homey.Device {
   }
 
   /**
-   * Invoked when the SSE stream connects. Marks device available.
+   * Returns the availability message for a connection error, based on its type.
+   * @private
+   * @param {Error} error - Typed error from the API client or event stream
+   * @param {string} [fallback='unreachable'] - Message key for errors without a known type
+   * @returns {string}
+   */
+  _getUnavailableMessage(error, fallback = 'unreachable') {
+    const key = UNAVAILABLE_CODES.includes(error?.code) ? error.code : fallback;
+    return this.homey.__(`device.unavailable.${key}`);
+  }
+
+  /**
+   * Invoked when the SSE stream connects. Marks device available and ends polling fallback.
    * @private
    */
   _onStreamConnect() {
     this.log('Live data stream connected');
+    if (this._hasConnected) {
+      this._reconnectCount++;
+    }
+    this._hasConnected = true;
+    this._stopPolling();
     this._setAvailability(true);
+    this._updateDiagnostics().catch(this.error);
   }
 
   /**
-   * Invoked when the SSE stream encounters an error. Marks device unavailable.
+   * Invoked when the SSE stream encounters an error. Marks device unavailable
+   * unless the polling fallback is supplying data.
    * @private
    * @param {Error} error - Stream error
    */
   _onStreamError(error) {
     this.error('Live data stream error:', error);
-    this._setAvailability(false, 'Live data stream disconnected');
+    this._recordError(error);
+    if (this._handleCertificateMismatch(error) || this._handleAuthenticationFailure(error)) return;
+    if (this._connectionMode === 'polling') return;
+    this._setAvailability(false, this._getUnavailableMessage(error, 'stream_disconnected'));
   }
 
   /**
-   * Invoked when the SSE stream disconnects. Marks device unavailable.
+   * Invoked when the SSE stream disconnects. Marks device unavailable
+   * unless the polling fallback is supplying data.
    * @private
    */
   _onStreamDisconnect() {
     this.log('Live data stream disconnected');
-    this._setAvailability(false, 'Live data stream disconnected');
+    if (this._connectionMode === 'polling' || this._certificateMismatch || this._authenticationFailed) return;
+    this._setAvailability(false, this.homey.__('device.unavailable.stream_disconnected'));
+    this._updateDiagnostics().catch(this.error);
+  }
+
+  /**
+   * Invoked when the SSE stream keeps failing or the live endpoint is disabled. Switches to
+   * REST polling so capabilities keep updating; the stream keeps reconnecting in the background.
+   * @private
+   * @param {string} reason - 'max_attempts' or 'endpoint_disabled'
+   */
+  _onStreamDegraded(reason) {
+    if (this._isDeleted || this._connectionMode === 'polling' || this._authenticationFailed) return;
+    this.log(`Live data stream degraded (${reason}), falling back to report polling`);
+    this._startPolling();
   }
 
   /**
@@ -415,6 +929,7 @@ module.exports = class whatwattGoDevice extends Homey.Device {
    * @param {Object} data - Parsed live data payload
    */
   async _onLiveData(data) {
+    this._lastDataAt = Date.now();
     if (this._isDeleted || !this._setupCompleted) return;
 
     try {
@@ -425,9 +940,1361 @@ module.exports = class whatwattGoDevice extends Homey.Device {
           await updateCapability(this, capabilityId, value).catch(this.error);
         }
       }
+
+      if (this._energyCounters) {
+        await this._updateEnergyCounters(data);
+      }
+      if (this._energyCost) {
+        await this._updateEnergyCost(data);
+      }
+      if (this._peakDemand && isValidNumber(data.P_In)) {
+        await this._updatePeakDemand(data.P_In);
+      }
+      if (this.getSetting('fuse_size') > 0) {
+        await this._updatePhaseLoad(data);
+      }
+      if (this._voltageMonitor) {
+        await this._updateVoltageQuality(data);
+      }
+
+      await this._processFlowTriggers(data, powerData);
     } catch (error) {
       this.error('Error handling live data:', error.message);
     }
   }
 
+  // ============================================================================
+  // POLLING FALLBACK
+  // ============================================================================
+
+  /**
+   * Returns the poll interval in ms from device settings.
+   * @private
+   * @param {Object} [settings] - Settings to read, defaults to current settings
+   * @returns {number}
+   */
+  _getPollInterval(settings = this.getSettings()) {
+    return settings.poll_interval ? settings.poll_interval * 1000 : DEFAULT_POLL_INTERVAL;
+  }
+
+  /**
+   * Starts REST polling. Polled reports are normalized with convertReport and fed into
+   * the live data pipeline.
+   * @private
+   */
+  _startPolling() {
+    if (this.poller) return;
+
+    this.poller = new WhatwattPoller({
+      homey: this.homey,
+      fetchReport: () => this._getAPI().getReport(),
+      interval: this._getPollInterval(),
+      logger: (message) => this.log(`[Poller] ${message}`),
+      onData: (report) => {
+        // Device answers again after an outage; retry the stream soon instead of waiting out the backoff
+        if (this._pollFailing && this.eventStream) {
+          this.log('Device reachable again, resetting live stream reconnect policy');
+          this.eventStream.reconnectNow();
+        }
+        this._pollFailing = false;
+        this._setAvailability(true);
+        this._onLiveData(convertReport(report)).catch(this.error);
+      },
+      onError: (error) => {
+        this._pollFailing = true;
+        this._recordError(error);
+        if (this._handleCertificateMismatch(error) || this._handleAuthenticationFailure(error)) return;
+        this._setAvailability(false, this._getUnavailableMessage(error));
+      },
+    });
+    this.poller.start();
+
+    this._setConnectionMode('polling');
+  }
+
+  /**
+   * Stops REST polling.
+   * @private
+   */
+  _stopPolling() {
+    this._pollFailing = false;
+    if (this.poller) {
+      this.poller.stop();
+      this.poller = null;
+    }
+
+    this._setConnectionMode('stream');
+  }
+
+  /**
+   * Records the active data source and shows it in the diagnostics.
+   * @private
+   * @param {'stream'|'polling'} mode - Active data source
+   */
+  _setConnectionMode(mode) {
+    if (this._connectionMode === mode) return;
+
+    this._connectionMode = mode;
+    if (this._isDeleted) return;
+
+    this.log(`Connection mode changed to ${mode}`);
+    this._updateDiagnostics().catch(this.error);
+  }
+
+  // ============================================================================
+  // DIAGNOSTICS
+  // ============================================================================
+
+  /**
+   * Starts periodic diagnostics refresh so data age and the connectivity alarm stay current
+   * even when no connection events occur.
+   * @private
+   */
+  _startDiagnostics() {
+    this._stopDiagnostics();
+    this._diagnosticsTimer = this.homey.setInterval(() => {
+      this._updateDiagnostics().catch(this.error);
+    }, DIAGNOSTICS_INTERVAL);
+  }
+
+  /**
+   * Stops the periodic diagnostics refresh.
+   * @private
+   */
+  _stopDiagnostics() {
+    if (this._diagnosticsTimer) {
+      this.homey.clearInterval(this._diagnosticsTimer);
+      this._diagnosticsTimer = null;
+    }
+  }
+
+  /**
+   * Remembers the most recent connection error for diagnostics.
+   * @private
+   * @param {Error} error - Stream or polling error
+   */
+  _recordError(error) {
+    this._lastError = { message: error?.message || String(error), at: Date.now() };
+    this._updateDiagnostics().catch(this.error);
+  }
+
+  /**
+   * Returns the most recent time any data or keep-alive was received, from either source.
+   * @private
+   * @returns {number|null} Timestamp in ms
+   */
+  _getLastDataTime() {
+    const streamTime = this.eventStream?.lastDataReceived || 0;
+    return Math.max(this._lastDataAt || 0, streamTime) || null;
+  }
+
+  /**
+   * Returns how long the active data source may stay silent before its data counts as stale:
+   * two poll intervals when polling, and the heartbeat timeout after which the live stream
+   * reconnects otherwise. Never shorter than DATA_STALE_TIMEOUT.
+   * @private
+   * @returns {number} Time in ms
+   */
+  _getStaleTimeout() {
+    const timeout = this._connectionMode === 'polling' ? 2 * this._getPollInterval() : this._getHeartbeatTimeout();
+    return Math.max(timeout, DATA_STALE_TIMEOUT);
+  }
+
+  /**
+   * Determines whether the connection delivers fresh data through the active data source.
+   * @private
+   * @param {number} now - Current time in ms
+   * @returns {boolean}
+   */
+  _isConnectionHealthy(now) {
+    const lastData = this._getLastDataTime();
+    if (!lastData || now - lastData > this._getStaleTimeout()) return false;
+
+    if (this._connectionMode === 'polling') {
+      return !this._pollFailing;
+    }
+    return this.eventStream?.isStreamConnected() || false;
+  }
+
+  /**
+   * Formats a timestamp in Homey's timezone for diagnostics.
+   * @private
+   * @param {number} timestamp - Time in ms
+   * @returns {string}
+   */
+  _formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-GB', { timeZone: this.homey.clock.getTimezone() });
+  }
+
+  /**
+   * Describes the request queue of the API client: waiting requests and retries.
+   * @private
+   * @returns {string}
+   */
+  _getRequestQueueLabel() {
+    const status = this._api?.queue.getStatus();
+    if (!status) return this.homey.__('device.diagnostics.requests_idle');
+
+    const { waiting, retries, failedAfterRetries: failed } = status;
+    if (failed > 0) return this.homey.__('device.diagnostics.requests_failed', { waiting, retries, failed });
+    return this.homey.__('device.diagnostics.requests', { waiting, retries });
+  }
+
+  /**
+   * Describes the authentication scheme detected by the shared connection session.
+   * @private
+   * @returns {string}
+   */
+  _getAuthSchemeLabel() {
+    if (!this._getPassword()) return this.homey.__('device.diagnostics.auth_no_password');
+
+    const scheme = this._session?.scheme;
+    return AUTH_SCHEME_LABELS[scheme] || this.homey.__('device.diagnostics.auth_not_detected');
+  }
+
+  /**
+   * Describes when data was last received. Only changes with the connection health, so the
+   * label is not rewritten while data keeps coming in.
+   * @private
+   * @param {boolean} healthy - Whether the connection delivers fresh data
+   * @param {number|null} lastData - Time of the last data in ms
+   * @returns {string}
+   */
+  _getLastDataLabel(healthy, lastData) {
+    if (healthy) return this.homey.__('device.diagnostics.receiving_data');
+    if (!lastData) return this.homey.__('device.diagnostics.never');
+    return this.homey.__('device.diagnostics.stopped_at', { time: this._formatTime(lastData) });
+  }
+
+  /**
+   * Updates the connectivity alarm and writes changed diagnostics to device settings.
+   * Only changed values are written to keep settings updates cheap.
+   * @private
+   */
+  async _updateDiagnostics() {
+    if (this._isDeleted) return;
+
+    const now = Date.now();
+    const healthy = this._isConnectionHealthy(now);
+    await updateCapability(this, 'alarm_connectivity', !healthy);
+
+    const config = this._getConnectionConfig();
+    const status = this.eventStream?.getStatus();
+    const lastData = this._getLastDataTime();
+
+    let reconnects = String(this._reconnectCount);
+    if (status && status.reconnectAttempts > 0) {
+      reconnects = this.homey.__('device.diagnostics.reconnecting', { count: this._reconnectCount, attempt: status.reconnectAttempts });
+    }
+    const lastError = this._lastError
+      ? this.homey.__('device.diagnostics.last_error', { message: this._lastError.message, time: this._formatTime(this._lastError.at) })
+      : this.homey.__('device.diagnostics.no_error');
+
+    const diagnostics = {
+      connection_mode: this.homey.__(`device.diagnostics.connection_${this._connectionMode}`),
+      // No age here: it would rewrite the settings on every refresh
+      diag_last_data: this._getLastDataLabel(healthy, lastData),
+      diag_reconnects: reconnects,
+      diag_requests: this._getRequestQueueLabel(),
+      diag_auth_scheme: this._getAuthSchemeLabel(),
+      diag_address: `${config.https ? 'https' : 'http'}://${config.host}:${config.port}`,
+      diag_last_error: lastError,
+      ...this._getVoltageQualityLabels(now),
+    };
+
+    const currentSettings = this.getSettings();
+    const changed = Object.fromEntries(Object.entries(diagnostics).filter(([key, value]) => currentSettings[key] !== value));
+    if (Object.keys(changed).length === 0) return;
+
+    await this.setSettings(changed)
+      .catch((error) => this.error('Failed to update diagnostics:', error.message));
+  }
+
+  // ============================================================================
+  // FLOW CARD HANDLERS
+  // ============================================================================
+
+  /**
+   * Reboots the whatwatt Go. The event stream reconnects on its own once the device is back.
+   * Errors are rethrown so the Flow shows why the device rejected the call.
+   */
+  async rebootDevice() {
+    this.log('Rebooting device from Flow');
+    try {
+      await this._getAPI().rebootDevice();
+    } catch (error) {
+      this.error('Reboot from Flow failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Starts WPS pairing on the whatwatt Go so it can join a WiFi network.
+   */
+  async startWPSPairing() {
+    this.log('Starting WPS pairing from Flow');
+    try {
+      await this._getAPI().startWPSPairing();
+    } catch (error) {
+      this.error('WPS pairing from Flow failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Changes how often the meter pushes readings and reflects the new value in device settings.
+   *
+   * @param {number} interval - Report interval in seconds
+   */
+  async setReportInterval(interval) {
+    const reportInterval = Math.round(interval);
+    if (!isValidNumber(reportInterval, 1)) {
+      throw new Error(`Invalid report interval: ${interval}`);
+    }
+
+    this.log(`Setting meter report interval to ${reportInterval}s from Flow`);
+    try {
+      await this._getAPI().updateMeterSettings({ report_interval: reportInterval });
+    } catch (error) {
+      this.error('Updating report interval from Flow failed:', error.message);
+      throw error;
+    }
+
+    await this.setSettings({ meter_report_interval: `${reportInterval} second(s)` })
+      .catch((error) => this.error('Failed to update report interval setting:', error.message));
+  }
+
+  /**
+   * Fires Flow triggers for a live sample.
+   * Threshold triggers are evaluated here once per sample for all Flows; export state is
+   * debounced here as well because it has no arguments.
+   * @private
+   * @param {Object} data - Parsed live data payload
+   * @param {Object} powerData - Net power values from calculatePower
+   */
+  async _processFlowTriggers(data, powerData) {
+    const now = Date.now();
+    const power = convertPower(powerData.total);
+
+    if (power !== null) {
+      await this._triggerThresholdFlow('power_above', power, { power }, { power, now });
+      await this._triggerThresholdFlow('power_below', power, { power }, { power, now });
+      this._updateExportState(power, now);
+    }
+
+    for (const [index, current] of [data.I_P1, data.I_P2, data.I_P3].entries()) {
+      if (current === null || current === undefined) continue;
+      const phase = index + 1;
+      await this._triggerThresholdFlow('phase_current_above', current, { phase, current }, { phase, current, now }, `:phase${phase}`);
+    }
+  }
+
+  /**
+   * Tracks whether the meter is exporting and fires export started/stopped triggers.
+   * Uses separate start and stop levels plus a debounce time so short dips around zero
+   * do not toggle the state.
+   * @private
+   * @param {number} power - Net power in watts (negative when exporting)
+   * @param {number} now - Sample timestamp in ms
+   */
+  _updateExportState(power, now) {
+    const exportPower = Math.max(0, -power);
+
+    // Initialize silently so an app restart during export does not fire a trigger
+    if (this._exporting === null) {
+      this._exporting = exportPower > EXPORT_START_POWER;
+      return;
+    }
+
+    if (!this._exporting) {
+      if (this._thresholds.update('export_start', exportPower, { threshold: EXPORT_START_POWER, duration: EXPORT_DEBOUNCE, now })) {
+        this._exporting = true;
+        this._thresholds.reset('export_stop');
+        this.log('Export to grid started');
+        this.driver.triggerFlow('export_started', this, { power: exportPower });
+      }
+    } else if (this._thresholds.update('export_stop', exportPower, {
+      threshold: EXPORT_STOP_POWER, direction: 'below', duration: EXPORT_DEBOUNCE, now,
+    })) {
+      this._exporting = false;
+      this._thresholds.reset('export_start');
+      this.log('Export to grid stopped');
+      this.driver.triggerFlow('export_stopped', this, { power: exportPower });
+    }
+  }
+
+  /**
+   * Evaluates the thresholds of all Flows using a threshold trigger card and fires the card
+   * when any of them was crossed. Flows with the same threshold and duration share one state,
+   * updated once per sample, so they all run; the run listeners look up their key in the
+   * crossed keys passed in the state.
+   * @private
+   * @param {string} cardId - Threshold trigger card ID
+   * @param {number} value - Sample value
+   * @param {Object} tokens - Flow tokens
+   * @param {Object} state - Trigger state with the sample timestamp in `now`
+   * @param {string} [scope=''] - Keeps the state of separate sources apart, e.g. per phase
+   */
+  async _triggerThresholdFlow(cardId, value, tokens, state, scope = '') {
+    const thresholds = await this.driver.getFlowThresholds(cardId, this);
+    const crossed = thresholds
+      .filter(({ key, ...options }) => this._thresholds.update(`${key}${scope}`, value, { ...options, now: state.now }))
+      .map(({ key }) => key);
+
+    if (crossed.length > 0) {
+      await this.driver.triggerFlow(cardId, this, tokens, { ...state, crossed });
+    }
+  }
+
+  /**
+   * Returns the debounced export state used by the export condition card.
+   * @returns {boolean}
+   */
+  isExporting() {
+    return this._exporting === true;
+  }
+
+  /**
+   * Returns the latest current per phase, or null for phases the meter does not report.
+   * @returns {Array<number|null>}
+   */
+  getPhaseCurrents() {
+    return PHASE_CURRENT_CAPABILITIES.map((capabilityId) => (this.hasCapability(capabilityId)
+      ? this.getCapabilityValue(capabilityId)
+      : null));
+  }
+
+  // ============================================================================
+  // ENERGY COUNTERS
+  // ============================================================================
+
+  /**
+   * Restores the period energy counters from the device store.
+   * @private
+   */
+  _initEnergyCounters() {
+    this._energyCounters = new EnergyCounters({
+      timezone: this.homey.clock.getTimezone(),
+      state: this.getStoreValue('energy_counters'),
+    });
+    this._energyCountersSavedAt = Date.now();
+  }
+
+  /**
+   * Adds the meter totals of a live sample to the period counters, updates the capabilities and
+   * fires the period ended trigger. State is saved when a period ends and at most once a minute.
+   * @private
+   * @param {Object} data - Parsed live data payload
+   */
+  async _updateEnergyCounters(data) {
+    const now = Date.now();
+    const { ended, counters } = this._energyCounters.update({ imported: data.E_In, exported: data.E_Out }, now);
+
+    for (const [capability, direction, period] of ENERGY_COUNTER_CAPABILITIES) {
+      // Meters without an export register get no export counters
+      if (isValidNumber(data[ENERGY_TOTALS[direction]])) {
+        await updateCapability(this, capability, roundMilli(counters[direction][period]));
+      }
+    }
+
+    for (const {
+      period, key, imported, exported,
+    } of ended) {
+      this.log(`Energy for ${period} ${key}: ${roundMilli(imported)} kWh imported, ${roundMilli(exported)} kWh exported`);
+      this.driver.triggerFlow('energy_period_ended', this, { imported: roundMilli(imported), exported: roundMilli(exported) }, { period });
+    }
+
+    if (ended.length > 0 || now - this._energyCountersSavedAt >= STATE_SAVE_INTERVAL) {
+      await this._saveEnergyCounters();
+    }
+  }
+
+  /**
+   * Saves the period energy counters to the device store.
+   * @private
+   */
+  async _saveEnergyCounters() {
+    if (!this._energyCounters) return;
+    this._energyCountersSavedAt = Date.now();
+    await this.setStoreValue('energy_counters', this._energyCounters.getState())
+      .catch((error) => this.error('Failed to save energy counters:', error.message));
+  }
+
+  // ============================================================================
+  // ENERGY COST
+  // ============================================================================
+
+  /**
+   * Sets the price for imported energy from a Flow, used while the import price is set to
+   * "Set by Flow". The price is kept in the store so it survives app restarts.
+   *
+   * @param {number} price - Price per kWh
+   */
+  async setEnergyPrice(price) {
+    if (!isValidNumber(price)) {
+      throw new Error(`Invalid energy price: ${price}`);
+    }
+    if (this.getSetting('tariff_mode') !== 'dynamic') {
+      throw new Error('Set the import price to "Set by Flow" in the device settings to use this card');
+    }
+
+    this.log(`Setting energy price to ${price} per kWh from Flow`);
+    await this.setStoreValue('energy_price', price);
+    this._energyCost?.setTariff(this._getTariff());
+  }
+
+  /**
+   * Builds the tariff for the cost calculation from settings and the price set from a Flow.
+   * @private
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
+   * @returns {Object} Tariff as accepted by EnergyCost.setTariff()
+   */
+  _getTariff(settings = this.getSettings()) {
+    return {
+      mode: settings.tariff_mode,
+      importPrice: settings.import_price,
+      lowPrice: settings.import_price_low,
+      highPrice: settings.import_price_high,
+      dynamicPrice: this.getStoreValue('energy_price'),
+      exportPrice: settings.export_price,
+      standingCharge: settings.standing_charge,
+    };
+  }
+
+  /**
+   * Starts, updates or stops the cost calculation as set in settings. Stopping removes the
+   * capabilities but keeps the totals, like peak demand tracking. The meter readings are
+   * dropped, so energy used while the cost was off is not priced when it is turned on again.
+   * @private
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
+   */
+  async _initEnergyCost(settings = this.getSettings()) {
+    if (!settings.tariff_mode || settings.tariff_mode === 'off') {
+      if (this._energyCost) {
+        const { periods } = this._energyCost.getState();
+        await this.setStoreValue('energy_cost', { periods })
+          .catch((error) => this.error('Failed to save energy cost:', error.message));
+      }
+      this._energyCost = null;
+      for (const [capability] of ENERGY_COST_CAPABILITIES) {
+        if (this.hasCapability(capability)) {
+          await this.removeCapability(capability)
+            .catch((error) => this.error(`Failed to remove capability ${capability}:`, error.message));
+        }
+      }
+      return;
+    }
+
+    if (this._energyCost) {
+      this._energyCost.setTariff(this._getTariff(settings));
+      // The currency may have changed
+      for (const [capability] of ENERGY_COST_CAPABILITIES) {
+        if (this.hasCapability(capability)) await this._setEnergyCostOptions(capability, settings);
+      }
+      return;
+    }
+
+    this._energyCost = new EnergyCost({
+      timezone: this.homey.clock.getTimezone(),
+      tariff: this._getTariff(settings),
+      state: this.getStoreValue('energy_cost'),
+    });
+    this._energyCostSavedAt = Date.now();
+    this.log(`Energy cost enabled (${settings.tariff_mode})`);
+  }
+
+  /**
+   * Adds the meter registers of a live sample to the cost calculation and updates the capabilities.
+   * Revenue is only shown for meters that report exported energy.
+   * @private
+   * @param {Object} data - Parsed live data payload
+   */
+  async _updateEnergyCost(data) {
+    const totals = this._energyCost.update(data);
+
+    for (const [capability, period, amount] of ENERGY_COST_CAPABILITIES) {
+      if (amount === 'revenue' && !isValidNumber(data.E_Out)) continue;
+
+      const isNew = !this.hasCapability(capability);
+      await updateCapability(this, capability, roundMilli(totals[period][amount]));
+      if (isNew && this.hasCapability(capability)) await this._setEnergyCostOptions(capability);
+    }
+
+    if (Date.now() - this._energyCostSavedAt >= STATE_SAVE_INTERVAL) {
+      await this._saveEnergyCost();
+    }
+  }
+
+  /**
+   * Sets the title and currency of a cost capability.
+   * @private
+   * @param {string} capability - Capability ID from ENERGY_COST_CAPABILITIES
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
+   */
+  async _setEnergyCostOptions(capability, settings = this.getSettings()) {
+    const [, , , title] = ENERGY_COST_CAPABILITIES.find(([id]) => id === capability);
+    const currency = settings.currency || '€';
+
+    await this.setCapabilityOptions(capability, { title, units: { en: currency } })
+      .catch((error) => this.error(`Failed to set options of ${capability}:`, error.message));
+  }
+
+  /**
+   * Saves the cost calculation to the device store.
+   * @private
+   */
+  async _saveEnergyCost() {
+    if (!this._energyCost) return;
+    this._energyCostSavedAt = Date.now();
+    await this.setStoreValue('energy_cost', this._energyCost.getState())
+      .catch((error) => this.error('Failed to save energy cost:', error.message));
+  }
+
+  // ============================================================================
+  // PEAK DEMAND
+  // ============================================================================
+
+  /**
+   * Starts or stops peak demand tracking as set in settings. Stopping removes the capabilities
+   * but keeps the saved state, so the month peak and history are back when tracking is enabled again.
+   * @private
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
+   */
+  async _initPeakDemand(settings = this.getSettings()) {
+    if (!settings.peak_demand) {
+      await this._savePeakDemand();
+      this._peakDemand = null;
+      for (const capability of Object.keys(PEAK_DEMAND_CAPABILITIES)) {
+        if (this.hasCapability(capability)) {
+          await this.removeCapability(capability)
+            .catch((error) => this.error(`Failed to remove capability ${capability}:`, error.message));
+        }
+      }
+      return;
+    }
+
+    if (this._peakDemand) return;
+    this._peakDemand = new PeakDemandTracker({
+      timezone: this.homey.clock.getTimezone(),
+      state: this.getStoreValue('peak_demand'),
+    });
+    this._peakDemandSavedAt = Date.now();
+    this.log('Peak demand tracking enabled');
+  }
+
+  /**
+   * Adds an import power sample to the peak demand tracker, updates the capabilities and fires
+   * the projection trigger. State is saved when a quarter-hour ends and at most once a minute.
+   * @private
+   * @param {number} power - Import power in kW
+   */
+  async _updatePeakDemand(power) {
+    const now = Date.now();
+    const result = this._peakDemand.update(power, now);
+    const projected = roundMilli(result.projected);
+    const average = roundMilli(result.average);
+
+    await this._setPeakDemandCapability('measure_peak_demand.quarter', average);
+    await this._setPeakDemandCapability('measure_peak_demand.month', roundMilli(result.monthPeak));
+    await this._setPeakDemandCapability('measure_peak_demand.average', roundMilli(result.rollingAverage));
+
+    await this._triggerThresholdFlow('quarter_peak_projected_above', projected, { projected, average }, { projected, now });
+
+    if (result.completed) {
+      const partial = result.completed.partial ? ' (partial, not counted)' : '';
+      this.log(`Quarter-hour average ${roundMilli(result.completed.average)} kW${partial}, month peak ${roundMilli(result.monthPeak)} kW`);
+    }
+    if (result.completed || now - this._peakDemandSavedAt >= STATE_SAVE_INTERVAL) {
+      await this._savePeakDemand();
+    }
+  }
+
+  /**
+   * Sets a peak demand capability, titling it when it is added.
+   * @private
+   * @param {string} capability - Capability ID from PEAK_DEMAND_CAPABILITIES
+   * @param {number} value - Power in kW
+   */
+  async _setPeakDemandCapability(capability, value) {
+    const isNew = !this.hasCapability(capability);
+
+    await updateCapability(this, capability, value);
+    if (isNew && this.hasCapability(capability)) {
+      await this.setCapabilityOptions(capability, { title: PEAK_DEMAND_CAPABILITIES[capability] })
+        .catch((error) => this.error(`Failed to set title of ${capability}:`, error.message));
+    }
+  }
+
+  /**
+   * Saves the peak demand state to the device store.
+   * @private
+   */
+  async _savePeakDemand() {
+    if (!this._peakDemand) return;
+    this._peakDemandSavedAt = Date.now();
+    await this.setStoreValue('peak_demand', this._peakDemand.getState())
+      .catch((error) => this.error('Failed to save peak demand state:', error.message));
+  }
+
+  // ============================================================================
+  // PHASE OVERLOAD
+  // ============================================================================
+
+  /**
+   * Updates the headroom per phase and the overload alarms, and fires the overload trigger.
+   * A phase is overloaded once its current stays above the alarm level for the grace period;
+   * the alarm clears when the current drops below the hysteresis band of the threshold monitor.
+   * @private
+   * @param {Object} data - Parsed live data payload
+   */
+  async _updatePhaseLoad(data) {
+    const now = Date.now();
+    const settings = this.getSettings();
+    const fuse = settings.fuse_size;
+    const threshold = fuse * (settings.fuse_alarm_level / 100);
+
+    for (const [index, value] of [data.I_P1, data.I_P2, data.I_P3].entries()) {
+      if (!isValidNumber(value)) continue;
+      const phase = index + 1;
+      const key = `phase_overload:${phase}`;
+      const capabilities = PHASE_LOAD_CAPABILITIES[index];
+
+      // Some meters sign the current by direction; the fuse trips either way
+      const current = Math.abs(value);
+      const headroom = Math.round((fuse - current) * 100) / 100;
+      const overloaded = this._thresholds.update(key, current, { threshold, duration: settings.fuse_alarm_delay * 1000, now });
+
+      await this._setPhaseLoadCapability(capabilities.headroom, headroom, capabilities.headroomTitle);
+      await this._setPhaseLoadCapability(capabilities.alarm, this._thresholds.isActive(key), capabilities.alarmTitle);
+
+      if (overloaded) {
+        this.log(`Phase ${phase} overloaded: ${current} A on a ${fuse} A fuse`);
+        this.driver.triggerFlow('phase_overload', this, { phase, current, headroom }, { phase });
+      }
+    }
+  }
+
+  /**
+   * Starts overload detection over after a fuse setting changed, and removes the capabilities
+   * when the fuse size is cleared.
+   * @private
+   * @param {Object} settings - New device settings
+   */
+  async _resetPhaseLoad(settings) {
+    for (const [index, capabilities] of PHASE_LOAD_CAPABILITIES.entries()) {
+      this._thresholds.reset(`phase_overload:${index + 1}`);
+      if (settings.fuse_size > 0) continue;
+
+      for (const capability of [capabilities.headroom, capabilities.alarm]) {
+        if (this.hasCapability(capability)) {
+          await this.removeCapability(capability)
+            .catch((error) => this.error(`Failed to remove capability ${capability}:`, error.message));
+        }
+      }
+    }
+  }
+
+  /**
+   * Sets a headroom or overload capability, titling it when it is added.
+   * @private
+   * @param {string} capability - Capability ID from PHASE_LOAD_CAPABILITIES
+   * @param {number|boolean} value - Headroom in A or alarm state
+   * @param {Object} title - Title per language
+   */
+  async _setPhaseLoadCapability(capability, value, title) {
+    const isNew = !this.hasCapability(capability);
+
+    await updateCapability(this, capability, value);
+    if (isNew && this.hasCapability(capability)) {
+      await this.setCapabilityOptions(capability, { title })
+        .catch((error) => this.error(`Failed to set title of ${capability}:`, error.message));
+    }
+  }
+
+  // ============================================================================
+  // VOLTAGE QUALITY
+  // ============================================================================
+
+  /**
+   * Restores the voltage monitor from the device store with the limits from settings.
+   * @private
+   */
+  _initVoltageMonitor() {
+    this._voltageMonitor = new VoltageMonitor({
+      timezone: this.homey.clock.getTimezone(),
+      limits: { low: this.getSetting('voltage_low'), high: this.getSetting('voltage_high') },
+      state: this.getStoreValue('voltage_quality'),
+    });
+    this._voltageMonitorSavedAt = Date.now();
+  }
+
+  /**
+   * Adds the phase voltages of a live sample to the voltage monitor and fires the excursion
+   * triggers. State and the summary in settings are updated right away when an excursion
+   * starts or ends, and otherwise saved at most once a minute.
+   * @private
+   * @param {Object} data - Parsed live data payload
+   */
+  async _updateVoltageQuality(data) {
+    const now = Date.now();
+    const { started, ended } = this._voltageMonitor.update([data.V_P1, data.V_P2, data.V_P3], now);
+
+    for (const excursion of started) {
+      const voltage = excursion.type === 'over' ? excursion.max : excursion.min;
+      this.log(`${VOLTAGE_TYPE_LABELS[excursion.type]} started on phase ${excursion.phase}: ${voltage} V`);
+      this.driver.triggerFlow('voltage_excursion_started', this, { phase: excursion.phase, voltage }, { type: excursion.type });
+    }
+
+    for (const event of ended) {
+      this.log(`${VOLTAGE_TYPE_LABELS[event.type]} ended on phase ${event.phase} after ${formatAge(event.duration)}`);
+      this.driver.triggerFlow('voltage_excursion_ended', this, {
+        phase: event.phase, duration: Math.round(event.duration / 1000), min: event.min, max: event.max,
+      }, { type: event.type });
+    }
+
+    if (started.length > 0 || ended.length > 0) {
+      await this._saveVoltageQuality();
+      this._updateDiagnostics().catch(this.error);
+    } else if (now - this._voltageMonitorSavedAt >= STATE_SAVE_INTERVAL) {
+      await this._saveVoltageQuality();
+    }
+  }
+
+  /**
+   * Returns the voltage quality summary shown in device settings.
+   * @private
+   * @param {number} now - Current time in ms
+   * @returns {{voltage_today: string, voltage_week: string, voltage_last_event: string}|{}}
+   */
+  _getVoltageQualityLabels(now) {
+    if (!this._voltageMonitor) return {};
+
+    const today = getDayKey(now, this.homey.clock.getTimezone());
+    const weekStart = shiftDay(today, -6);
+    const days = this._voltageMonitor.getDailyStats();
+    return {
+      voltage_today: this._formatVoltageStats(days.filter(({ day }) => day === today)),
+      voltage_week: this._formatVoltageStats(days.filter(({ day }) => day >= weekStart)),
+      voltage_last_event: this._formatLastVoltageEvent(),
+    };
+  }
+
+  /**
+   * Summarizes daily voltage statistics, e.g. "2 over, 0 under (3 min in total), 208.4-254.9 V".
+   * @private
+   * @param {Array<Object>} days - Daily statistics from the voltage monitor
+   * @returns {string}
+   */
+  _formatVoltageStats(days) {
+    const measured = days.filter((day) => day.min !== null);
+    if (measured.length === 0) return 'No data';
+
+    const over = measured.reduce((sum, day) => sum + day.over, 0);
+    const under = measured.reduce((sum, day) => sum + day.under, 0);
+    const duration = measured.reduce((sum, day) => sum + day.duration, 0);
+    const min = Math.min(...measured.map((day) => day.min));
+    const max = Math.max(...measured.map((day) => day.max));
+
+    const events = over + under > 0 ? `${over} over, ${under} under (${formatAge(duration)} in total)` : 'No events';
+    return `${events}, ${min}-${max} V`;
+  }
+
+  /**
+   * Describes the running excursion, or else the most recent one.
+   * @private
+   * @returns {string}
+   */
+  _formatLastVoltageEvent() {
+    const [running] = this._voltageMonitor.getActive().sort((a, b) => b.start - a.start);
+    if (running) {
+      return `${VOLTAGE_TYPE_LABELS[running.type]} on phase ${running.phase} since ${this._formatTime(running.start)}, ${running.min}-${running.max} V`;
+    }
+
+    const events = this._voltageMonitor.getEvents();
+    const last = events[events.length - 1];
+    if (!last) return 'None';
+    return `${VOLTAGE_TYPE_LABELS[last.type]} on phase ${last.phase} for ${formatAge(last.duration)}, ${last.min}-${last.max} V (${this._formatTime(last.start)})`;
+  }
+
+  /**
+   * Saves the voltage monitor to the device store.
+   * @private
+   */
+  async _saveVoltageQuality() {
+    if (!this._voltageMonitor) return;
+    this._voltageMonitorSavedAt = Date.now();
+    await this.setStoreValue('voltage_quality', this._voltageMonitor.getState())
+      .catch((error) => this.error('Failed to save voltage quality:', error.message));
+  }
+
+  // ============================================================================
+  // CONFIGURATION BACKUP
+  // ============================================================================
+
+  /**
+   * Captures the device configuration into a snapshot and keeps it in the device store.
+   * Only the most recent backups are kept.
+   *
+   * @param {string} [label] - User-facing label for the snapshot
+   * @returns {Promise<Object>} The stored snapshot
+   */
+  async backupConfiguration(label) {
+    this.log('Creating configuration backup');
+    const snapshot = await createBackup(this._getAPI(), {
+      label,
+      logger: (message) => this.log(message),
+    });
+
+    const backups = [snapshot, ...this.getConfigurationBackups()].slice(0, MAX_CONFIG_BACKUPS);
+    await this.setStoreValue('config_backups', backups);
+
+    this.log(`Configuration backup ${snapshot.id} stored (${Object.keys(snapshot.sections).length} sections, ${snapshot.redacted.length} secrets left out)`);
+    return snapshot;
+  }
+
+  /**
+   * Returns the stored configuration backups, newest first.
+   * @returns {Object[]}
+   */
+  getConfigurationBackups() {
+    return this.getStoreValue('config_backups') || [];
+  }
+
+  /**
+   * Lists what a restore of the snapshot would change on this device.
+   *
+   * @param {Object} snapshot - Snapshot from this or another device
+   * @returns {Promise<Array<{section: string, path: string, current: *, backup: *}>>}
+   */
+  async previewConfigurationRestore(snapshot) {
+    const { changes } = await diffBackup(this._getAPI(), snapshot, { deviceId: this.getData().id });
+    return changes;
+  }
+
+  /**
+   * Pushes a snapshot to this device. Rolls back already written sections when one fails.
+   *
+   * @param {Object} snapshot - Snapshot from this or another device
+   * @returns {Promise<Object>} Restore result from restoreBackup
+   */
+  async restoreConfiguration(snapshot) {
+    this.log(`Restoring configuration backup ${snapshot.id} (from device ${snapshot.device?.id})`);
+    const result = await restoreBackup(this._getAPI(), snapshot, {
+      deviceId: this.getData().id,
+      logger: (message) => this.log(message),
+    });
+
+    if (result.success && result.restored.length > 0) {
+      // Report interval and meter details may have changed
+      await this._initMeterInformation()
+        .catch((error) => this.error('Failed to refresh meter information after restore:', error.message));
+    }
+    return result;
+  }
+
+  // ============================================================================
+  // MQTT CONFIGURATION
+  // ============================================================================
+
+  /**
+   * Reads the MQTT configuration of the device for the repair view.
+   * @returns {Promise<Object>} Form fields from parseMQTTSettings
+   */
+  async getMQTTConfiguration() {
+    return parseMQTTSettings(await this._getAPI().getMQTTSettings());
+  }
+
+  /**
+   * Validates and writes MQTT settings entered in the repair view.
+   *
+   * @param {Object} values - Form values, see buildMQTTUpdate
+   * @returns {Promise<Object>} Updated form fields
+   */
+  async updateMQTTConfiguration(values) {
+    const api = this._getAPI();
+    const update = buildMQTTUpdate(values, await api.getMQTTSettings());
+
+    this.log(`Updating MQTT settings (enabled: ${update.enable}, broker: ${update.url || 'none'})`);
+    await api.updateMQTTSettings(update);
+    return this.getMQTTConfiguration();
+  }
+
+  /**
+   * Returns the MQTT settings that can be copied to other devices.
+   * @returns {Promise<Object>}
+   */
+  async exportMQTTSettings() {
+    return getCopyableMQTTSettings(await this._getAPI().getMQTTSettings());
+  }
+
+  /**
+   * Writes MQTT settings copied from another device.
+   * @param {Object} settings - Settings from exportMQTTSettings
+   * @returns {Promise<void>}
+   */
+  async importMQTTSettings(settings) {
+    this.log(`Applying MQTT settings copied from another device (broker: ${settings.url || 'none'})`);
+    await this._getAPI().updateMQTTSettings(settings);
+  }
+
+  // ============================================================================
+  // NETWORK MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Reads the WiFi and Ethernet configuration of the device for the repair view.
+   * @returns {Promise<{wifi: Object, ethernet: Object}>}
+   */
+  async getNetworkConfiguration() {
+    const api = this._getAPI();
+    const wifi = await api.getWiFiSettings();
+    const ethernet = await api.getEthernetSettings();
+    return { wifi: parseWiFiSettings(wifi), ethernet: parseEthernetSettings(ethernet) };
+  }
+
+  /**
+   * Lets the device scan for WiFi networks.
+   * @returns {Promise<Array<Object>>} Networks from normalizeScanResults, strongest first
+   */
+  async scanWiFiNetworks() {
+    return normalizeScanResults(await this._getAPI().scanWiFiNetworks());
+  }
+
+  /**
+   * Validates and writes the WiFi station configuration.
+   * Changes that can drop the connection are only written when confirmed.
+   *
+   * @param {Object} values - Form values, see buildWiFiUpdate
+   * @param {Object} [options]
+   * @param {boolean} [options.confirmed=false] - The user accepted that the connection may drop
+   * @returns {Promise<{applied: boolean, confirmationRequired?: boolean}>}
+   */
+  async updateWiFiConfiguration(values, { confirmed = false } = {}) {
+    const current = await this.getNetworkConfiguration();
+    const update = buildWiFiUpdate(values, current.ethernet);
+
+    const result = await this._applyNetworkChange('WiFi', current.wifi, update, confirmed,
+      () => this._getAPI().updateWiFiSettings(update));
+    if (result.applied) this._startNetworkRediscovery();
+    return result;
+  }
+
+  /**
+   * Validates and writes the Ethernet configuration, switching between DHCP and a static address.
+   * Changes that can drop the connection are only written when confirmed.
+   *
+   * @param {Object} values - Form values, see buildEthernetUpdate
+   * @param {Object} [options]
+   * @param {boolean} [options.confirmed=false] - The user accepted that the connection may drop
+   * @returns {Promise<{applied: boolean, confirmationRequired?: boolean}>}
+   */
+  async updateEthernetConfiguration(values, { confirmed = false } = {}) {
+    const current = await this.getNetworkConfiguration();
+    const update = buildEthernetUpdate(values, current.wifi);
+
+    const result = await this._applyNetworkChange('Ethernet', current.ethernet, update, confirmed,
+      () => this._getAPI().updateEthernetSettings(update));
+    if (!result.applied) return result;
+
+    // Manually added devices are not found through mDNS, so follow a new static address directly
+    // when Homey reached the device on its Ethernet address
+    const store = this.getStore();
+    if (store.manual && update.ip && store.address === current.ethernet.ip) {
+      await this.driver.updateDeviceStore(this, { address: update.ip });
+    }
+
+    this._startNetworkRediscovery();
+    return result;
+  }
+
+  /**
+   * Writes a network change unless it needs confirmation first.
+   * @private
+   * @param {string} label - Interface name for logging
+   * @param {Object} current - Current form fields of the interface
+   * @param {Object} update - Validated update
+   * @param {boolean} confirmed - The user accepted that the connection may drop
+   * @param {Function} write - Sends the update to the device
+   * @returns {Promise<{applied: boolean, confirmationRequired?: boolean}>}
+   */
+  async _applyNetworkChange(label, current, update, confirmed, write) {
+    if (!isDisruptiveChange(current, update)) {
+      return { applied: false };
+    }
+    if (!confirmed) {
+      return { applied: false, confirmationRequired: true };
+    }
+
+    this.log(`Updating ${label} settings, the connection may drop while the device switches`);
+    await write();
+    return { applied: true };
+  }
+
+  /**
+   * Looks for the device again after a network change, using mDNS through refreshDeviceIP.
+   * Stops once the device answers; after the last attempt the stream reconnect takes over.
+   * @private
+   */
+  _startNetworkRediscovery() {
+    this._stopNetworkRediscovery();
+    this._scheduleNetworkRediscovery(1);
+  }
+
+  /**
+   * Schedules one rediscovery attempt; a failed attempt schedules the next one.
+   * @private
+   * @param {number} attempt - Attempt number, starting at 1
+   */
+  _scheduleNetworkRediscovery(attempt) {
+    this._networkRediscoveryTimer = this.homey.setTimeout(async () => {
+      this._networkRediscoveryTimer = null;
+      try {
+        await refreshDeviceIP(this, this.driver);
+        await this._getAPI().getSystemInfo();
+      } catch (error) {
+        if (attempt < NETWORK_REDISCOVERY_ATTEMPTS && !this._isDeleted) {
+          this._scheduleNetworkRediscovery(attempt + 1);
+        } else {
+          this.log('Device not found after network change, leaving it to the stream reconnect');
+        }
+        return;
+      }
+
+      this.log(`Device reachable at ${this.getStore().address} after network change`);
+      await this._reinitializeConnection(this.getSettings())
+        .catch((error) => this.error('Failed to reconnect after network change:', error.message));
+    }, this._networkRediscoveryDelay);
+  }
+
+  /**
+   * Cancels a pending rediscovery attempt.
+   * @private
+   */
+  _stopNetworkRediscovery() {
+    if (this._networkRediscoveryTimer) {
+      this.homey.clearTimeout(this._networkRediscoveryTimer);
+      this._networkRediscoveryTimer = null;
+    }
+  }
+
+  // ============================================================================
+  // METER SCALERS
+  // ============================================================================
+
+  /**
+   * Reads the meter and custom scalers with a live sample for the scaler editor.
+   * @returns {Promise<{current: Object, custom: Object, effective: Object, sample: Object}>}
+   */
+  async getScalerConfiguration() {
+    const api = this._getAPI();
+    const current = await api.getCurrentScalers();
+    const custom = await api.getCustomScalers();
+    const sample = convertReport(await api.getReport());
+
+    return {
+      current, custom, effective: getEffectiveScalers(current, custom), sample,
+    };
+  }
+
+  /**
+   * Shows what the latest sample becomes with the given scalers, without changing anything.
+   *
+   * @param {Object} values - Form values, see buildCustomScalers
+   * @returns {Promise<{custom: Object, rows: Array<Object>, warnings: string[]}>}
+   */
+  async previewScalers(values) {
+    const { current, effective, sample } = await this.getScalerConfiguration();
+    const custom = buildCustomScalers(values, current);
+    return { custom, ...previewScaledValues(sample, effective, getEffectiveScalers(current, custom)) };
+  }
+
+  /**
+   * Writes custom scalers and sets up the capabilities again with the corrected readings.
+   *
+   * @param {Object} values - Form values, see buildCustomScalers
+   * @returns {Promise<Object>} The custom scalers written
+   */
+  async applyScalers(values) {
+    const api = this._getAPI();
+    const custom = buildCustomScalers(values, await api.getCurrentScalers());
+
+    this.log(`Applying custom scalers: ${JSON.stringify(custom)}`);
+    await api.setCustomScalers(custom);
+    await this._initCapabilities();
+    return custom;
+  }
+
+  // ============================================================================
+  // DEVICE VARIABLES
+  // ============================================================================
+
+  /**
+   * Starts polling the variables selected in settings and removes capabilities and Flow
+   * tokens of variables that are no longer selected. Without a selection the variables are
+   * read once, so the settings can list what the device offers.
+   * @private
+   * @param {Object} [settings] - Device settings, defaults to the saved settings
+   */
+  async _initVariables(settings = this.getSettings()) {
+    this._stopVariablePolling();
+    const selection = parseVariableSelection(settings.variables_selected);
+    await this._removeUnselectedVariables(selection);
+
+    if (selection.length === 0) {
+      await this._onVariables(await this._getAPI().getVariables(), selection);
+      return;
+    }
+
+    this.log(`Polling device variables: ${selection.join(', ')}`);
+    this.variablesPoller = new WhatwattPoller({
+      homey: this.homey,
+      name: 'variables',
+      fetchReport: () => this._getAPI().getVariables(),
+      interval: settings.variables_interval ? settings.variables_interval * 1000 : DEFAULT_VARIABLES_INTERVAL,
+      logger: (message) => this.log(`[Variables] ${message}`),
+      onData: (response) => {
+        this._onVariables(response, selection).catch((error) => this.error('Error handling variables:', error.message));
+      },
+      onError: (error) => this._handleAuthenticationFailure(error),
+    });
+    this.variablesPoller.start();
+  }
+
+  /**
+   * Stops variable polling.
+   * @private
+   */
+  _stopVariablePolling() {
+    if (this.variablesPoller) {
+      this.variablesPoller.stop();
+      this.variablesPoller = null;
+    }
+  }
+
+  /**
+   * Updates capabilities, Flow tokens and triggers for the selected variables.
+   * @private
+   * @param {Array|Object} response - Response of getVariables
+   * @param {string[]} selection - Selected variable names
+   */
+  async _onVariables(response, selection) {
+    if (this._isDeleted) return;
+    const variables = flattenVariables(response);
+    await this._updateAvailableVariables(Object.keys(variables));
+
+    for (const name of selection) {
+      if (!(name in variables)) continue;
+      const value = variables[name];
+
+      if (typeof value === 'number') {
+        await this._setVariableCapability(name, value);
+      }
+      await this._setVariableToken(name, value);
+
+      const previous = this._variableValues.get(name);
+      this._variableValues.set(name, value);
+      if (previous !== undefined && previous !== value) {
+        this.driver.triggerFlow('variable_changed', this, {
+          variable: name, value: String(value), previous: String(previous),
+        }, { variable: name });
+      }
+    }
+  }
+
+  /**
+   * Lists the variable names reported by the device in the settings.
+   * @private
+   * @param {string[]} names - Variable names
+   */
+  async _updateAvailableVariables(names) {
+    const shown = names.slice(0, 30).join(', ');
+    const text = names.length > 30 ? `${shown} (+${names.length - 30} more)` : shown || 'None';
+    if (this.getSetting('variables_available') === text) return;
+
+    await this.setSettings({ variables_available: text })
+      .catch((error) => this.error('Failed to update available variables setting:', error.message));
+  }
+
+  /**
+   * Shows a numeric variable as a sensor capability titled with the variable name.
+   * @private
+   * @param {string} name - Variable name
+   * @param {number} value - Variable value
+   */
+  async _setVariableCapability(name, value) {
+    const capability = getVariableCapabilityId(name);
+    const isNew = !this.hasCapability(capability);
+
+    await updateCapability(this, capability, value);
+    if (isNew && this.hasCapability(capability)) {
+      await this.setCapabilityOptions(capability, { title: { en: name } })
+        .catch((error) => this.error(`Failed to set title of ${capability}:`, error.message));
+    }
+  }
+
+  /**
+   * Publishes a variable as a global Flow token, created on first use.
+   * The token is created again when the value type changes, as token types are fixed.
+   * @private
+   * @param {string} name - Variable name
+   * @param {number|string|boolean} value - Variable value
+   */
+  async _setVariableToken(name, value) {
+    const type = getVariableTokenType(value);
+    let entry = this._variableTokens.get(name);
+
+    if (entry && entry.type !== type) {
+      await this._unregisterVariableToken(name);
+      entry = null;
+    }
+
+    if (!entry) {
+      const token = await this.homey.flow.createToken(`variable_${this.getData().id}_${toVariableId(name)}`, {
+        type,
+        title: `${this.getName()} ${name}`,
+        value,
+      });
+      this._variableTokens.set(name, { token, type });
+      return;
+    }
+
+    await entry.token.setValue(value);
+  }
+
+  /**
+   * Removes the global Flow token of a variable.
+   * @private
+   * @param {string} name - Variable name
+   */
+  async _unregisterVariableToken(name) {
+    const entry = this._variableTokens.get(name);
+    if (!entry) return;
+
+    this._variableTokens.delete(name);
+    await this.homey.flow.unregisterToken(entry.token)
+      .catch((error) => this.error(`Failed to remove Flow token for ${name}:`, error.message));
+  }
+
+  /**
+   * Removes capabilities and Flow tokens of variables that are no longer selected.
+   * @private
+   * @param {string[]} selection - Selected variable names
+   */
+  async _removeUnselectedVariables(selection) {
+    const selectedCapabilities = selection.map(getVariableCapabilityId);
+    for (const capability of this.getCapabilities()) {
+      if (capability.startsWith(`${VARIABLE_CAPABILITY}.`) && !selectedCapabilities.includes(capability)) {
+        await this.removeCapability(capability)
+          .catch((error) => this.error(`Failed to remove capability ${capability}:`, error.message));
+      }
+    }
+
+    for (const name of [...this._variableTokens.keys()]) {
+      if (!selection.includes(name)) await this._unregisterVariableToken(name);
+    }
+    for (const name of [...this._variableValues.keys()]) {
+      if (!selection.includes(name)) this._variableValues.delete(name);
+    }
+  }
+
 };
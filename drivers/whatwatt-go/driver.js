@@ -2,8 +2,36 @@
 
 const Homey = require('homey');
 const WhatwattAPI = require('../../lib/whatwattapi');
-const { refreshDeviceIP, formatDeviceName } = require('../../lib/utils');
-const { DEFAULT_TIMEOUT, PAIRING_TIMEOUT } = require('../../lib/constants');
+const { refreshDeviceIP, formatDeviceName, isValidNumber } = require('../../lib/utils');
+const { PAIRING_TIMEOUT } = require('../../lib/constants');
+const { getBackupOnlySections } = require('../../lib/backup');
+const { AuthenticationError, EndpointDisabledError, MalformedResponseError } = require('../../lib/errors');
+
+/** Device ID of the list entry that opens the manual pairing view. */
+const MANUAL_ENTRY_ID = 'manual';
+
+/** Threshold definition per threshold trigger card, from the arguments of a Flow. */
+const THRESHOLD_TRIGGERS = {
+  power_above: (args) => ({ threshold: args.power, direction: 'above', duration: args.duration * 1000 }),
+  power_below: (args) => ({ threshold: args.power, direction: 'below', duration: args.duration * 1000 }),
+  phase_current_above: (args) => ({ threshold: args.current, direction: 'above', duration: args.duration * 1000 }),
+  quarter_peak_projected_above: (args) => ({ threshold: args.power, direction: 'above', duration: 0 }),
+};
+
+/**
+ * Returns the threshold a Flow's arguments describe, with a key shared by all Flows that use
+ * the same threshold and duration.
+ *
+ * @param {string} cardId - Threshold trigger card ID
+ * @param {Object} args - Flow arguments
+ * @returns {{key: string, threshold: number, direction: string, duration: number}}
+ */
+function getThreshold(cardId, args) {
+  const { threshold, direction, duration } = THRESHOLD_TRIGGERS[cardId](args);
+  return {
+    key: `${cardId}:${threshold}:${duration}`, threshold, direction, duration,
+  };
+}
 
 /**
  * Driver for whatwatt Go devices.
@@ -16,6 +44,7 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
    */
   async onInit() {
     this.log('whatwatt Go Driver has been initialized');
+    this._registerFlowCards();
   }
 
   /**
@@ -25,6 +54,152 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
     this.log('whatwatt Go Driver has been uninitialized');
   }
 
+  /**
+   * Registers Flow trigger, condition and action cards.
+   * Threshold triggers only check whether the threshold of their Flow was crossed; the device
+   * evaluates the thresholds once per sample, see getFlowThresholds.
+   * @private
+   */
+  _registerFlowCards() {
+    this._triggerCards = {};
+    this._flowThresholds = new Map();
+
+    this._registerTrigger('power_above', (args, state) => state.crossed.includes(getThreshold('power_above', args).key));
+    this._registerTrigger('power_below', (args, state) => state.crossed.includes(getThreshold('power_below', args).key));
+    this._registerTrigger('phase_current_above', (args, state) => {
+      if (args.phase !== 'any' && Number(args.phase) !== state.phase) return false;
+      return state.crossed.includes(getThreshold('phase_current_above', args).key);
+    });
+
+    this._registerTrigger('phase_overload', (args, state) => args.phase === 'any' || Number(args.phase) === state.phase);
+
+    this._registerTrigger('voltage_excursion_started', (args, state) => args.type === 'any' || args.type === state.type);
+    this._registerTrigger('voltage_excursion_ended', (args, state) => args.type === 'any' || args.type === state.type);
+
+    this._registerTrigger('export_started');
+    this._registerTrigger('export_stopped');
+
+    this._registerTrigger('quarter_peak_projected_above', (args, state) => state.crossed.includes(getThreshold('quarter_peak_projected_above', args).key));
+
+    this._registerTrigger('energy_period_ended', (args, state) => args.period === state.period);
+
+    this._registerTrigger('variable_changed', (args, state) => !args.variable || args.variable.trim() === state.variable);
+
+    this.homey.flow.getConditionCard('is_power_above')
+      .registerRunListener(async (args) => args.device.getCapabilityValue('measure_power') > args.power);
+
+    this.homey.flow.getConditionCard('is_exporting')
+      .registerRunListener(async (args) => args.device.isExporting());
+
+    this.homey.flow.getConditionCard('is_phase_current_above')
+      .registerRunListener(async (args) => {
+        const currents = args.device.getPhaseCurrents();
+        if (args.phase === 'any') {
+          return currents.some((current) => current !== null && current > args.current);
+        }
+        const current = currents[Number(args.phase) - 1];
+        return current !== null && current > args.current;
+      });
+
+    this.homey.flow.getActionCard('reboot_device')
+      .registerRunListener(async (args) => args.device.rebootDevice());
+
+    this.homey.flow.getActionCard('start_wps')
+      .registerRunListener(async (args) => args.device.startWPSPairing());
+
+    this.homey.flow.getActionCard('set_report_interval')
+      .registerRunListener(async (args) => args.device.setReportInterval(args.interval));
+
+    this.homey.flow.getActionCard('set_energy_price')
+      .registerRunListener(async (args) => args.device.setEnergyPrice(args.price));
+
+    this.homey.flow.getActionCard('backup_configuration')
+      .registerRunListener(async (args) => {
+        await args.device.backupConfiguration(args.label || undefined);
+      });
+
+    this.homey.flow.getActionCard('copy_mqtt_config')
+      .registerRunListener(async (args) => this.copyMQTTConfiguration(args.device));
+  }
+
+  /**
+   * Looks up a device trigger card and optionally attaches a run listener.
+   * @private
+   * @param {string} cardId - Flow card ID
+   * @param {Function} [runListener] - Receives (args, state) and returns whether the Flow should run
+   */
+  _registerTrigger(cardId, runListener) {
+    const card = this.homey.flow.getDeviceTriggerCard(cardId);
+    if (runListener) {
+      card.registerRunListener(async (args, state) => runListener(args, state));
+    }
+    if (THRESHOLD_TRIGGERS[cardId]) {
+      // Homey emits update when a Flow using the card is added, changed or removed
+      card.on('update', () => this._flowThresholds.delete(cardId));
+    }
+    this._triggerCards[cardId] = card;
+  }
+
+  /**
+   * Fires a device trigger card. Errors are logged rather than thrown so Flow issues never
+   * interrupt live data processing.
+   *
+   * @param {string} cardId - Flow card ID
+   * @param {Homey.Device} device - Device that triggers the card
+   * @param {Object} [tokens] - Flow tokens
+   * @param {Object} [state] - State passed to the run listener
+   */
+  async triggerFlow(cardId, device, tokens = {}, state = {}) {
+    const card = this._triggerCards?.[cardId];
+    if (!card) return;
+
+    await card.trigger(device, tokens, state)
+      .catch((error) => this.error(`Failed to trigger Flow card ${cardId}:`, error.message));
+  }
+
+  /**
+   * Returns the distinct thresholds of the Flows that use a threshold trigger card for a device.
+   * The thresholds are read from the Flow arguments once per card and device and kept until
+   * the card reports that its Flows changed, so the sample path does not query Homey.
+   * Errors are logged and give no thresholds, like failed triggers, and are not cached.
+   *
+   * @param {string} cardId - Threshold trigger card ID
+   * @param {Homey.Device} device - Device the Flows belong to
+   * @returns {Promise<Array<{key: string, threshold: number, direction: string, duration: number}>>}
+   */
+  async getFlowThresholds(cardId, device) {
+    const card = this._triggerCards?.[cardId];
+    if (!card) return [];
+
+    if (!this._flowThresholds.has(cardId)) this._flowThresholds.set(cardId, new Map());
+    const cache = this._flowThresholds.get(cardId);
+    if (!cache.has(device)) {
+      cache.set(device, this._readFlowThresholds(cardId, card, device).catch((error) => {
+        this.error(`Failed to get Flow arguments of ${cardId}:`, error.message);
+        cache.delete(device);
+        return [];
+      }));
+    }
+    return cache.get(device);
+  }
+
+  /**
+   * Reads the distinct thresholds from the arguments of the Flows using a card.
+   * @private
+   * @param {string} cardId - Threshold trigger card ID
+   * @param {Object} card - Flow card
+   * @param {Homey.Device} device - Device the Flows belong to
+   * @returns {Promise<Array<{key: string, threshold: number, direction: string, duration: number}>>}
+   */
+  async _readFlowThresholds(cardId, card, device) {
+    const thresholds = new Map();
+    for (const args of await card.getArgumentValues(device)) {
+      const threshold = getThreshold(cardId, args);
+      thresholds.set(threshold.key, threshold);
+    }
+    return [...thresholds.values()];
+  }
+
   /**
    * Updates device store values with new connection information.
    * Enables repair process to persist IP address changes without requiring re-pairing.
@@ -79,12 +254,21 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
 
   /**
    * Manages the device pairing process with adaptive authentication flow.
-   * Determines authentication requirements by testing connectivity, then guides user through appropriate pairing steps.
+   * Follows the devices the user selected, tests each one for authentication requirements,
+   * and collects a tested password for every protected device before they are added.
    */
   async onPair(session) {
-    let selectedDevice = null;
+    let selectedDevices = [];
+    let pendingPasswordDevices = [];
+    const testedPasswords = new Map();
     let cachedPassword = '';
 
+    // Track the devices the user actually selected in the list view
+    session.setHandler('list_devices_selection', async (devices) => {
+      selectedDevices = Array.isArray(devices) ? devices : [];
+      this.log('Devices selected for pairing:', selectedDevices.map((device) => `${device.name} (${device.data.id})`));
+    });
+
     // Store password for reuse across pairing flow steps
     session.setHandler('password_entered', async ({ password }) => {
       cachedPassword = (password || '').trim();
@@ -92,72 +276,99 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
       return true;
     });
 
-    // Test password validity by establishing device connection
+    // Tell the password view which device the password is for
+    session.setHandler('get_password_device', async () => {
+      const device = pendingPasswordDevices[0];
+      if (!device) return null;
+      return { name: device.name, remaining: pendingPasswordDevices.length };
+    });
+
+    // Test password validity for the device currently asking for one
     session.setHandler('test_password', async () => {
-      if (!selectedDevice) {
+      const device = pendingPasswordDevices[0];
+      if (!device) {
         return { success: false, message: 'No device selected' };
       }
 
       try {
         const connectionSuccess = await WhatwattAPI.testDeviceConnection(
-          { host: selectedDevice.store.address, port: selectedDevice.store.port },
+          this.homey,
+          { host: device.store.address, port: device.store.port },
           cachedPassword,
         );
 
         if (!connectionSuccess) {
-          return { success: false, message: 'Password is incorrect or connection failed' };
+          return { success: false, message: `Password is incorrect or connection failed for ${device.name}` };
         }
-
-        return { success: true };
       } catch (error) {
         this.log('Password test error during pairing:', error.message);
         return { success: false, message: `Connection test failed: ${error.message}` };
       }
+
+      testedPasswords.set(device.data.id, cachedPassword);
+      pendingPasswordDevices.shift();
+      cachedPassword = '';
+      this.log(`Password accepted for ${device.name} (${device.data.id}), ${pendingPasswordDevices.length} device(s) remaining`);
+
+      const next = pendingPasswordDevices[0];
+      return {
+        success: true,
+        done: !next,
+        next: next ? { name: next.name, remaining: pendingPasswordDevices.length } : null,
+      };
     });
 
     session.setHandler('list_devices', async () => {
       const devices = await this.onPairListDevices();
-      return devices;
+
+      // mDNS does not cross VLANs; offer manual entry instead of an empty list
+      if (devices.length === 0) {
+        this.log('No devices discovered via mDNS, showing manual pairing view');
+        await session.showView('pair_manual');
+        return devices;
+      }
+
+      // Devices on other network segments can still be added by address
+      return [...devices, {
+        name: this.homey.__('pair.pair_manual.list_entry'),
+        data: { id: MANUAL_ENTRY_ID },
+      }];
+    });
+
+    // Validate a manually entered address and build the device to add
+    session.setHandler('manual_connect', async ({ host, port, password }) => {
+      return this._connectManualDevice(host, port, password);
     });
 
     // Control view navigation and determine authentication requirements
     session.setHandler('showView', async (viewId) => {
       if (viewId === 'loading') {
-        // Retrieve the selected device from session (Homey manages selection internally)
-        try {
-          const devices = await this.onPairListDevices();
-          if (devices.length > 0) {
-            selectedDevice = devices[0];
-            this.log(`Using selected device: ${selectedDevice.name} (${selectedDevice.data.id})`);
-          } else {
-            this.log('No devices available, cannot proceed');
-            return;
-          }
-        } catch (error) {
-          this.log('Error getting devices from session:', error.message);
+        if (selectedDevices.length === 0) {
+          this.log('No devices selected, cannot proceed');
           return;
         }
 
-        try {
-          this.log('Testing connection during pairing for device:', selectedDevice.name);
-          const connectionSuccess = await WhatwattAPI.testDeviceConnection(
-            { host: selectedDevice.store.address, port: selectedDevice.store.port },
-            '',
-            PAIRING_TIMEOUT,
-          );
-
-          if (connectionSuccess) {
-            // Device accessible without authentication, proceed to device creation
-            this.log('Device does not require password, proceeding to device creation');
-            await session.showView('add_whatwatt_devices');
-          } else {
-            // Authentication required, present password input interface
-            this.log('Device requires password, showing password test view');
-            await session.showView('pair_password');
+        if (selectedDevices.some((device) => device.data.id === MANUAL_ENTRY_ID)) {
+          this.log('Manual entry selected, showing manual pairing view');
+          await session.showView('pair_manual');
+          return;
+        }
+
+        testedPasswords.clear();
+        pendingPasswordDevices = [];
+        for (const device of selectedDevices) {
+          if (await this._requiresPassword(device)) {
+            pendingPasswordDevices.push(device);
           }
-        } catch (error) {
-          this.log('Connection test failed, assuming password is required:', error.message);
-          // Default to password flow when connection testing fails
+        }
+
+        if (pendingPasswordDevices.length === 0) {
+          // All devices accessible without authentication, proceed to device creation
+          this.log('No selected device requires a password, proceeding to device creation');
+          await session.showView('add_whatwatt_devices');
+        } else {
+          // Authentication required, present password input interface
+          this.log(`${pendingPasswordDevices.length} device(s) require a password, showing password test view`);
           await session.showView('pair_password');
         }
       }
@@ -167,23 +378,129 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
       }
 
       if (viewId === 'add_whatwatt_devices') {
-        // Persist validated password for device operation
-        if (selectedDevice && cachedPassword) {
-          const passwordKey = `password_${selectedDevice.data.id}`;
-          await this.homey.settings.set(passwordKey, cachedPassword);
-          this.log(`Added tested password to ManagerSettings for device ${selectedDevice.name} (${selectedDevice.data.id})`);
+        // Persist validated passwords for device operation, each under its own device ID
+        for (const [deviceId, password] of testedPasswords) {
+          if (!password) continue;
+          await this.homey.settings.set(`password_${deviceId}`, password);
+          this.log(`Added tested password to ManagerSettings for device ${deviceId}`);
         }
       }
     });
   }
 
+  /**
+   * Tests whether a discovered device can be reached without a password.
+   * Connection failures are treated as requiring a password so the user gets a chance
+   * to enter one and see the connection error.
+   * @private
+   * @param {Object} device - Pairing device object from onPairListDevices
+   * @returns {Promise<boolean>}
+   */
+  async _requiresPassword(device) {
+    try {
+      this.log('Testing connection during pairing for device:', device.name);
+      const connectionSuccess = await WhatwattAPI.testDeviceConnection(
+        this.homey,
+        { host: device.store.address, port: device.store.port },
+        '',
+        PAIRING_TIMEOUT,
+      );
+      this.log(`Device ${device.name} ${connectionSuccess ? 'does not require' : 'requires'} a password`);
+      return !connectionSuccess;
+    } catch (error) {
+      this.log('Connection test failed, assuming password is required:', error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Validates a manually entered whatwatt Go and returns the device object for pairing.
+   * Uses the device ID reported by the device itself so the device data stays stable
+   * when the address changes later. The tested password travels in the device settings, so
+   * nothing is stored when pairing is cancelled or fails.
+   * @private
+   * @param {string} host - IP address or hostname entered by the user
+   * @param {number|string} [port] - Port entered by the user, defaults to 80
+   * @param {string} [password] - Web UI password if protection is enabled
+   * @returns {Promise<{success: boolean, message?: string, device?: Object}>}
+   */
+  async _connectManualDevice(host, port, password) {
+    const address = (host || '').trim().replace(/^https?:\/\//i, '').replace(/\/.*$/, '');
+    const devicePort = Number(port) || 80;
+    const devicePassword = (password || '').trim();
+
+    if (!address) {
+      return { success: false, message: 'Please enter an IP address or hostname' };
+    }
+
+    if (!isValidNumber(devicePort, 1, 65535)) {
+      return { success: false, message: 'Please enter a valid port (1-65535)' };
+    }
+
+    this.log(`Validating manually entered device at ${address}:${devicePort}`);
+
+    let systemInfo;
+    try {
+      const api = new WhatwattAPI({
+        host: address,
+        port: devicePort,
+        password: devicePassword,
+        authScheme: 'auto',
+        timeout: PAIRING_TIMEOUT,
+        homey: this.homey,
+      });
+      systemInfo = await api.getSystemInfo();
+    } catch (error) {
+      this.log('Manual device validation failed:', error.message);
+      if (error instanceof AuthenticationError) {
+        return { success: false, message: devicePassword ? 'Password is incorrect' : 'This device requires a password' };
+      }
+      if (error instanceof EndpointDisabledError || error instanceof MalformedResponseError) {
+        return { success: false, message: `The device at ${address}:${devicePort} does not look like a whatwatt Go` };
+      }
+      return { success: false, message: `Could not reach a whatwatt Go at ${address}:${devicePort}` };
+    }
+
+    const deviceId = systemInfo?.device?.id;
+    if (!deviceId) {
+      return { success: false, message: 'The device did not report a device ID; is this a whatwatt Go?' };
+    }
+
+    if (this.getDevices().some((device) => device.getData().id === deviceId)) {
+      return { success: false, message: 'This whatwatt Go has already been added' };
+    }
+
+    const device = {
+      name: formatDeviceName({ id: deviceId }),
+      data: {
+        id: deviceId,
+      },
+      store: {
+        address,
+        port: devicePort,
+        manual: true,
+      },
+      // Moved to ManagerSettings by the device once it has been added, see Device#onInit
+      settings: devicePassword ? { password: devicePassword } : {},
+    };
+
+    this.log(`Manually added device validated: ${device.name} (${deviceId})`);
+    return { success: true, device };
+  }
+
   /**
    * Manages device repair process for updating credentials and refreshing device state.
-   * Enables users to fix connection issues and update authentication without requiring re-pairing.
+   * Enables users to fix connection issues, update authentication and re-trust a changed
+   * HTTPS certificate without requiring re-pairing.
    */
   async onRepair(session, device) {
     let cachedPassword = '';
 
+    // Lets the repair view offer re-trusting the certificate after a mismatch
+    session.setHandler('get_certificate_status', async () => {
+      return device.getCertificateStatus();
+    });
+
     // Store password from repair interface for validation
     session.setHandler('password_entered', async ({ password }) => {
       cachedPassword = (password || '').trim();
@@ -191,10 +508,58 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
       return true;
     });
 
-    session.setHandler('repair_device', async () => {
+    this._registerBackupHandlers(session, device);
+
+    session.setHandler('get_mqtt_settings', async () => {
+      try {
+        return { success: true, settings: await device.getMQTTConfiguration() };
+      } catch (error) {
+        this.log('Reading MQTT settings failed:', error.message);
+        return { success: false, message: `Could not read MQTT settings: ${error.message}` };
+      }
+    });
+
+    session.setHandler('save_mqtt_settings', async (values) => {
+      try {
+        return { success: true, settings: await device.updateMQTTConfiguration(values) };
+      } catch (error) {
+        this.log('Saving MQTT settings failed:', error.message);
+        return { success: false, message: error.message };
+      }
+    });
+
+    this._registerNetworkHandlers(session, device);
+
+    session.setHandler('get_scalers', async () => {
+      try {
+        return { success: true, ...await device.getScalerConfiguration() };
+      } catch (error) {
+        this.log('Reading scalers failed:', error.message);
+        return { success: false, message: `Could not read scalers: ${error.message}` };
+      }
+    });
+
+    session.setHandler('preview_scalers', async (values) => {
+      try {
+        return { success: true, ...await device.previewScalers(values) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    });
+
+    session.setHandler('apply_scalers', async (values) => {
+      try {
+        return { success: true, custom: await device.applyScalers(values) };
+      } catch (error) {
+        this.log('Applying scalers failed:', error.message);
+        return { success: false, message: error.message };
+      }
+    });
+
+    session.setHandler('repair_device', async ({ trustCertificate } = {}) => {
       this.log('Starting device repair process');
       try {
-        const result = await this._runRepairSteps(device, cachedPassword);
+        const result = await this._runRepairSteps(device, cachedPassword, trustCertificate);
         return result;
       } catch (error) {
         this.log('Device repair failed:', error.message);
@@ -204,29 +569,180 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
   }
 
   /**
-   * Executes repair steps: IP refresh, password validation, capability init, event stream restart.
+   * Copies the MQTT configuration of one device to all other whatwatt Go devices.
+   * Every device is attempted; failures are collected and reported together.
+   *
+   * @param {Homey.Device} source - Device to copy the configuration from
+   * @returns {Promise<void>}
+   * @throws {Error} When one or more devices could not be updated
+   */
+  async copyMQTTConfiguration(source) {
+    const settings = await source.exportMQTTSettings();
+    const targets = this.getDevices().filter((device) => device !== source);
+    this.log(`Copying MQTT settings from ${source.getName()} to ${targets.length} device(s)`);
+
+    const failed = [];
+    for (const target of targets) {
+      try {
+        await target.importMQTTSettings(settings);
+      } catch (error) {
+        this.error(`Copying MQTT settings to ${target.getName()} failed:`, error.message);
+        failed.push(target.getName());
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`MQTT settings could not be copied to ${failed.join(', ')}`);
+    }
+  }
+
+  /**
+   * Registers the WiFi and Ethernet handlers of the repair session.
+   * Saving answers `confirmationRequired` first when the change can drop the connection; the view
+   * asks the user and sends the same values again with `confirmed: true`.
+   * @private
+   * @param {Object} session - Repair session
+   * @param {Homey.Device} device - Device being repaired
+   */
+  _registerNetworkHandlers(session, device) {
+    const save = async (label, update, { confirmed, ...values }) => {
+      try {
+        const result = await update(values, { confirmed: confirmed === true });
+        if (result.confirmationRequired) {
+          return {
+            success: false,
+            confirmationRequired: true,
+            message: `Changing the ${label} settings can disconnect the device. Homey will look for it again afterwards.`,
+          };
+        }
+        return { success: true, applied: result.applied };
+      } catch (error) {
+        this.log(`Saving ${label} settings failed:`, error.message);
+        return { success: false, message: error.message };
+      }
+    };
+
+    session.setHandler('get_network_settings', async () => {
+      try {
+        return { success: true, ...await device.getNetworkConfiguration() };
+      } catch (error) {
+        this.log('Reading network settings failed:', error.message);
+        return { success: false, message: `Could not read network settings: ${error.message}` };
+      }
+    });
+
+    session.setHandler('scan_wifi', async () => {
+      try {
+        return { success: true, networks: await device.scanWiFiNetworks() };
+      } catch (error) {
+        this.log('WiFi scan failed:', error.message);
+        return { success: false, message: `WiFi scan failed: ${error.message}` };
+      }
+    });
+
+    session.setHandler('save_wifi', async (data) => save('WiFi', (values, options) => device.updateWiFiConfiguration(values, options), data));
+    session.setHandler('save_ethernet', async (data) => save('Ethernet', (values, options) => device.updateEthernetConfiguration(values, options), data));
+  }
+
+  /**
+   * Registers the backup and restore handlers of the repair session.
+   * Backups of all whatwatt Go devices are offered, so a snapshot can be restored to a replacement meter.
+   * @private
+   * @param {Object} session - Repair session
+   * @param {Homey.Device} device - Device being repaired, the restore target
+   */
+  _registerBackupHandlers(session, device) {
+    const findBackup = (backupId) => {
+      for (const candidate of this.getDevices()) {
+        const snapshot = candidate.getConfigurationBackups().find((backup) => backup.id === backupId);
+        if (snapshot) return snapshot;
+      }
+      throw new Error('Backup not found');
+    };
+
+    session.setHandler('list_backups', async () => {
+      return this.getDevices().flatMap((candidate) => candidate.getConfigurationBackups().map((backup) => ({
+        id: backup.id,
+        label: backup.label,
+        createdAt: backup.createdAt,
+        deviceName: candidate.getName(),
+        firmware: backup.device.firmware,
+        sameDevice: backup.device.id === device.getData().id,
+      })));
+    });
+
+    session.setHandler('create_backup', async () => {
+      try {
+        const snapshot = await device.backupConfiguration();
+        return { success: true, id: snapshot.id };
+      } catch (error) {
+        this.log('Configuration backup failed:', error.message);
+        return { success: false, message: `Backup failed: ${error.message}` };
+      }
+    });
+
+    session.setHandler('preview_restore', async ({ backupId }) => {
+      try {
+        const snapshot = findBackup(backupId);
+        const changes = await device.previewConfigurationRestore(snapshot);
+        return {
+          success: true,
+          changes,
+          redacted: snapshot.redacted,
+          backupOnly: getBackupOnlySections().filter((section) => snapshot.sections[section] !== undefined),
+        };
+      } catch (error) {
+        this.log('Restore preview failed:', error.message);
+        return { success: false, message: `Could not compare backup: ${error.message}` };
+      }
+    });
+
+    session.setHandler('restore_backup', async ({ backupId }) => {
+      try {
+        const result = await device.restoreConfiguration(findBackup(backupId));
+        if (result.success) {
+          return { success: true, message: `Restored ${result.restored.length} section(s)` };
+        }
+
+        let message = `Restoring ${result.failedSection} failed: ${result.error}.`;
+        message += result.rolledBack.length > 0 ? ` Rolled back: ${result.rolledBack.join(', ')}.` : ' No changes were made.';
+        if (result.rollbackErrors.length > 0) {
+          message += ` Rollback failed for ${result.rollbackErrors.join('; ')}`;
+        }
+        return { success: false, message };
+      } catch (error) {
+        this.log('Configuration restore failed:', error.message);
+        return { success: false, message: `Restore failed: ${error.message}` };
+      }
+    });
+  }
+
+  /**
+   * Executes repair steps: IP refresh, optional certificate re-trust, password validation,
+   * capability init, event stream restart.
    * @private
    * @param {Homey.Device} device - Device to repair
    * @param {string} cachedPassword - Password from repair UI
+   * @param {boolean} [trustCertificate=false] - Forget the pinned certificate and trust the one presented now
    * @returns {Promise<{success: boolean, message?: string}>}
    */
-  async _runRepairSteps(device, cachedPassword) {
-    const settings = device.getSettings();
+  async _runRepairSteps(device, cachedPassword, trustCertificate = false) {
     const ipResult = await refreshDeviceIP(device, this);
 
     if (!ipResult.success) {
       this.log('IP discovery failed, using stored IP address');
     }
 
-    const connectionSuccess = await WhatwattAPI.testDeviceConnection(
-      { host: ipResult.connectionHost, port: ipResult.connectionPort },
-      cachedPassword,
-      settings.timeout || DEFAULT_TIMEOUT,
-    );
+    if (trustCertificate) {
+      await device.trustNewCertificate();
+    }
 
-    if (!connectionSuccess) {
-      this.log('Password test failed during repair');
-      return { success: false, message: 'Password is incorrect or connection failed' };
+    // Tests with the device's own protocol, port and certificate pin, not just plain HTTP
+    try {
+      await device._validateConnectionSettings(device.getSettings(), cachedPassword);
+    } catch (error) {
+      this.log('Password test failed during repair:', error.message);
+      return { success: false, message: error.message };
     }
 
     this.log('Password test successful during repair');
@@ -236,6 +752,7 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
       device.eventStream.stop();
       device.eventStream = null;
     }
+    device._stopPolling();
 
     const passwordKey = `password_${device.getData().id}`;
     if (cachedPassword !== undefined) {
@@ -254,8 +771,11 @@ module.exports = class whatwattGoDriver extends Homey.Driver {
     this.log('Re-running meter information setup during repair');
     await device._initMeterInformation();
 
+    device.clearAuthenticationFailure();
+
     this.log('Restarting event stream after repair');
     device._initializeEventStream();
+    device._initVariables().catch((error) => this.error('Failed to restart device variables after repair:', error.message));
 
     this.log('Device repair completed successfully');
     return { success: true, message: 'Device repaired successfully' };
@@ -5,50 +5,195 @@
  *
  * Detects Digest vs Basic auth scheme and creates authenticated fetch functions.
  * Devices with firmware 1.10+ use Digest; older firmware uses Basic.
+ * Requests go through undici's fetch, the same package that provides the TLS dispatcher, so
+ * the dispatcher is honoured on every supported Node.js version.
  */
 
-const DigestClient = require('digest-fetch');
+const crypto = require('crypto');
+const { fetch } = require('undici');
 const { DEFAULT_TIMEOUT } = require('./constants');
+const { WhatwattError, toWhatwattError } = require('./errors');
+
+/** Hash functions for the Digest algorithms the device may announce. */
+const DIGEST_HASHES = {
+  MD5: 'md5',
+  'SHA-256': 'sha256',
+};
 
 /**
- * Detects the authentication scheme required by the device.
- * Probes /api/v1/system without auth; on 401, parses WWW-Authenticate header.
+ * Returns a value as an RFC 7230 quoted-string, escaping quotes and backslashes.
+ * @param {string} value - Value to quote
+ * @returns {string}
+ */
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Probes the device to find the authentication it requires.
+ * Requests /api/v1/system without auth; on 401, parses WWW-Authenticate header.
  * Falls back to 'digest' for unknown schemes since newer firmware uses Digest.
+ * The challenge is returned as well, so a Digest client can answer it without another 401.
  *
+ * @param {Object} homey - Homey instance for the timeout timer
  * @param {string} host - Device host or IP
  * @param {number} [port=80] - Device port
  * @param {boolean} [https=false] - Use HTTPS
  * @param {number} [timeout=10000] - Request timeout in milliseconds
- * @returns {Promise<'digest'|'basic'|null>} Auth scheme, or null if no auth required
+ * @param {Object} [dispatcher] - fetch dispatcher carrying the TLS pinning for HTTPS
+ * @returns {Promise<{scheme: ('digest'|'basic'|null), challenge: (string|null)}>} Scheme, or null
+ *   if no auth required, and the WWW-Authenticate header of the probe
+ * @throws {TimeoutError|UnreachableError} When the device does not answer the probe
  */
-async function detectAuthScheme(host, port = 80, https = false, timeout = DEFAULT_TIMEOUT) {
+async function probeAuthentication(homey, host, port = 80, https = false, timeout = DEFAULT_TIMEOUT, dispatcher = undefined) {
   const protocol = https ? 'https' : 'http';
   const url = `${protocol}://${host}:${port}/api/v1/system`;
 
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const timeoutId = homey.setTimeout(() => controller.abort(), timeout);
 
   try {
     const response = await fetch(url, {
       method: 'GET',
       signal: controller.signal,
       headers: { Accept: 'application/json' },
+      dispatcher,
     });
-    clearTimeout(timeoutId);
+    homey.clearTimeout(timeoutId);
+
+    if (response.status === 200) return { scheme: null, challenge: null };
+
+    const challenge = response.status === 401 ? response.headers.get('www-authenticate') : null;
+    const scheme = challenge?.trim().split(/\s+/)[0]?.toLowerCase();
+    if (scheme === 'basic') return { scheme: 'basic', challenge };
+    return { scheme: 'digest', challenge };
+  } catch (error) {
+    homey.clearTimeout(timeoutId);
+    throw toWhatwattError(error, host, port);
+  }
+}
+
+/**
+ * Detects the authentication scheme required by the device.
+ * See probeAuthentication for how the scheme is determined.
+ *
+ * @param {Object} homey - Homey instance for the timeout timer
+ * @param {string} host - Device host or IP
+ * @param {number} [port=80] - Device port
+ * @param {boolean} [https=false] - Use HTTPS
+ * @param {number} [timeout=10000] - Request timeout in milliseconds
+ * @param {Object} [dispatcher] - fetch dispatcher carrying the TLS pinning for HTTPS
+ * @returns {Promise<'digest'|'basic'|null>} Auth scheme, or null if no auth required
+ */
+async function detectAuthScheme(homey, host, port = 80, https = false, timeout = DEFAULT_TIMEOUT, dispatcher = undefined) {
+  const { scheme } = await probeAuthentication(homey, host, port, https, timeout, dispatcher);
+  return scheme;
+}
+
+/**
+ * HTTP Digest authentication (RFC 7616) on top of fetch.
+ * Keeps the last challenge so follow-up requests are authorized up front, and answers a
+ * new challenge (e.g. an expired nonce) once per request.
+ * @private
+ */
+class DigestSession {
+  constructor(username, password) {
+    this.username = username;
+    this.password = password;
+    this.challenge = null;
+    this.nonceCount = 0;
+  }
 
-    if (response.status === 200) return null;
+  async fetch(url, options = {}) {
+    let response = await fetch(url, this._authorize(url, options));
 
-    if (response.status === 401) {
-      const wwwAuth = response.headers.get('www-authenticate');
-      const scheme = wwwAuth?.trim().split(/\s+/)[0]?.toLowerCase();
-      if (scheme === 'basic') return 'basic';
-      if (scheme === 'digest') return 'digest';
+    if (response.status === 401 && this._parseChallenge(response.headers.get('www-authenticate'))) {
+      // Release the connection of the rejected response before retrying
+      await response.body?.cancel().catch(() => {});
+      response = await fetch(url, this._authorize(url, options));
     }
+    return response;
+  }
 
-    return 'digest';
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
+  /**
+   * Stores a Digest challenge. Returns false when the header is not a usable Digest challenge.
+   * @param {string|null} header - WWW-Authenticate header value
+   * @returns {boolean}
+   * @throws {WhatwattError} When the challenge only offers a quality of protection other than auth
+   */
+  _parseChallenge(header) {
+    if (!header || !/^digest\s/i.test(header.trim())) return false;
+
+    const params = {};
+    const pattern = /(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/g;
+    for (let match = pattern.exec(header); match !== null; match = pattern.exec(header)) {
+      params[match[1].toLowerCase()] = match[2]?.replace(/\\(.)/g, '$1') ?? match[3];
+    }
+    if (!params.nonce) return false;
+
+    const algorithm = (params.algorithm || 'MD5').toUpperCase();
+    const sess = algorithm.endsWith('-SESS');
+    const hash = DIGEST_HASHES[sess ? algorithm.slice(0, -5) : algorithm];
+    if (!hash) return false;
+
+    // auth-int also hashes the request body, which this client does not do
+    const qops = params.qop ? params.qop.split(',').map((qop) => qop.trim()) : [];
+    if (qops.length > 0 && !qops.includes('auth')) {
+      throw new WhatwattError(`Unsupported Digest quality of protection: ${params.qop}`);
+    }
+    this.challenge = {
+      realm: params.realm || '',
+      nonce: params.nonce,
+      opaque: params.opaque,
+      algorithm,
+      hash,
+      sess,
+      qop: qops.length > 0 ? 'auth' : null,
+    };
+    this.nonceCount = 0;
+    return true;
+  }
+
+  /**
+   * Returns fetch options with a Digest Authorization header when a challenge is known.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Object}
+   */
+  _authorize(url, options) {
+    if (!this.challenge) return options;
+
+    const {
+      realm, nonce, opaque, algorithm, hash, sess, qop,
+    } = this.challenge;
+    const digest = (value) => crypto.createHash(hash).update(value).digest('hex');
+
+    const { pathname, search } = new URL(url);
+    const uri = `${pathname}${search}`;
+    const method = (options.method || 'GET').toUpperCase();
+    const cnonce = crypto.randomBytes(8).toString('hex');
+    this.nonceCount++;
+    const nc = this.nonceCount.toString(16).padStart(8, '0');
+
+    let ha1 = digest(`${this.username}:${realm}:${this.password}`);
+    if (sess) ha1 = digest(`${ha1}:${nonce}:${cnonce}`);
+    const ha2 = digest(`${method}:${uri}`);
+    const response = qop
+      ? digest(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+      : digest(`${ha1}:${nonce}:${ha2}`);
+
+    const fields = [
+      `username=${quote(this.username)}`,
+      `realm=${quote(realm)}`,
+      `nonce=${quote(nonce)}`,
+      `uri=${quote(uri)}`,
+      `algorithm=${algorithm}`,
+      `response="${response}"`,
+    ];
+    if (qop) fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+    if (opaque !== undefined) fields.push(`opaque=${quote(opaque)}`);
+
+    return { ...options, headers: { ...options.headers, Authorization: `Digest ${fields.join(', ')}` } };
   }
 }
 
@@ -58,16 +203,22 @@ async function detectAuthScheme(host, port = 80, https = false, timeout = DEFAUL
  * @param {string} username - Username (empty string for whatwatt)
  * @param {string} password - Web UI password
  * @param {'digest'|'basic'} scheme - Auth scheme to use
+ * @param {string} [challenge] - Digest challenge already received, e.g. from probeAuthentication
  * @returns {Function} Fetch-compatible function
  */
-function createAuthenticatedFetch(username, password, scheme) {
-  const client = new DigestClient(username || '', password, {
-    basic: scheme === 'basic',
-  });
-  return client.fetch.bind(client);
+function createAuthenticatedFetch(username, password, scheme, challenge = null) {
+  if (scheme === 'basic') {
+    const authorization = `Basic ${Buffer.from(`${username || ''}:${password}`).toString('base64')}`;
+    return (url, options = {}) => fetch(url, { ...options, headers: { ...options.headers, Authorization: authorization } });
+  }
+
+  const session = new DigestSession(username || '', password);
+  session._parseChallenge(challenge);
+  return (url, options) => session.fetch(url, options);
 }
 
 module.exports = {
+  probeAuthentication,
   detectAuthScheme,
   createAuthenticatedFetch,
 };
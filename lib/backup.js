@@ -0,0 +1,342 @@
+'use strict';
+
+/**
+ * Configuration backup and restore for whatwatt Go devices.
+ *
+ * A backup is a versioned JSON snapshot of the device configuration, read through the REST API.
+ * Secrets (passwords, keys, tokens) are removed before the snapshot is stored, and restores only
+ * send the keys that are present, so secrets on the target device stay untouched. Network
+ * settings are captured for reference but never restored: pushing them to another meter could
+ * cut it off from the network in the middle of a restore. For the same reason the host name and
+ * device name are only restored onto the device the backup was taken from.
+ */
+
+const { getCopyableMQTTSettings } = require('./mqtt');
+
+/** Snapshot format version, increased when the structure changes incompatibly. */
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Key names treated as secrets and kept out of snapshots. The secret must be the whole key or
+ * its last underscore-separated segments, so keys such as `bypass` or `pass_through` are kept.
+ */
+const SECRET_KEY_PATTERN = /(^|_)(pass(word)?|secret(_?key)?|psk|token|api_?key|private_?key)$/i;
+
+/** Keys per group of the settings section that identify one device on the network. */
+const DEVICE_SPECIFIC_SETTINGS = {
+  system: ['host_name', 'name'],
+};
+
+/**
+ * Returns a copy of the settings section with the keys that identify the device taken from the
+ * target. Groups are written as a whole, so the target's own values are sent along.
+ *
+ * @param {Object} settings - Settings section of a snapshot
+ * @param {Object} [current] - Settings of the target device
+ * @returns {Object}
+ */
+function keepDeviceSpecificSettings(settings, current) {
+  const result = { ...settings };
+  for (const [group, keys] of Object.entries(DEVICE_SPECIFIC_SETTINGS)) {
+    if (!result[group] || typeof result[group] !== 'object') continue;
+
+    const values = { ...result[group] };
+    for (const key of keys) {
+      if (current?.[group]?.[key] === undefined) {
+        delete values[key];
+      } else {
+        values[key] = current[group][key];
+      }
+    }
+    result[group] = values;
+  }
+  return result;
+}
+
+/**
+ * Configuration sections in restore order.
+ * `read` and `write` receive a WhatwattAPI instance; sections without `write` are backup-only.
+ * `restorable` picks the part of a snapshot section that is compared and restored, for values
+ * that belong to one device only. It receives whether the target is the device the snapshot
+ * was taken from and the current value on the target.
+ */
+const SECTIONS = [
+  {
+    id: 'settings',
+    read: (api) => api.getSettings(),
+    write: (api, value) => api.updateSettings(value),
+    restorable: (value, { sameDevice, current }) => (sameDevice ? value : keepDeviceSpecificSettings(value, current)),
+  },
+  {
+    id: 'meter',
+    read: (api) => api.getMeterSettings(),
+    write: (api, value) => api.updateMeterSettings(value),
+  },
+  {
+    id: 'scalers',
+    read: (api) => api.getCustomScalers(),
+    write: (api, value) => api.setCustomScalers(value),
+  },
+  {
+    id: 'mqtt',
+    read: (api) => api.getMQTTSettings(),
+    write: (api, value) => api.updateMQTTSettings(value),
+    // Same rules as copying MQTT settings: the client ID stays per device. The password is
+    // redacted from snapshots, so whatever password the target has is kept
+    restorable: (value) => {
+      const { password, ...settings } = getCopyableMQTTSettings(value);
+      return settings;
+    },
+  },
+  {
+    id: 'wifi',
+    read: (api) => api.getWiFiSettings(),
+  },
+  {
+    id: 'ethernet',
+    read: (api) => api.getEthernetSettings(),
+  },
+];
+
+/**
+ * Returns a copy of a value with secret keys removed.
+ *
+ * @param {*} value - Configuration value
+ * @param {string} path - Path of the value, used to report removed keys
+ * @param {string[]} redacted - Receives the paths of removed keys
+ * @returns {*}
+ */
+function redactSecrets(value, path, redacted) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => redactSecrets(item, `${path}.${index}`, redacted));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = `${path}.${key}`;
+    if (SECRET_KEY_PATTERN.test(key) && (child === null || typeof child !== 'object')) {
+      redacted.push(childPath);
+    } else {
+      result[key] = redactSecrets(child, childPath, redacted);
+    }
+  }
+  return result;
+}
+
+/**
+ * Returns the part of a snapshot section that is compared with and written to a device.
+ *
+ * @param {Object} section - Section from SECTIONS
+ * @param {*} value - Section value from the snapshot
+ * @param {Object} target
+ * @param {boolean} target.sameDevice - Whether the target is the device the snapshot was taken from
+ * @param {*} target.current - Current section value on the target
+ * @returns {*}
+ */
+function getRestorableValue(section, value, target) {
+  return section.restorable ? section.restorable(value, target) : value;
+}
+
+/**
+ * Tells whether a snapshot was taken from the target device. Unknown devices count as different.
+ *
+ * @param {Object} snapshot - Snapshot to restore
+ * @param {?string} deviceId - Device ID of the target
+ * @returns {boolean}
+ */
+function isSameDevice(snapshot, deviceId) {
+  return Boolean(deviceId) && snapshot.device?.id === deviceId;
+}
+
+/**
+ * Flattens a configuration value into dotted paths for comparison.
+ *
+ * @param {*} value - Configuration value
+ * @param {string} [prefix=''] - Path prefix
+ * @param {Object} [result={}] - Accumulator
+ * @returns {Object<string, *>}
+ */
+function flatten(value, prefix = '', result = {}) {
+  if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, result);
+    }
+  } else {
+    result[prefix] = value;
+  }
+  return result;
+}
+
+/**
+ * Reads all configuration sections from a device into a snapshot.
+ * Sections the firmware does not support are recorded as skipped instead of failing the backup.
+ *
+ * @param {WhatwattAPI} api - API client of the source device
+ * @param {Object} [options]
+ * @param {string} [options.label] - User-facing label for the snapshot
+ * @param {Function} [options.logger] - Log function
+ * @returns {Promise<Object>} Snapshot
+ */
+async function createBackup(api, options = {}) {
+  const logger = options.logger || (() => {});
+  const systemInfo = await api.getSystemInfo();
+  const createdAt = new Date().toISOString();
+
+  const redacted = [];
+  const sections = {};
+  const skipped = [];
+
+  for (const section of SECTIONS) {
+    try {
+      sections[section.id] = redactSecrets(await section.read(api), section.id, redacted);
+    } catch (error) {
+      logger(`Backup: skipping section ${section.id}: ${error.message}`);
+      skipped.push(section.id);
+    }
+  }
+
+  return {
+    version: BACKUP_FORMAT_VERSION,
+    id: `${systemInfo.device?.id || 'unknown'}-${Date.parse(createdAt)}`,
+    label: options.label || null,
+    createdAt,
+    device: {
+      id: systemInfo.device?.id || null,
+      model: systemInfo.device?.model || null,
+      firmware: systemInfo.device?.firmware || null,
+    },
+    sections,
+    skipped,
+    redacted,
+  };
+}
+
+/**
+ * Checks that a snapshot has a supported format before it is used.
+ *
+ * @param {Object} snapshot - Snapshot to check
+ * @throws {Error} When the snapshot is not usable
+ */
+function validateBackup(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || !snapshot.sections) {
+    throw new Error('Invalid backup: no configuration found');
+  }
+  if (snapshot.version !== BACKUP_FORMAT_VERSION) {
+    throw new Error(`Unsupported backup version ${snapshot.version}`);
+  }
+}
+
+/**
+ * Compares a snapshot with the current configuration of a device.
+ * Only restorable sections are compared; redacted keys are absent from the snapshot and never differ.
+ *
+ * @param {WhatwattAPI} api - API client of the target device
+ * @param {Object} snapshot - Snapshot to restore
+ * @param {Object} [options]
+ * @param {string} [options.deviceId] - Device ID of the target, to restore its device-specific settings
+ * @returns {Promise<{changes: Array<{section: string, path: string, current: *, backup: *}>, current: Object}>}
+ *   Differences and the current values of the compared sections
+ */
+async function diffBackup(api, snapshot, options = {}) {
+  validateBackup(snapshot);
+  const sameDevice = isSameDevice(snapshot, options.deviceId);
+
+  const changes = [];
+  const current = {};
+
+  for (const section of SECTIONS) {
+    if (!section.write || snapshot.sections[section.id] === undefined) continue;
+
+    current[section.id] = await section.read(api);
+    const before = flatten(current[section.id]);
+    const after = flatten(getRestorableValue(section, snapshot.sections[section.id], { sameDevice, current: current[section.id] }));
+
+    for (const [path, value] of Object.entries(after)) {
+      if (JSON.stringify(before[path]) !== JSON.stringify(value)) {
+        changes.push({
+          section: section.id, path, current: before[path], backup: value,
+        });
+      }
+    }
+  }
+
+  return { changes, current };
+}
+
+/**
+ * Pushes a snapshot to a device, section by section.
+ * When a section fails, the sections already written are put back to their previous values in
+ * reverse order, so the device is not left with a half-restored configuration.
+ *
+ * @param {WhatwattAPI} api - API client of the target device
+ * @param {Object} snapshot - Snapshot to restore
+ * @param {Object} [options]
+ * @param {string} [options.deviceId] - Device ID of the target, to restore its device-specific settings
+ * @param {Function} [options.logger] - Log function
+ * @returns {Promise<{success: boolean, restored: string[], rolledBack: string[], failedSection?: string, error?: string, rollbackErrors?: string[]}>}
+ */
+async function restoreBackup(api, snapshot, options = {}) {
+  const logger = options.logger || (() => {});
+  const sameDevice = isSameDevice(snapshot, options.deviceId);
+  const { changes, current } = await diffBackup(api, snapshot, { deviceId: options.deviceId });
+  const changedSections = new Set(changes.map((change) => change.section));
+
+  const restored = [];
+  for (const section of SECTIONS) {
+    if (!changedSections.has(section.id)) continue;
+
+    try {
+      logger(`Restore: writing section ${section.id}`);
+      await section.write(api, getRestorableValue(section, snapshot.sections[section.id], { sameDevice, current: current[section.id] }));
+      restored.push(section.id);
+    } catch (error) {
+      logger(`Restore: section ${section.id} failed: ${error.message}, rolling back`);
+
+      const rolledBack = [];
+      const rollbackErrors = [];
+      for (const sectionId of [...restored].reverse()) {
+        const previous = SECTIONS.find((candidate) => candidate.id === sectionId);
+        try {
+          // Previous values come straight from the device and may contain secrets; they are only
+          // written back, never stored
+          await previous.write(api, current[sectionId]);
+          rolledBack.push(sectionId);
+        } catch (rollbackError) {
+          rollbackErrors.push(`${sectionId}: ${rollbackError.message}`);
+        }
+      }
+
+      return {
+        success: false,
+        restored: [],
+        rolledBack,
+        failedSection: section.id,
+        error: error.message,
+        rollbackErrors,
+      };
+    }
+  }
+
+  return { success: true, restored, rolledBack: [] };
+}
+
+/**
+ * Returns the IDs of the sections that are captured but never restored.
+ * @returns {string[]}
+ */
+function getBackupOnlySections() {
+  return SECTIONS.filter((section) => !section.write).map((section) => section.id);
+}
+
+module.exports = {
+  BACKUP_FORMAT_VERSION,
+  createBackup,
+  validateBackup,
+  diffBackup,
+  restoreBackup,
+  redactSecrets,
+  getBackupOnlySections,
+};
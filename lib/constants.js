@@ -2,7 +2,7 @@
 
 /**
  * Shared timeout and timeout-related constants for whatwatt Go.
- * Used by API client, event stream, pairing, and repair flows.
+ * Used by API client, event stream, pairing, repair flows, and Flow card triggers.
  */
 
 /** Default request/auth probe timeout in ms. */
@@ -14,8 +14,116 @@ const PAIRING_TIMEOUT = 5000;
 /** Time without SSE data before treating connection as dead (ms). */
 const HEARTBEAT_TIMEOUT = 300000;
 
+/** Default interval for REST report polling while the live stream is unavailable (ms). */
+const DEFAULT_POLL_INTERVAL = 10000;
+
+/** Delay before the first live stream reconnect attempt (ms). */
+const RECONNECT_INITIAL_DELAY = 5000;
+
+/** Upper bound for the live stream reconnect delay; retries continue at this rate (ms). */
+const RECONNECT_MAX_DELAY = 300000;
+
+/** Growth factor applied to the reconnect delay after each failed attempt. */
+const RECONNECT_MULTIPLIER = 2;
+
+/** Fraction of each reconnect delay that is randomized to spread out reconnects. */
+const RECONNECT_JITTER = 0.2;
+
+/** Failed reconnect attempts after which the device falls back to report polling. */
+const STREAM_FALLBACK_ATTEMPTS = 10;
+
+/** Minimum time without any data from the device before the connectivity alarm is raised (ms). */
+const DATA_STALE_TIMEOUT = 120000;
+
+/** Interval for refreshing connection diagnostics in device settings (ms). */
+const DIAGNOSTICS_INTERVAL = 60000;
+
+/** Release band for power and current threshold triggers, as fraction of the threshold. */
+const FLOW_HYSTERESIS = 0.05;
+
+/** Export power (W) that must be exceeded before export counts as started. */
+const EXPORT_START_POWER = 50;
+
+/** Export power (W) below which export counts as stopped. */
+const EXPORT_STOP_POWER = 10;
+
+/** Time export must be sustained or absent before export triggers fire (ms). */
+const EXPORT_DEBOUNCE = 30000;
+
+/** Number of configuration backups kept per device; older ones are dropped. */
+const MAX_CONFIG_BACKUPS = 5;
+
+/** Wait between attempts to find the device again after a network change (ms). */
+const NETWORK_REDISCOVERY_DELAY = 15000;
+
+/** Attempts to find the device again after a network change before leaving it to the stream reconnect. */
+const NETWORK_REDISCOVERY_ATTEMPTS = 8;
+
+/** Default interval for polling device variables (ms). */
+const DEFAULT_VARIABLES_INTERVAL = 60000;
+
+/** REST requests a device handles at the same time; more make the device answer 503. */
+const MAX_CONCURRENT_REQUESTS = 1;
+
+/** Retries for an idempotent REST request that failed with 503 or a timeout. */
+const REQUEST_RETRY_ATTEMPTS = 2;
+
+/** Delay before the first retry of a REST request, doubled for every further retry (ms). */
+const REQUEST_RETRY_DELAY = 1000;
+
+/** Longest time a live power sample is held when integrating quarter-hour energy (ms). */
+const PEAK_DEMAND_MAX_GAP = 300000;
+
+/** Minimum monthly peak (kW) counted in the 12-month average, as billed by Belgian grid operators. */
+const PEAK_DEMAND_MINIMUM = 2.5;
+
+/** Months averaged for the capacity tariff, including the current month. */
+const PEAK_DEMAND_MONTHS = 12;
+
+/** Interval for saving peak demand and energy counter state to the device store (ms). */
+const STATE_SAVE_INTERVAL = 60000;
+
+/** Margin inside a voltage limit that the voltage must reach before an excursion ends (V). */
+const VOLTAGE_HYSTERESIS = 2;
+
+/** Longest time without a sample that a running voltage excursion survives (ms). */
+const VOLTAGE_MAX_GAP = 300000;
+
+/** Number of voltage excursions kept per device; older ones are dropped. */
+const MAX_VOLTAGE_EVENTS = 50;
+
+/** Number of days with voltage statistics kept per device. */
+const VOLTAGE_STATS_DAYS = 7;
+
 module.exports = {
   DEFAULT_TIMEOUT,
   PAIRING_TIMEOUT,
   HEARTBEAT_TIMEOUT,
+  DEFAULT_POLL_INTERVAL,
+  RECONNECT_INITIAL_DELAY,
+  RECONNECT_MAX_DELAY,
+  RECONNECT_MULTIPLIER,
+  RECONNECT_JITTER,
+  STREAM_FALLBACK_ATTEMPTS,
+  DATA_STALE_TIMEOUT,
+  DIAGNOSTICS_INTERVAL,
+  FLOW_HYSTERESIS,
+  EXPORT_START_POWER,
+  EXPORT_STOP_POWER,
+  EXPORT_DEBOUNCE,
+  MAX_CONFIG_BACKUPS,
+  NETWORK_REDISCOVERY_DELAY,
+  NETWORK_REDISCOVERY_ATTEMPTS,
+  DEFAULT_VARIABLES_INTERVAL,
+  MAX_CONCURRENT_REQUESTS,
+  REQUEST_RETRY_ATTEMPTS,
+  REQUEST_RETRY_DELAY,
+  PEAK_DEMAND_MAX_GAP,
+  PEAK_DEMAND_MINIMUM,
+  PEAK_DEMAND_MONTHS,
+  STATE_SAVE_INTERVAL,
+  VOLTAGE_HYSTERESIS,
+  VOLTAGE_MAX_GAP,
+  MAX_VOLTAGE_EVENTS,
+  VOLTAGE_STATS_DAYS,
 };
@@ -0,0 +1,197 @@
+'use strict';
+
+const { getDayKey, getMonthKey, shiftDay } = require('./periods');
+const { isValidNumber, getMeterIncrease } = require('./utils');
+
+/** Counted periods with the function giving their key for a timestamp. */
+const PERIODS = {
+  month: getMonthKey,
+  day: getDayKey,
+};
+
+/** Meter registers the cost is derived from, in kWh. */
+const REGISTERS = ['E_In', 'E_In_T1', 'E_In_T2', 'E_Out'];
+
+/**
+ * Energy cost and feed-in revenue for today and this month.
+ *
+ * Imported energy is priced according to the tariff mode:
+ * - fixed: one price for all imported energy
+ * - time_of_use: a separate price for the meter's tariff 1 and tariff 2 registers,
+ *   or the fixed price when the meter has no tariff registers
+ * - dynamic: the price last set from a Flow, or the fixed price until one is set
+ *
+ * Exported energy earns the feed-in price, and every calendar day adds the standing charge to
+ * the cost of that day and month, also the days no data came in. Like the energy counters,
+ * energy used while no data came in is priced with the first sample afterwards.
+ */
+class EnergyCost {
+  /**
+   * Creates a new cost calculation.
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.timezone - IANA timezone used for day and month boundaries
+   * @param {Object} options.tariff - Tariff, see setTariff()
+   * @param {Object} [options.state] - State from getState() to resume from
+   */
+  constructor(options) {
+    this.timezone = options.timezone;
+    this.setTariff(options.tariff);
+
+    const state = options.state || {};
+    this._registers = state.registers || {};
+    this._periods = state.periods || {};
+  }
+
+  /**
+   * Applies a new tariff to energy counted from now on.
+   *
+   * @param {Object} tariff - Prices per kWh and per day
+   * @param {'fixed'|'time_of_use'|'dynamic'} tariff.mode - How imported energy is priced
+   * @param {number} [tariff.importPrice=0] - Fixed import price
+   * @param {number} [tariff.lowPrice=0] - Import price for tariff 1
+   * @param {number} [tariff.highPrice=0] - Import price for tariff 2
+   * @param {number|null} [tariff.dynamicPrice=null] - Import price set from a Flow
+   * @param {number} [tariff.exportPrice=0] - Feed-in compensation
+   * @param {number} [tariff.standingCharge=0] - Fixed charge per day
+   */
+  setTariff(tariff) {
+    this.tariff = {
+      mode: tariff.mode,
+      importPrice: tariff.importPrice || 0,
+      lowPrice: tariff.lowPrice || 0,
+      highPrice: tariff.highPrice || 0,
+      dynamicPrice: tariff.dynamicPrice ?? null,
+      exportPrice: tariff.exportPrice || 0,
+      standingCharge: tariff.standingCharge || 0,
+    };
+  }
+
+  /**
+   * Adds a sample of the meter registers.
+   *
+   * @param {Object} data - Live data with E_In, E_In_T1, E_In_T2 and E_Out in kWh
+   * @param {number} [now=Date.now()] - Sample timestamp in ms
+   * @returns {{today: {cost: number, revenue: number}, month: {cost: number, revenue: number}}}
+   */
+  update(data, now = Date.now()) {
+    this._rollPeriods(now);
+
+    const increase = {};
+    for (const register of REGISTERS) {
+      increase[register] = this._getIncrease(register, data[register]);
+    }
+
+    const cost = this._getImportCost(increase);
+    const revenue = (increase.E_Out ?? 0) * this.tariff.exportPrice;
+    for (const period of Object.values(this._periods)) {
+      period.cost += cost;
+      period.revenue += revenue;
+    }
+
+    return this.getTotals();
+  }
+
+  /**
+   * Returns the cost and revenue of today and this month.
+   * @returns {{today: {cost: number, revenue: number}, month: {cost: number, revenue: number}}}
+   */
+  getTotals() {
+    const { day, month } = this._periods;
+    return {
+      today: { cost: day?.cost ?? 0, revenue: day?.revenue ?? 0 },
+      month: { cost: month?.cost ?? 0, revenue: month?.revenue ?? 0 },
+    };
+  }
+
+  /**
+   * Returns the state to persist, accepted again by the constructor.
+   * @returns {Object}
+   */
+  getState() {
+    const periods = {};
+    for (const [period, totals] of Object.entries(this._periods)) {
+      periods[period] = { ...totals };
+    }
+    return { registers: { ...this._registers }, periods };
+  }
+
+  /**
+   * Returns the cost of the imported energy for the tariff mode.
+   * @private
+   * @param {Object} increase - Increase per register in kWh, null when not reported
+   * @returns {number}
+   */
+  _getImportCost(increase) {
+    const {
+      mode, importPrice, lowPrice, highPrice, dynamicPrice,
+    } = this.tariff;
+
+    if (mode === 'time_of_use' && (increase.E_In_T1 !== null || increase.E_In_T2 !== null)) {
+      return (increase.E_In_T1 ?? 0) * lowPrice + (increase.E_In_T2 ?? 0) * highPrice;
+    }
+    const price = mode === 'dynamic' ? dynamicPrice ?? importPrice : importPrice;
+    return (increase.E_In ?? 0) * price;
+  }
+
+  /**
+   * Starts a new month and day where a timestamp is past the current ones. A new day starts
+   * with the standing charge, and the month gets the standing charge of every day since the
+   * previous sample. Earlier periods are ignored, like in the energy counters.
+   * @private
+   * @param {number} now - Time in ms
+   */
+  _rollPeriods(now) {
+    const previousDay = this._periods.day?.key ?? null;
+    let dayStarted = false;
+    for (const [period, getKey] of Object.entries(PERIODS)) {
+      const key = getKey(now, this.timezone);
+      const current = this._periods[period];
+
+      if (!current || key > current.key) {
+        this._periods[period] = { key, cost: 0, revenue: 0 };
+        if (period === 'day') dayStarted = true;
+      }
+    }
+
+    if (dayStarted) {
+      this._periods.day.cost += this.tariff.standingCharge;
+      this._periods.month.cost += this.tariff.standingCharge * this._countDaysInMonth(previousDay);
+    }
+  }
+
+  /**
+   * Counts the days of the current month after a previous day, up to and including today.
+   * @private
+   * @param {?string} previousDay - Day of the previous sample as YYYY-MM-DD, null on the first sample
+   * @returns {number}
+   */
+  _countDaysInMonth(previousDay) {
+    if (!previousDay) return 1;
+
+    const today = this._periods.day.key;
+    const firstOfMonth = `${this._periods.month.key}-01`;
+    let day = shiftDay(previousDay, 1);
+    if (day < firstOfMonth) day = firstOfMonth;
+    let count = 0;
+    for (; day <= today; day = shiftDay(day, 1)) count++;
+    return count;
+  }
+
+  /**
+   * Returns the increase of a register since the previous sample and remembers the reading.
+   * @private
+   * @param {string} register - Register name
+   * @param {number} value - Reading in kWh
+   * @returns {number|null} Increase in kWh, null when the meter does not report the register
+   */
+  _getIncrease(register, value) {
+    if (!isValidNumber(value, 0)) return null;
+
+    const previous = this._registers[register] ?? null;
+    this._registers[register] = value;
+    return getMeterIncrease(previous, value);
+  }
+}
+
+module.exports = EnergyCost;
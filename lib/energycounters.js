@@ -0,0 +1,154 @@
+'use strict';
+
+const {
+  getDayKey, getWeekKey, getMonthKey, getYearKey, shiftDay,
+} = require('./periods');
+const { isValidNumber, getMeterIncrease } = require('./utils');
+
+/** Counted periods with the function giving their key for a timestamp. */
+const PERIODS = {
+  day: getDayKey,
+  week: getWeekKey,
+  month: getMonthKey,
+  year: getYearKey,
+};
+
+/** Energy directions, by the meter total they are derived from. */
+const DIRECTIONS = ['imported', 'exported'];
+
+/**
+ * Creates an empty counter for a period.
+ * @param {string} key - Period key
+ * @returns {{key: string, imported: number, exported: number}}
+ */
+function createCounter(key) {
+  return { key, imported: 0, exported: 0 };
+}
+
+/**
+ * Energy counters per calendar period, derived from the lifetime meter totals.
+ *
+ * Every sample adds the increase of the imported and exported totals since the previous
+ * sample to the current day, week (starting Monday), month and year in the Homey timezone.
+ * A total that goes down means the meter was replaced or reset; it becomes the new baseline
+ * without counting. Energy used while no data came in is added to the period of the first
+ * sample afterwards.
+ */
+class EnergyCounters {
+  /**
+   * Creates new counters.
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.timezone - IANA timezone used for period boundaries
+   * @param {Object} [options.state] - State from getState() to resume from
+   */
+  constructor(options) {
+    this.timezone = options.timezone;
+
+    const state = options.state || {};
+    this._totals = state.totals || { imported: null, exported: null };
+    this._periods = state.periods || {};
+    this._yesterday = state.yesterday || null;
+  }
+
+  /**
+   * Adds a sample of the meter totals.
+   *
+   * @param {Object} totals - Lifetime meter totals
+   * @param {number} [totals.imported] - Imported energy in kWh
+   * @param {number} [totals.exported] - Exported energy in kWh
+   * @param {number} [now=Date.now()] - Sample timestamp in ms
+   * @returns {{ended: Array<{period: string, key: string, imported: number, exported: number}>, counters: Object}}
+   *   Periods that ended before this sample and the counters after it (see getCounters)
+   */
+  update(totals, now = Date.now()) {
+    const ended = this._rollPeriods(now);
+
+    for (const direction of DIRECTIONS) {
+      const delta = this._getDelta(direction, totals[direction]);
+      for (const counter of Object.values(this._periods)) {
+        counter[direction] += delta;
+      }
+    }
+
+    return { ended, counters: this.getCounters() };
+  }
+
+  /**
+   * Returns the energy per period in kWh, by direction.
+   * @returns {{imported: Object, exported: Object}} today, yesterday, week, month and year per direction
+   */
+  getCounters() {
+    const today = this._periods.day;
+    const yesterday = today && this._yesterday?.key === shiftDay(today.key, -1) ? this._yesterday : null;
+
+    const counters = {};
+    for (const direction of DIRECTIONS) {
+      counters[direction] = {
+        today: today?.[direction] ?? 0,
+        yesterday: yesterday?.[direction] ?? 0,
+        week: this._periods.week?.[direction] ?? 0,
+        month: this._periods.month?.[direction] ?? 0,
+        year: this._periods.year?.[direction] ?? 0,
+      };
+    }
+    return counters;
+  }
+
+  /**
+   * Returns the state to persist, accepted again by the constructor.
+   * @returns {Object}
+   */
+  getState() {
+    const periods = {};
+    for (const [period, counter] of Object.entries(this._periods)) {
+      periods[period] = { ...counter };
+    }
+    return {
+      totals: { ...this._totals },
+      periods,
+      yesterday: this._yesterday ? { ...this._yesterday } : null,
+    };
+  }
+
+  /**
+   * Starts new periods where a timestamp is past the current ones.
+   * Earlier periods are ignored, so a clock correction cannot reopen a finished period.
+   * @private
+   * @param {number} now - Time in ms
+   * @returns {Array<Object>} Counters of the periods that ended
+   */
+  _rollPeriods(now) {
+    const ended = [];
+    for (const [period, getKey] of Object.entries(PERIODS)) {
+      const key = getKey(now, this.timezone);
+      const current = this._periods[period];
+
+      if (!current) {
+        this._periods[period] = createCounter(key);
+      } else if (key > current.key) {
+        ended.push({ period, ...current });
+        if (period === 'day') this._yesterday = { ...current };
+        this._periods[period] = createCounter(key);
+      }
+    }
+    return ended;
+  }
+
+  /**
+   * Returns the increase of a meter total since the previous sample and remembers the total.
+   * @private
+   * @param {string} direction - 'imported' or 'exported'
+   * @param {number} total - Meter total in kWh
+   * @returns {number} Increase in kWh, 0 for the first sample or after a meter reset
+   */
+  _getDelta(direction, total) {
+    if (!isValidNumber(total, 0)) return 0;
+
+    const previous = this._totals[direction];
+    this._totals[direction] = total;
+    return getMeterIncrease(previous, total);
+  }
+}
+
+module.exports = EnergyCounters;
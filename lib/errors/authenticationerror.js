@@ -0,0 +1,13 @@
+'use strict';
+
+const WhatwattError = require('./whatwatterror');
+
+/** The device rejected the credentials (HTTP 401). */
+class AuthenticationError extends WhatwattError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 401, ...options });
+    this.code = 'authentication';
+  }
+}
+
+module.exports = AuthenticationError;
@@ -0,0 +1,13 @@
+'use strict';
+
+const WhatwattError = require('./whatwatterror');
+
+/** The device answered with an HTTP error other than 401 or 404. */
+class DeviceError extends WhatwattError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'device_error';
+  }
+}
+
+module.exports = DeviceError;
@@ -0,0 +1,13 @@
+'use strict';
+
+const WhatwattError = require('./whatwatterror');
+
+/** The endpoint does not exist on this firmware or has been disabled on the device (HTTP 404). */
+class EndpointDisabledError extends WhatwattError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 404, ...options });
+    this.code = 'endpoint_disabled';
+  }
+}
+
+module.exports = EndpointDisabledError;
@@ -0,0 +1,72 @@
+'use strict';
+
+const { getCertificateMismatch } = require('../tls');
+const WhatwattError = require('./whatwatterror');
+const AuthenticationError = require('./authenticationerror');
+const TimeoutError = require('./timeouterror');
+const UnreachableError = require('./unreachableerror');
+const EndpointDisabledError = require('./endpointdisablederror');
+const DeviceError = require('./deviceerror');
+const MalformedResponseError = require('./malformedresponseerror');
+
+/**
+ * Error types for the whatwatt Go API client and event stream.
+ *
+ * Every failure to talk to the device is turned into one of these types, so callers can tell
+ * a wrong password from a timeout or an unreachable device without parsing messages. Each
+ * type has a stable `code`, e.g. to pick the message shown when the device is unavailable.
+ * Pinned certificate mismatches keep their own error from tls.js and are passed on as is.
+ */
+
+/** Messages for HTTP statuses that have a clearer meaning than their status text. */
+const STATUS_MESSAGES = {
+  400: 'Bad request - Invalid parameters',
+  401: 'Unauthorized - Check credentials',
+  404: 'Endpoint not found or disabled',
+  500: 'Internal device error',
+  503: 'Service unavailable',
+};
+
+/**
+ * Creates the error for an HTTP error response.
+ *
+ * @param {number} status - HTTP status
+ * @param {string} [statusText] - HTTP status text
+ * @returns {WhatwattError}
+ */
+function createHTTPError(status, statusText = '') {
+  const message = STATUS_MESSAGES[status] || `HTTP ${status} ${statusText}`.trim();
+  if (status === 401) return new AuthenticationError(message);
+  if (status === 404) return new EndpointDisabledError(message);
+  return new DeviceError(message, { statusCode: status });
+}
+
+/**
+ * Turns an error thrown by fetch into a typed error. Typed errors and certificate mismatches
+ * are returned unchanged; aborts become timeouts and everything else means the device could
+ * not be reached.
+ *
+ * @param {Error} error - Error thrown by fetch or a typed error
+ * @param {string} host - Device host, for the message
+ * @param {number} port - Device port, for the message
+ * @returns {Error}
+ */
+function toWhatwattError(error, host, port) {
+  if (error instanceof WhatwattError || getCertificateMismatch(error)) return error;
+  if (error?.name === 'AbortError' || error?.name === 'TimeoutError') {
+    return new TimeoutError(`No response from device within the timeout (${host}:${port})`, { cause: error });
+  }
+  return new UnreachableError(`No response from device (${host}:${port})`, { cause: error });
+}
+
+module.exports = {
+  WhatwattError,
+  AuthenticationError,
+  TimeoutError,
+  UnreachableError,
+  EndpointDisabledError,
+  DeviceError,
+  MalformedResponseError,
+  createHTTPError,
+  toWhatwattError,
+};
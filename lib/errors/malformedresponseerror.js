@@ -0,0 +1,13 @@
+'use strict';
+
+const WhatwattError = require('./whatwatterror');
+
+/** The device answered, but the body could not be parsed. */
+class MalformedResponseError extends WhatwattError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'malformed_response';
+  }
+}
+
+module.exports = MalformedResponseError;
@@ -0,0 +1,13 @@
+'use strict';
+
+const WhatwattError = require('./whatwatterror');
+
+/** The device accepted the connection but did not answer within the timeout. */
+class TimeoutError extends WhatwattError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'timeout';
+  }
+}
+
+module.exports = TimeoutError;
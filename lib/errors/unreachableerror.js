@@ -0,0 +1,13 @@
+'use strict';
+
+const WhatwattError = require('./whatwatterror');
+
+/** The device could not be reached at all (refused, no route, DNS failure). */
+class UnreachableError extends WhatwattError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'unreachable';
+  }
+}
+
+module.exports = UnreachableError;
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Base class of all device communication errors.
+ */
+class WhatwattError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {number} [options.statusCode] - HTTP status that caused the error
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = 'device_communication';
+    this.statusCode = options.statusCode ?? null;
+  }
+
+  /**
+   * Returns an error of the same type with context prepended to the message.
+   *
+   * @param {string} context - What was being done, e.g. 'Failed to get system info'
+   * @returns {WhatwattError}
+   */
+  withContext(context) {
+    return new this.constructor(`${context}: ${this.message}`, { statusCode: this.statusCode, cause: this.cause });
+  }
+}
+
+module.exports = WhatwattError;
@@ -1,8 +1,12 @@
 'use strict';
 
-const { detectAuthScheme, createAuthenticatedFetch } = require('./authentication');
-const { DEFAULT_TIMEOUT, HEARTBEAT_TIMEOUT } = require('./constants');
+const WhatwattSession = require('./session');
+const { HEARTBEAT_TIMEOUT, STREAM_FALLBACK_ATTEMPTS } = require('./constants');
 const { parseSSE, toAsyncIterable, refreshDeviceIP } = require('./utils');
+const ReconnectPolicy = require('./reconnectpolicy');
+const {
+  AuthenticationError, EndpointDisabledError, UnreachableError, createHTTPError, toWhatwattError,
+} = require('./errors');
 
 /**
  * whatwatt Go Event Stream Manager
@@ -10,35 +14,49 @@ const { parseSSE, toAsyncIterable, refreshDeviceIP } = require('./utils');
  * Manages Server-Sent Events (SSE) connections to the whatwatt device using
  * fetch and manual SSE parsing. Supports both Digest (firmware 1.10+) and
  * Basic (older firmware) auth via probe-and-select. Node.js compatible.
+ *
+ * `live` events are delivered to onData; other event types go to handlers registered
+ * with on(). Sends Last-Event-ID on reconnect, applies server `retry` hints to the
+ * reconnect policy, and treats keep-alive comments as proof of a healthy connection.
+ *
+ * Errors passed to onError are typed (see errors/), so the caller can tell a rejected
+ * password from an unreachable device.
+ *
+ * Reconnects indefinitely using a ReconnectPolicy (exponential backoff with jitter).
+ * After a number of failed attempts, onDegraded is invoked so the caller can switch
+ * to a fallback data source while reconnects continue at a low rate. A rejected password
+ * stops the stream instead, since reconnecting cannot fix it.
  */
 class WhatwattEventStream {
   constructor(options) {
     this.homey = options.homey;
-    this.host = options.host;
-    this.port = options.port || 80;
-    this.https = options.https || false;
-    this.username = options.username;
-    this.password = options.password;
-    this.authScheme = options.authScheme || 'auto';
+    // Address and auth state, shared with the device's API client when passed in
+    this.session = options.session || new WhatwattSession(options);
+    this._sessionVersion = this.session.version;
 
     this.onData = options.onData;
     this.onConnect = options.onConnect;
     this.onError = options.onError;
     this.onDisconnect = options.onDisconnect;
+    this.onDegraded = options.onDegraded;
     this.logger = options.logger || (() => {});
     this.device = options.device;
     this.driver = options.driver;
 
+    this._eventHandlers = new Map();
+    for (const [eventType, handler] of Object.entries(options.eventHandlers || {})) {
+      this.on(eventType, handler);
+    }
+    this.lastEventId = null;
+
     this._abortController = null;
     this._readPromise = null;
-    this._authenticatedFetch = null;
-    this._authSchemeDetected = null;
     this._intentionallyStopped = false;
     this.isConnected = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
-    this.reconnectDelay = 5000;
+    this.reconnectPolicy = options.reconnectPolicy || new ReconnectPolicy();
+    this.fallbackAfterAttempts = options.fallbackAfterAttempts ?? STREAM_FALLBACK_ATTEMPTS;
     this.reconnectTimer = null;
+    this._degraded = false;
 
     this.lastDataReceived = null;
     this.heartbeatTimeout = options.heartbeatTimeout ?? HEARTBEAT_TIMEOUT;
@@ -46,6 +64,16 @@ class WhatwattEventStream {
     this.heartbeatCheckInterval = 60000;
   }
 
+  /** Device host, from the session. */
+  get host() {
+    return this.session.host;
+  }
+
+  /** Device port, from the session. */
+  get port() {
+    return this.session.port;
+  }
+
   /**
    * Establishes SSE connection to the device live endpoint.
    * Detects auth scheme if password is set. Reconnects automatically on failure.
@@ -59,53 +87,58 @@ class WhatwattEventStream {
     this._intentionallyStopped = false;
     this._abortController = new AbortController();
 
-    const protocol = this.https ? 'https' : 'http';
-    const streamUrl = `${protocol}://${this.host}:${this.port}/api/v1/live`;
+    const streamUrl = this.session.url('/api/v1/live');
+    this._sessionVersion = this.session.version;
 
     try {
-      let fetchFn = fetch;
-      if (this.password) {
-        if (!this._authenticatedFetch) {
-          let scheme = this._authSchemeDetected;
-          if (this.authScheme === 'auto' || !scheme) {
-            scheme = await detectAuthScheme(this.host, this.port, this.https, DEFAULT_TIMEOUT);
-            this._authSchemeDetected = scheme;
-          } else {
-            scheme = this.authScheme;
-          }
-          this._authenticatedFetch = createAuthenticatedFetch(this.username || '', this.password, scheme);
-        }
-        fetchFn = this._authenticatedFetch;
-      }
-
       this.logger(`Starting event stream from: ${streamUrl}`);
 
-      const response = await fetchFn(streamUrl, {
+      const headers = {
+        Accept: 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      };
+      // Lets the device resume after the last event we processed, per the SSE specification
+      if (this.lastEventId) {
+        headers['Last-Event-ID'] = this.lastEventId;
+      }
+
+      const response = await this.session.fetch('/api/v1/live', {
         method: 'GET',
         signal: this._abortController.signal,
-        headers: {
-          Accept: 'text/event-stream',
-          'Cache-Control': 'no-cache',
-          Connection: 'keep-alive',
-        },
+        headers,
       });
 
+      // A rejected password does not fix itself; stop instead of hitting 401 on every reconnect.
+      // The caller restarts the stream once the password has been entered again.
       if (response.status === 401) {
-        const err = new Error('Event stream authentication failed');
-        err.isUnauthorized = true;
-        err.statusCode = 401;
-        if (this.onError) this.onError(err);
+        this.logger('Event stream authentication failed, not reconnecting');
+        this._abortController.abort();
+        this._abortController = null;
+        if (this.onError) this.onError(new AuthenticationError('Event stream authentication failed'));
+        return;
+      }
+
+      // A disabled live endpoint is unlikely to recover soon; hand over to the caller's fallback
+      // right away and keep probing through the normal reconnect schedule
+      if (response.status === 404) {
+        this.logger('Live endpoint not found or disabled');
+        this._abortController.abort();
+        this._abortController = null;
+        if (this.onError) this.onError(new EndpointDisabledError('Live endpoint not found or disabled'));
+        this._setDegraded('endpoint_disabled');
         if (!this._intentionallyStopped) this._scheduleReconnect();
         return;
       }
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        throw createHTTPError(response.status, response.statusText);
       }
 
       this.logger('Event stream connected');
       this.isConnected = true;
-      this.reconnectAttempts = 0;
+      this.reconnectPolicy.reset();
+      this._degraded = false;
       this._startHeartbeat();
       if (this.onConnect) this.onConnect();
 
@@ -119,25 +152,37 @@ class WhatwattEventStream {
             if (this._intentionallyStopped) break;
             const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
             buffer += text;
-            const { events, remainder } = parseSSE(buffer);
+            const {
+              events, remainder, retry, comments, lastEventId,
+            } = parseSSE(buffer);
             buffer = remainder;
+
+            if (comments > 0) {
+              this._resetHeartbeat();
+            }
+            if (retry !== null) {
+              this.logger(`Server requested reconnect delay of ${retry}ms`);
+              this.reconnectPolicy.setInitialDelay(retry);
+            }
+            if (lastEventId !== undefined) {
+              this.lastEventId = lastEventId;
+            }
             for (const ev of events) {
-              if (ev.event === 'live' && ev.data) {
-                try {
-                  const data = JSON.parse(ev.data);
-                  this._resetHeartbeat();
-                  this.onData(data);
-                } catch (err) {
-                  this.logger(`Failed to parse live data: ${err.message}`);
-                }
-              }
+              this._dispatchEvent(ev);
             }
           }
+
+          // Server closed the stream; the SSE specification expects the client to reconnect
+          if (!this._intentionallyStopped) {
+            this.logger('Event stream closed by device');
+            this.isConnected = false;
+            this._scheduleReconnect();
+          }
         } catch (err) {
           if (!this._intentionallyStopped && err.name !== 'AbortError') {
             this.logger(`Event stream error: ${err.message}`);
             this.isConnected = false;
-            if (this.onError) this.onError(err);
+            if (this.onError) this.onError(new UnreachableError(`Event stream interrupted: ${err.message}`, { cause: err }));
             this._scheduleReconnect();
           }
         } finally {
@@ -152,11 +197,82 @@ class WhatwattEventStream {
     } catch (error) {
       if (this._intentionallyStopped) return;
       this.logger(`Failed to start event stream: ${error.message}`);
-      if (this.onError) this.onError(error);
+      if (this.onError) this.onError(toWhatwattError(error, this.host, this.port));
       this._scheduleReconnect();
     }
   }
 
+  /**
+   * Registers a handler for an SSE event type other than `live`.
+   * Handlers receive the JSON-parsed data (or the raw string when it is not JSON) and the event.
+   *
+   * @param {string} eventType - SSE event type
+   * @param {Function} handler - Invoked with (data, event)
+   */
+  on(eventType, handler) {
+    if (!this._eventHandlers.has(eventType)) {
+      this._eventHandlers.set(eventType, new Set());
+    }
+    this._eventHandlers.get(eventType).add(handler);
+  }
+
+  /**
+   * Removes a handler registered with on().
+   *
+   * @param {string} eventType - SSE event type
+   * @param {Function} handler - Previously registered handler
+   */
+  off(eventType, handler) {
+    const handlers = this._eventHandlers.get(eventType);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this._eventHandlers.delete(eventType);
+    }
+  }
+
+  /**
+   * Routes a parsed SSE event. Any event counts as heartbeat; `live` goes to onData,
+   * other types go to registered handlers.
+   * @private
+   * @param {{event: string, data: string, id: (string|undefined)}} ev - Parsed event
+   */
+  _dispatchEvent(ev) {
+    this._resetHeartbeat();
+
+    if (ev.event === 'live') {
+      if (!ev.data) return;
+      try {
+        this.onData(JSON.parse(ev.data));
+      } catch (err) {
+        this.logger(`Failed to parse live data: ${err.message}`);
+      }
+      return;
+    }
+
+    const handlers = this._eventHandlers.get(ev.event);
+    if (!handlers) {
+      this.logger(`No handler for event type '${ev.event}', ignoring`);
+      return;
+    }
+
+    let { data } = ev;
+    try {
+      data = JSON.parse(ev.data);
+    } catch {
+      // Non-JSON payloads are passed on as raw text
+    }
+
+    const event = { ...ev, id: ev.id ?? this.lastEventId };
+    for (const handler of handlers) {
+      try {
+        handler(data, event);
+      } catch (err) {
+        this.logger(`Handler for event type '${ev.event}' failed: ${err.message}`);
+      }
+    }
+  }
+
   /**
    * Stops the SSE stream, clears reconnect timer, and invokes onDisconnect.
    */
@@ -193,45 +309,58 @@ class WhatwattEventStream {
 
   /**
    * Returns connection status for debugging or UI display.
-   * @returns {{ connected: boolean, readyState: number, reconnectAttempts: number, url: string }}
+   * @returns {{ connected: boolean, readyState: number, reconnectAttempts: number, reconnecting: boolean, degraded: boolean, reconnectPolicy: Object, url: string }}
    */
   getStatus() {
     return {
       connected: this.isConnected,
       readyState: this.isConnected ? 1 : 0,
-      reconnectAttempts: this.reconnectAttempts,
-      url: `${this.https ? 'https' : 'http'}://${this.host}:${this.port}/api/v1/live`,
+      reconnectAttempts: this.reconnectPolicy.attempts,
+      reconnecting: this.reconnectTimer !== null,
+      degraded: this._degraded,
+      reconnectPolicy: this.reconnectPolicy.getState(),
+      url: this.session.url('/api/v1/live'),
     };
   }
 
+  /**
+   * Marks the stream as degraded once and notifies the caller.
+   * @private
+   * @param {string} reason - 'max_attempts' or 'endpoint_disabled'
+   */
+  _setDegraded(reason) {
+    if (this._degraded) return;
+    this._degraded = true;
+    this.logger(`Event stream degraded (${reason})`);
+    if (this.onDegraded) this.onDegraded(reason);
+  }
+
   _scheduleReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      this.logger(`Max reconnect attempts (${this.maxReconnectAttempts}) exceeded`);
+    if (this.reconnectTimer) {
       return;
     }
 
-    if (this.reconnectTimer) {
-      return;
+    if (this.reconnectPolicy.attempts >= this.fallbackAfterAttempts) {
+      this._setDegraded('max_attempts');
     }
 
-    this.reconnectAttempts++;
-    const delay = this.reconnectDelay * Math.min(this.reconnectAttempts, 5);
+    const delay = this.reconnectPolicy.nextDelay();
+    const attempt = this.reconnectPolicy.attempts;
 
-    this.logger(`Scheduling reconnect attempt ${this.reconnectAttempts} in ${delay}ms`);
+    this.logger(`Scheduling reconnect attempt ${attempt} in ${delay}ms`);
 
     this.reconnectTimer = this.homey.setTimeout(async () => {
       this.reconnectTimer = null;
-      this.logger(`Attempting to reconnect (attempt ${this.reconnectAttempts})`);
+      this.logger(`Attempting to reconnect (attempt ${attempt})`);
 
       if (this.device && this.driver) {
         try {
-          this.logger(`Refreshing device IP address before reconnection attempt ${this.reconnectAttempts}`);
+          this.logger(`Refreshing device IP address before reconnection attempt ${attempt}`);
           const ipResult = await refreshDeviceIP(this.device, this.driver);
 
           if (ipResult.success && ipResult.ipUpdated) {
             this.logger(`Device IP updated from ${this.host}:${this.port} to ${ipResult.connectionHost}:${ipResult.connectionPort}`);
-            this.host = ipResult.connectionHost;
-            this.port = ipResult.connectionPort;
+            this.session.update({ host: ipResult.connectionHost, port: ipResult.connectionPort });
           } else if (ipResult.success) {
             this.logger(`Device IP address unchanged (${this.host}:${this.port})`);
           } else {
@@ -249,36 +378,45 @@ class WhatwattEventStream {
   }
 
   /**
-   * Resets reconnect attempt counter. Used when connection succeeds or settings change.
+   * Resets the reconnect policy so the next attempt uses the initial delay.
+   * Used when connection settings change or the device is known to be reachable again.
+   */
+  resetReconnectPolicy() {
+    this.reconnectPolicy.reset();
+  }
+
+  /**
+   * Resets the reconnect policy and replaces a pending reconnect delay with the initial
+   * delay. No-op when the stream is connected or no reconnect is pending.
    */
-  resetReconnectCounter() {
-    this.reconnectAttempts = 0;
+  reconnectNow() {
+    this.resetReconnectPolicy();
+    if (this.isConnected || !this.reconnectTimer) return;
+
+    this.homey.clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this._scheduleReconnect();
   }
 
   /**
-   * Updates connection settings. Restarts the stream if host, port, or credentials
-   * change. Reconnection runs asynchronously (start is not awaited).
+   * Updates connection settings. Restarts the stream if host, port, protocol or credentials
+   * differ from the ones it connected with, also when the shared session was updated by the
+   * API client in the meantime; timeouts apply without a restart. Reconnection runs
+   * asynchronously (start is not awaited).
    *
-   * @param {Object} newOptions - New host, port, https, username, password
+   * @param {Object} newOptions - New host, port, https, username, password, timeout, heartbeatTimeout
    */
   updateSettings(newOptions) {
-    const needsRestart = newOptions.host !== this.host
-      || newOptions.port !== this.port
-      || newOptions.https !== this.https
-      || newOptions.username !== this.username
-      || newOptions.password !== this.password;
-
-    if (needsRestart) {
-      this.host = newOptions.host || this.host;
-      this.port = newOptions.port || this.port;
-      this.https = newOptions.https || this.https;
-      this.username = newOptions.username;
-      this.password = newOptions.password;
-      this._authenticatedFetch = null;
-      this._authSchemeDetected = null;
+    if (newOptions.heartbeatTimeout && newOptions.heartbeatTimeout !== this.heartbeatTimeout) {
+      // Picked up by the next heartbeat check, no reconnect needed
+      this.heartbeatTimeout = newOptions.heartbeatTimeout;
+      this.logger(`Heartbeat timeout changed to ${this.heartbeatTimeout}ms`);
+    }
 
+    this.session.update(newOptions);
+    if (this.session.version !== this._sessionVersion) {
       this.logger('Connection settings changed, restarting stream');
-      this.resetReconnectCounter();
+      this.resetReconnectPolicy();
       this.stop();
       this.start().catch((err) => this.logger(`Restart failed: ${err.message}`));
     }
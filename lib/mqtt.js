@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * MQTT configuration helpers for whatwatt Go devices.
+ *
+ * The device keeps the broker as a single URL (`mqtt://host:port` or `mqtts://host:port`) and the
+ * publish topic in a nested `publish` object. The repair view works with separate fields, so these
+ * helpers translate between the two and validate user input before anything is sent to the device.
+ * IPv6 broker addresses are shown without brackets and put in brackets in the URL.
+ */
+
+const net = require('net');
+
+const DEFAULT_MQTT_PORT = 1883;
+const DEFAULT_MQTTS_PORT = 8883;
+
+/**
+ * Converts device MQTT settings into the fields shown in the repair view.
+ * The password is never returned, only whether one is set.
+ *
+ * @param {Object} settings - Settings from getMQTTSettings
+ * @returns {{enable: boolean, host: string, port: number, tls: boolean, username: string, hasPassword: boolean, topic: string}}
+ */
+function parseMQTTSettings(settings = {}) {
+  let host = '';
+  let port = DEFAULT_MQTT_PORT;
+  let tls = false;
+
+  if (settings.url) {
+    try {
+      const url = new URL(settings.url);
+      host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+      tls = url.protocol === 'mqtts:';
+      const defaultPort = tls ? DEFAULT_MQTTS_PORT : DEFAULT_MQTT_PORT;
+      port = url.port ? Number(url.port) : defaultPort;
+    } catch (error) {
+      // Keep whatever the device has so it can be corrected in the form
+      host = settings.url;
+    }
+  }
+
+  return {
+    enable: settings.enable === true,
+    host,
+    port,
+    tls,
+    username: settings.username || '',
+    hasPassword: Boolean(settings.password),
+    topic: settings.publish?.topic || '',
+  };
+}
+
+/**
+ * Validates form values and builds the partial update for updateMQTTSettings.
+ * An empty password keeps the password stored on the device.
+ *
+ * @param {Object} values - Values from the repair view
+ * @param {boolean} values.enable - Whether publishing to the broker is enabled
+ * @param {string} values.host - Broker hostname, IPv4 or IPv6 address, with or without brackets
+ * @param {number|string} values.port - Broker port
+ * @param {boolean} [values.tls] - Connect with TLS (mqtts)
+ * @param {string} [values.username] - Broker username
+ * @param {string} [values.password] - Broker password, empty to keep the current one
+ * @param {string} [values.topic] - Publish topic
+ * @param {Object} [current={}] - Current device settings, used to keep other publish options
+ * @returns {Object} Partial MQTT settings
+ * @throws {Error} When a value is invalid
+ */
+function buildMQTTUpdate(values, current = {}) {
+  const host = (values.host || '').trim().replace(/^\[(.*)\]$/, '$1');
+  const port = Number(values.port);
+  const topic = (values.topic || '').trim();
+
+  if (values.enable && !host) {
+    throw new Error('Enter the broker host to enable MQTT');
+  }
+  if (host && !net.isIP(host) && !/^[\w.-]+$/.test(host)) {
+    throw new Error(`Invalid broker host: ${host}`);
+  }
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid broker port: ${values.port}`);
+  }
+  if (/[#+]/.test(topic)) {
+    throw new Error('The topic cannot contain the wildcards # or +');
+  }
+
+  const urlHost = net.isIPv6(host) ? `[${host}]` : host;
+  const update = {
+    enable: values.enable === true,
+    url: host ? `${values.tls ? 'mqtts' : 'mqtt'}://${urlHost}:${port}` : '',
+    username: (values.username || '').trim(),
+    publish: { ...current.publish, topic },
+  };
+  if (values.password) {
+    update.password = values.password;
+  }
+  return update;
+}
+
+/**
+ * Builds the settings copied from one device to another.
+ * The client ID identifies a device on the broker and stays per device; the password is only
+ * copied when the source device reports it.
+ *
+ * @param {Object} settings - Settings of the source device
+ * @returns {Object} Partial MQTT settings for the target devices
+ */
+function getCopyableMQTTSettings(settings) {
+  const { client_id: clientId, password, ...copy } = settings;
+  if (password) {
+    copy.password = password;
+  }
+  return copy;
+}
+
+module.exports = {
+  parseMQTTSettings,
+  buildMQTTUpdate,
+  getCopyableMQTTSettings,
+};
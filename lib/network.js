@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Network configuration helpers for whatwatt Go devices.
+ *
+ * Translates WiFi scan results and WiFi/Ethernet settings between the device API and the network
+ * repair view, validates user input and tells which changes can drop the connection to Homey, so
+ * the view can ask for confirmation before anything is sent.
+ */
+
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+
+/**
+ * Converts an RSSI value in dBm to a 0-100 signal quality percentage.
+ * @param {number} rssi - Signal strength in dBm
+ * @returns {number}
+ */
+function rssiToQuality(rssi) {
+  return Math.max(0, Math.min(100, 2 * (rssi + 100)));
+}
+
+/**
+ * Normalizes WiFi scan results: one entry per SSID with the strongest signal, strongest first.
+ * Hidden networks (empty SSID) are left out.
+ *
+ * @param {Array|Object} results - Response of scanWiFiNetworks, an array or `{ networks: [...] }`
+ * @returns {Array<{ssid: string, rssi: number, quality: number, secure: boolean, channel: number|null}>}
+ */
+function normalizeScanResults(results) {
+  const networks = Array.isArray(results) ? results : (results?.networks || []);
+  const bySsid = new Map();
+
+  for (const network of networks) {
+    if (!network.ssid) continue;
+    const rssi = Number(network.rssi);
+    const existing = bySsid.get(network.ssid);
+    if (existing && existing.rssi >= rssi) continue;
+
+    bySsid.set(network.ssid, {
+      ssid: network.ssid,
+      rssi,
+      quality: rssiToQuality(rssi),
+      secure: Boolean(network.auth ?? network.secure) && network.auth !== 'open',
+      channel: network.channel ?? null,
+    });
+  }
+
+  return [...bySsid.values()].sort((a, b) => b.rssi - a.rssi);
+}
+
+/**
+ * Converts device WiFi station settings into the fields shown in the repair view.
+ * @param {Object} settings - Settings from getWiFiSettings
+ * @returns {{enable: boolean, ssid: string, hasPassword: boolean}}
+ */
+function parseWiFiSettings(settings = {}) {
+  return {
+    enable: settings.enable !== false,
+    ssid: settings.ssid || '',
+    hasPassword: Boolean(settings.password),
+  };
+}
+
+/**
+ * Converts device Ethernet settings into the fields shown in the repair view.
+ * @param {Object} settings - Settings from getEthernetSettings
+ * @returns {{enable: boolean, dhcp: boolean, ip: string, netmask: string, gateway: string, dns: string}}
+ */
+function parseEthernetSettings(settings = {}) {
+  return {
+    enable: settings.enable === true,
+    dhcp: settings.dhcp !== false,
+    ip: settings.ip || '',
+    netmask: settings.netmask || '',
+    gateway: settings.gateway || '',
+    dns: settings.dns || '',
+  };
+}
+
+/**
+ * Validates WiFi form values and builds the partial update for updateWiFiSettings.
+ * An empty password keeps the password stored on the device.
+ *
+ * @param {Object} values - Values from the repair view
+ * @param {boolean} values.enable - Whether the WiFi station is enabled
+ * @param {string} values.ssid - Network name
+ * @param {string} [values.password] - Network password, empty to keep the current one
+ * @param {Object} ethernet - Current Ethernet form fields, used to keep one interface enabled
+ * @returns {Object} Partial WiFi settings
+ * @throws {Error} When a value is invalid
+ */
+function buildWiFiUpdate(values, ethernet) {
+  const ssid = (values.ssid || '').trim();
+
+  if (values.enable && !ssid) {
+    throw new Error('Select or enter a WiFi network');
+  }
+  if (ssid.length > 32) {
+    throw new Error('The WiFi network name can be at most 32 characters');
+  }
+  if (values.password && (values.password.length < 8 || values.password.length > 63)) {
+    throw new Error('The WiFi password must be 8 to 63 characters');
+  }
+  if (!values.enable && !ethernet.enable) {
+    throw new Error('WiFi cannot be disabled while Ethernet is disabled, the device would be unreachable');
+  }
+
+  const update = { enable: values.enable === true, ssid };
+  if (values.password) {
+    update.password = values.password;
+  }
+  return update;
+}
+
+/**
+ * Validates Ethernet form values and builds the update for updateEthernetSettings.
+ * Static addresses are only sent when DHCP is off.
+ *
+ * @param {Object} values - Values from the repair view
+ * @param {boolean} values.enable - Whether Ethernet is enabled
+ * @param {boolean} values.dhcp - Obtain the address with DHCP
+ * @param {string} [values.ip] - Static IP address
+ * @param {string} [values.netmask] - Static subnet mask
+ * @param {string} [values.gateway] - Static gateway, optional
+ * @param {string} [values.dns] - Static DNS server, optional
+ * @param {Object} wifi - Current WiFi form fields, used to keep one interface enabled
+ * @returns {Object} Ethernet settings
+ * @throws {Error} When a value is invalid
+ */
+function buildEthernetUpdate(values, wifi) {
+  if (!values.enable && !wifi.enable) {
+    throw new Error('Ethernet cannot be disabled while WiFi is disabled, the device would be unreachable');
+  }
+
+  const update = { enable: values.enable === true, dhcp: values.dhcp !== false };
+  if (update.dhcp) {
+    return update;
+  }
+
+  const fields = {
+    ip: true, netmask: true, gateway: false, dns: false,
+  };
+  for (const [field, required] of Object.entries(fields)) {
+    const value = (values[field] || '').trim();
+    if (!value && !required) continue;
+    if (!IPV4_PATTERN.test(value)) {
+      throw new Error(`Invalid ${field === 'ip' ? 'IP address' : field}: ${value || '(empty)'}`);
+    }
+    update[field] = value;
+  }
+  return update;
+}
+
+/**
+ * Tells whether applying an update changes how the device is reached on the network.
+ * Only the keys present in the update are compared.
+ *
+ * @param {Object} current - Current form fields of the interface
+ * @param {Object} update - Update from buildWiFiUpdate or buildEthernetUpdate
+ * @returns {boolean}
+ */
+function isDisruptiveChange(current, update) {
+  if (update.password) return true;
+  return Object.entries(update).some(([key, value]) => current[key] !== value);
+}
+
+module.exports = {
+  rssiToQuality,
+  normalizeScanResults,
+  parseWiFiSettings,
+  parseEthernetSettings,
+  buildWiFiUpdate,
+  buildEthernetUpdate,
+  isDisruptiveChange,
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+const {
+  QUARTER_HOUR, getQuarterHourStart, getMonthKey, shiftMonth,
+} = require('./periods');
+const { PEAK_DEMAND_MAX_GAP, PEAK_DEMAND_MINIMUM, PEAK_DEMAND_MONTHS } = require('./constants');
+
+/**
+ * Returns the energy of a power held over a time span.
+ *
+ * @param {number} power - Power in kW
+ * @param {number} from - Start of the span in ms
+ * @param {number} to - End of the span in ms
+ * @returns {number} Energy in kW·s, 0 for an empty span
+ */
+function heldEnergy(power, from, to) {
+  return power * (Math.max(0, to - from) / 1000);
+}
+
+/**
+ * Quarter-hour peak demand tracking for capacity tariffs.
+ *
+ * Capacity tariffs (e.g. in Belgium) bill the highest quarter-hour average import of each
+ * month, averaged over the last 12 months with a minimum per month. The tracker integrates
+ * live import power into quarter-hour energy, keeps the peak of the current month and the
+ * peaks of earlier months, and projects where the running quarter-hour will end.
+ *
+ * Power is held between samples for at most PEAK_DEMAND_MAX_GAP, so a data gap counts as no
+ * import instead of stretching the last sample. The quarter-hour in which tracking starts is
+ * partial, as the import before the first sample is unknown, and never counts as a peak.
+ * Months without a completed quarter-hour are kept in the history with a peak of 0, months
+ * without any data with a peak of null. The values are an estimate; the meter of the grid
+ * operator remains authoritative.
+ */
+class PeakDemandTracker {
+  /**
+   * Creates a new tracker.
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.timezone - IANA timezone used for month boundaries
+   * @param {Object} [options.state] - State from getState() to resume from
+   */
+  constructor(options) {
+    this.timezone = options.timezone;
+
+    const state = options.state || {};
+    this._quarter = state.quarter || null;
+    this._month = state.month || null;
+    this._monthPeak = state.monthPeak || null;
+    this._history = Array.isArray(state.history) ? state.history : [];
+  }
+
+  /**
+   * Adds a live import power sample.
+   *
+   * @param {number} power - Import power in kW
+   * @param {number} [now=Date.now()] - Sample timestamp in ms
+   * @returns {{average: number, projected: number, completed: ?{start: number, average: number, partial: boolean}, monthPeak: number, rollingAverage: number}}
+   *   Running and projected average of the current quarter-hour in kW, the quarter-hour that
+   *   ended with this sample, the peak of the current month and the 12-month average in kW
+   */
+  update(power, now = Date.now()) {
+    const importPower = Math.max(0, power);
+    let completed = null;
+
+    // Start over on the first sample or when the clock went back
+    if (!this._quarter || now < this._quarter.lastAt) {
+      const start = getQuarterHourStart(now);
+      this._startQuarter(start, 0, now > start);
+    } else {
+      const quarter = this._quarter;
+      const end = quarter.start + QUARTER_HOUR;
+      const holdUntil = Math.min(now, quarter.lastAt + PEAK_DEMAND_MAX_GAP);
+
+      if (now < end) {
+        quarter.energy += heldEnergy(quarter.lastPower, quarter.lastAt, holdUntil);
+      } else {
+        quarter.energy += heldEnergy(quarter.lastPower, quarter.lastAt, Math.min(end, holdUntil));
+        completed = this._closeQuarter();
+
+        // The held power carries over into the next quarter-hour only when it directly follows
+        const start = getQuarterHourStart(now);
+        this._startQuarter(start, start === end ? heldEnergy(quarter.lastPower, end, holdUntil) : 0);
+      }
+    }
+
+    this._quarter.lastAt = now;
+    this._quarter.lastPower = importPower;
+
+    const { start, energy } = this._quarter;
+    const elapsed = (now - start) / 1000;
+    const remaining = (start + QUARTER_HOUR - now) / 1000;
+
+    return {
+      average: elapsed > 0 ? energy / elapsed : importPower,
+      projected: (energy + importPower * remaining) / (QUARTER_HOUR / 1000),
+      completed,
+      monthPeak: this.getMonthPeak(),
+      rollingAverage: this.getRollingAverage(),
+    };
+  }
+
+  /**
+   * Highest completed quarter-hour average of the current month in kW, 0 before the first one.
+   * @returns {number}
+   */
+  getMonthPeak() {
+    return this._monthPeak?.value || 0;
+  }
+
+  /**
+   * Average of the monthly peaks over the last 12 months including the current one, in kW.
+   * Each month counts for at least the billing minimum, as the grid operator does; months
+   * without any data are left out.
+   * @returns {number}
+   */
+  getRollingAverage() {
+    if (!this._month) return 0;
+
+    const oldest = shiftMonth(this._month, 1 - PEAK_DEMAND_MONTHS);
+    const peaks = this._history
+      .filter((entry) => entry.month >= oldest && entry.month < this._month && entry.peak !== null)
+      .map((entry) => entry.peak);
+    peaks.push(this.getMonthPeak());
+
+    const total = peaks.reduce((sum, peak) => sum + Math.max(peak, PEAK_DEMAND_MINIMUM), 0);
+    return total / peaks.length;
+  }
+
+  /**
+   * Returns the state to persist, accepted again by the constructor.
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      quarter: this._quarter ? { ...this._quarter } : null,
+      month: this._month,
+      monthPeak: this._monthPeak ? { ...this._monthPeak } : null,
+      history: this._history.map((entry) => ({ ...entry })),
+    };
+  }
+
+  /**
+   * Begins a new quarter-hour and moves on to a new month when it starts one.
+   * @private
+   * @param {number} start - Start of the quarter-hour in ms
+   * @param {number} energy - Energy already counted in kW·s
+   * @param {boolean} [partial=false] - Whether the quarter-hour started before the first sample
+   */
+  _startQuarter(start, energy, partial = false) {
+    this._quarter = {
+      start, energy, partial, lastAt: start, lastPower: 0,
+    };
+    this._rollMonth(start);
+  }
+
+  /**
+   * Finishes the current quarter-hour and updates the month peak unless it is partial.
+   * @private
+   * @returns {{start: number, average: number, partial: boolean}}
+   */
+  _closeQuarter() {
+    const { start, energy } = this._quarter;
+    const partial = this._quarter.partial === true;
+    const average = energy / (QUARTER_HOUR / 1000);
+
+    this._rollMonth(start);
+    if (!partial && average > this.getMonthPeak()) {
+      this._monthPeak = { value: average, at: start };
+    }
+    return { start, average, partial };
+  }
+
+  /**
+   * Moves the peak of the current month into the history when a timestamp is in a later month,
+   * with an empty entry for each month in between. Earlier months are ignored, so a clock
+   * correction cannot reopen a closed month.
+   * @private
+   * @param {number} timestamp - Time in ms
+   */
+  _rollMonth(timestamp) {
+    const month = getMonthKey(timestamp, this.timezone);
+    if (this._month && month <= this._month) return;
+
+    if (this._month) {
+      this._history.push({ month: this._month, peak: this._monthPeak?.value || 0 });
+
+      // Only the months still within the history can matter
+      const oldest = shiftMonth(month, -PEAK_DEMAND_MONTHS);
+      let skipped = shiftMonth(this._month, 1);
+      if (skipped < oldest) skipped = oldest;
+      for (; skipped < month; skipped = shiftMonth(skipped, 1)) {
+        this._history.push({ month: skipped, peak: null });
+      }
+      this._history = this._history.slice(-PEAK_DEMAND_MONTHS);
+    }
+    this._month = month;
+    this._monthPeak = null;
+  }
+}
+
+module.exports = PeakDemandTracker;
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Calendar period helpers in the Homey timezone.
+ *
+ * Tariff and reporting periods (quarter-hours, days, weeks, months, years) follow the local wall clock, while live data
+ * carries UTC timestamps. These helpers turn a timestamp into period keys and boundaries
+ * for a given IANA timezone, so the device never depends on the system timezone.
+ */
+
+/** Length of a quarter-hour in ms. */
+const QUARTER_HOUR = 15 * 60 * 1000;
+
+/** Formatters are expensive to create; one per timezone is enough. */
+const formatters = new Map();
+
+/**
+ * Returns the wall clock fields of a timestamp in a timezone.
+ *
+ * @param {number} timestamp - Time in ms
+ * @param {string} timezone - IANA timezone, e.g. Europe/Brussels
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+ */
+function getLocalTime(timestamp, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(new Date(timestamp))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+  };
+}
+
+/**
+ * Returns the start of the quarter-hour a timestamp falls in.
+ * All timezone offsets in use are whole quarter-hours, so UTC and local boundaries coincide.
+ *
+ * @param {number} timestamp - Time in ms
+ * @returns {number} Start of the quarter-hour in ms
+ */
+function getQuarterHourStart(timestamp) {
+  return Math.floor(timestamp / QUARTER_HOUR) * QUARTER_HOUR;
+}
+
+/**
+ * Returns the local day of a timestamp as YYYY-MM-DD.
+ *
+ * @param {number} timestamp - Time in ms
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function getDayKey(timestamp, timezone) {
+  const { year, month, day } = getLocalTime(timestamp, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Returns the local week of a timestamp as the YYYY-MM-DD of its Monday.
+ *
+ * @param {number} timestamp - Time in ms
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function getWeekKey(timestamp, timezone) {
+  const { year, month, day } = getLocalTime(timestamp, timezone);
+  const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(year, month - 1, day - weekday)).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the local month of a timestamp as YYYY-MM.
+ *
+ * @param {number} timestamp - Time in ms
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function getMonthKey(timestamp, timezone) {
+  const { year, month } = getLocalTime(timestamp, timezone);
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Returns the local year of a timestamp as YYYY.
+ *
+ * @param {number} timestamp - Time in ms
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function getYearKey(timestamp, timezone) {
+  return String(getLocalTime(timestamp, timezone).year);
+}
+
+/**
+ * Returns the day key a number of days before or after a day key.
+ *
+ * @param {string} dayKey - Day as YYYY-MM-DD
+ * @param {number} offset - Days to add, negative for earlier days
+ * @returns {string}
+ */
+function shiftDay(dayKey, offset) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the month key a number of months before or after a month key.
+ *
+ * @param {string} monthKey - Month as YYYY-MM
+ * @param {number} offset - Months to add, negative for earlier months
+ * @returns {string}
+ */
+function shiftMonth(monthKey, offset) {
+  const [year, month] = monthKey.split('-').map(Number);
+  const index = year * 12 + (month - 1) + offset;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+module.exports = {
+  QUARTER_HOUR,
+  getLocalTime,
+  getQuarterHourStart,
+  getDayKey,
+  getWeekKey,
+  getMonthKey,
+  getYearKey,
+  shiftDay,
+  shiftMonth,
+};
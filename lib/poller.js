@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * whatwatt Go Report Poller
+ *
+ * Periodically fetches the meter report over REST as a degraded fallback when the
+ * SSE live stream is unavailable. Also used to poll device variables. Uses Homey timers
+ * so polling stops with the app.
+ */
+class WhatwattPoller {
+  /**
+   * Creates a new poller instance.
+   *
+   * @param {Object} options - Configuration options
+   * @param {Object} options.homey - Homey instance for timer management
+   * @param {Function} options.fetchReport - Async function returning the raw REST response (report or variables)
+   * @param {number} options.interval - Poll interval in milliseconds
+   * @param {Function} options.onData - Invoked with the raw report after each successful poll
+   * @param {Function} [options.onError] - Invoked with the error after a failed poll
+   * @param {Function} [options.logger] - Log function
+   * @param {string} [options.name='report'] - What is polled, used in log messages
+   */
+  constructor(options) {
+    this.homey = options.homey;
+    this.fetchReport = options.fetchReport;
+    this.interval = options.interval;
+    this.onData = options.onData;
+    this.onError = options.onError;
+    this.logger = options.logger || (() => {});
+    this.name = options.name || 'report';
+
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.lastPollSucceeded = null;
+    this.consecutiveFailures = 0;
+    this._inFlight = false;
+  }
+
+  /**
+   * Starts polling. Performs the first poll immediately.
+   */
+  start() {
+    if (this.isPolling) return;
+
+    this.isPolling = true;
+    this.logger(`Starting ${this.name} polling (interval: ${this.interval}ms)`);
+    this.pollTimer = this.homey.setInterval(() => this._poll(), this.interval);
+    this._poll().catch((error) => this.logger(`Poll error (${this.name}): ${error.message}`));
+  }
+
+  /**
+   * Stops polling and clears the timer.
+   */
+  stop() {
+    if (this.pollTimer) {
+      this.homey.clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.isPolling) {
+      this.logger(`Stopped ${this.name} polling`);
+    }
+    this.isPolling = false;
+  }
+
+  /**
+   * Changes the poll interval. Restarts the timer when polling is active.
+   *
+   * @param {number} interval - Poll interval in milliseconds
+   */
+  setInterval(interval) {
+    if (interval === this.interval) return;
+
+    this.interval = interval;
+    if (this.isPolling) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  /**
+   * Fetches one report. Skips when the previous poll is still running so a slow
+   * device does not accumulate parallel requests.
+   * @private
+   */
+  async _poll() {
+    if (this._inFlight || !this.isPolling) return;
+    this._inFlight = true;
+
+    try {
+      const report = await this.fetchReport();
+      if (!this.isPolling) return;
+
+      this.lastPollSucceeded = true;
+      this.consecutiveFailures = 0;
+      this.onData(report);
+    } catch (error) {
+      if (!this.isPolling) return;
+
+      this.lastPollSucceeded = false;
+      this.consecutiveFailures++;
+      this.logger(`Poll failed (${this.name}, ${this.consecutiveFailures} in a row): ${error.message}`);
+      if (this.onError) this.onError(error);
+    } finally {
+      this._inFlight = false;
+    }
+  }
+}
+
+module.exports = WhatwattPoller;
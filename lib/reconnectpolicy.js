@@ -0,0 +1,106 @@
+'use strict';
+
+const {
+  RECONNECT_INITIAL_DELAY, RECONNECT_MAX_DELAY, RECONNECT_MULTIPLIER, RECONNECT_JITTER,
+} = require('./constants');
+
+/**
+ * Reconnect policy with exponential backoff and jitter.
+ *
+ * Delays grow from the initial delay by the multiplier until they reach the maximum delay,
+ * after which retries continue at that rate without limit. Jitter spreads reconnects of
+ * multiple meters so they do not hit the network at the same moment after an outage.
+ */
+class ReconnectPolicy {
+  /**
+   * Creates a new reconnect policy.
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.initialDelay=5000] - Delay before the first retry in ms
+   * @param {number} [options.maxDelay=300000] - Upper bound for any retry delay in ms
+   * @param {number} [options.multiplier=2] - Growth factor per attempt
+   * @param {number} [options.jitter=0.2] - Fraction of the delay that is randomized (0-1)
+   * @param {Function} [options.random=Math.random] - Random source, replaceable for deterministic use
+   */
+  constructor(options = {}) {
+    this.initialDelay = options.initialDelay ?? RECONNECT_INITIAL_DELAY;
+    this.maxDelay = options.maxDelay ?? RECONNECT_MAX_DELAY;
+    this.multiplier = options.multiplier ?? RECONNECT_MULTIPLIER;
+    this.jitter = Math.min(Math.max(options.jitter ?? RECONNECT_JITTER, 0), 1);
+    this.random = options.random || Math.random;
+
+    this.attempts = 0;
+    this.lastDelay = null;
+    this.nextAttemptAt = null;
+  }
+
+  /**
+   * Registers a new attempt and returns how long to wait before making it.
+   * @returns {number} Delay in ms
+   */
+  nextDelay() {
+    this.attempts++;
+
+    const exponential = this.initialDelay * (this.multiplier ** (this.attempts - 1));
+    const base = Math.min(exponential, this.maxDelay);
+
+    // Jitter only shortens the delay so the maximum delay is never exceeded
+    const delay = Math.round(base * (1 - this.jitter * this.random()));
+
+    this.lastDelay = delay;
+    this.nextAttemptAt = Date.now() + delay;
+    return delay;
+  }
+
+  /**
+   * Returns whether the policy has reached its maximum delay and is retrying at the low rate.
+   * @returns {boolean}
+   */
+  isAtMaxDelay() {
+    if (this.attempts === 0) return false;
+    return this.initialDelay * (this.multiplier ** (this.attempts - 1)) >= this.maxDelay;
+  }
+
+  /**
+   * Changes the initial delay, e.g. from a server-sent SSE `retry` hint.
+   * Clamped between one second and the maximum delay so a misbehaving server can neither
+   * cause a reconnect storm nor stall reconnects.
+   *
+   * @param {number} delay - New initial delay in ms
+   */
+  setInitialDelay(delay) {
+    if (!Number.isFinite(delay) || delay < 0) return;
+    this.initialDelay = Math.min(Math.max(delay, 1000), this.maxDelay);
+  }
+
+  /**
+   * Starts the backoff over from the initial delay.
+   * Used after a successful connection or when connection settings change.
+   */
+  reset() {
+    this.attempts = 0;
+    this.lastDelay = null;
+    this.nextAttemptAt = null;
+  }
+
+  /**
+   * Returns the policy state for diagnostics.
+   * @returns {{ attempts: number, phase: 'idle'|'backoff'|'max_delay', lastDelay: number|null, nextAttemptAt: number|null, initialDelay: number, maxDelay: number }}
+   */
+  getState() {
+    let phase = 'backoff';
+    if (this.attempts === 0) phase = 'idle';
+    else if (this.isAtMaxDelay()) phase = 'max_delay';
+
+    return {
+      attempts: this.attempts,
+      phase,
+      lastDelay: this.lastDelay,
+      nextAttemptAt: this.nextAttemptAt,
+      initialDelay: this.initialDelay,
+      maxDelay: this.maxDelay,
+    };
+  }
+}
+
+module.exports = ReconnectPolicy;
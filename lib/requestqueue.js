@@ -0,0 +1,178 @@
+'use strict';
+
+const { MAX_CONCURRENT_REQUESTS, REQUEST_RETRY_ATTEMPTS, REQUEST_RETRY_DELAY } = require('./constants');
+const { DeviceError, TimeoutError, WhatwattError } = require('./errors');
+
+/** Message of the error for requests that were cancelled by destroy(). */
+const CANCELLED_MESSAGE = 'Request cancelled, the device connection was closed';
+
+/**
+ * Request scheduler for the whatwatt Go REST API.
+ *
+ * The whatwatt Go is a small embedded device that answers 503 when several requests arrive
+ * at once, e.g. from repair, setup and Flow actions together. Requests therefore wait for a
+ * free slot, and idempotent requests that fail with 503 or a timeout are retried with
+ * exponential backoff. The slot is given up during the backoff, so a queued reboot does not
+ * wait for all retries of a request. Other requests are never retried, since repeating a
+ * reboot or factory reset could do harm.
+ *
+ * Backoff runs on Homey timers. destroy() rejects the requests that are waiting for a slot or a
+ * retry, so nothing stays pending after the device is removed.
+ */
+class RequestQueue {
+  /**
+   * Creates a new request queue.
+   *
+   * @param {Object} options - Configuration options
+   * @param {Object} options.homey - Homey instance for the retry timers
+   * @param {number} [options.concurrency=1] - Requests that may run at the same time
+   * @param {number} [options.retries=2] - Retries for an idempotent request
+   * @param {number} [options.retryDelay=1000] - Delay before the first retry in ms, doubled per retry
+   */
+  constructor(options) {
+    if (!options?.homey) {
+      throw new Error('Homey instance is required');
+    }
+
+    this.homey = options.homey;
+    this.concurrency = options.concurrency ?? MAX_CONCURRENT_REQUESTS;
+    this.retries = options.retries ?? REQUEST_RETRY_ATTEMPTS;
+    this.retryDelay = options.retryDelay ?? REQUEST_RETRY_DELAY;
+
+    this.active = 0;
+    this.retryCount = 0;
+    this.failedAfterRetries = 0;
+    this._waiting = [];
+    this._delays = new Set();
+    this._destroyed = false;
+  }
+
+  /**
+   * Number of requests waiting for a free slot.
+   * @returns {number}
+   */
+  get depth() {
+    return this._waiting.length;
+  }
+
+  /**
+   * Runs a request when a slot is free.
+   *
+   * @param {Function} task - Async function performing the request
+   * @param {Object} [options]
+   * @param {boolean} [options.idempotent=false] - Whether the request may be retried
+   * @returns {Promise<*>} Result of the task
+   * @throws {WhatwattError} When the queue is destroyed before the request ran
+   */
+  async run(task, { idempotent = false } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this._acquire();
+      try {
+        return await task();
+      } catch (error) {
+        if (!RequestQueue.isRetryable(error) || !idempotent) throw error;
+        if (attempt === this.retries) {
+          if (attempt > 0) this.failedAfterRetries++;
+          throw error;
+        }
+      } finally {
+        this._release();
+      }
+
+      this.retryCount++;
+      await this._delay(this.retryDelay * (2 ** attempt));
+    }
+  }
+
+  /**
+   * Returns counters for diagnostics.
+   * @returns {{active: number, waiting: number, retries: number, failedAfterRetries: number}}
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      waiting: this.depth,
+      retries: this.retryCount,
+      failedAfterRetries: this.failedAfterRetries,
+    };
+  }
+
+  /**
+   * Stops the queue: requests waiting for a slot or a retry are rejected, and new requests
+   * are refused. A request that is running finishes on its own.
+   */
+  destroy() {
+    this._destroyed = true;
+    const error = new WhatwattError(CANCELLED_MESSAGE);
+
+    for (const delay of this._delays) {
+      this.homey.clearTimeout(delay.timer);
+      delay.reject(error);
+    }
+    this._delays.clear();
+
+    for (const waiter of this._waiting) {
+      waiter.reject(error);
+    }
+    this._waiting = [];
+  }
+
+  /**
+   * Waits before a retry.
+   * @private
+   * @param {number} ms - Delay in ms
+   * @returns {Promise<void>}
+   */
+  _delay(ms) {
+    return new Promise((resolve, reject) => {
+      const delay = { reject };
+      delay.timer = this.homey.setTimeout(() => {
+        this._delays.delete(delay);
+        resolve();
+      }, ms);
+      this._delays.add(delay);
+    });
+  }
+
+  /**
+   * Waits for a free slot.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _acquire() {
+    if (this._destroyed) {
+      throw new WhatwattError(CANCELLED_MESSAGE);
+    }
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    // The slot is handed over by _release, so active stays the same
+    await new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * Hands the slot to the next waiting request, or frees it.
+   * @private
+   */
+  _release() {
+    const next = this._waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Returns whether an error means the device was busy: a 503 or a timeout.
+   *
+   * @param {Error} error - Error from the request
+   * @returns {boolean}
+   */
+  static isRetryable(error) {
+    return error instanceof TimeoutError || (error instanceof DeviceError && error.statusCode === 503);
+  }
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Meter scaler helpers for whatwatt Go devices.
+ *
+ * Meters report readings with a power-of-ten scaler per quantity (like the DLMS scaler_unit).
+ * Some meters report a wrong scaler, which makes values off by a factor 10 or 1000. The device
+ * then accepts custom scalers that replace the meter scalers. These helpers validate custom
+ * scalers and preview what a live sample becomes, so mistakes are visible before applying.
+ */
+
+/** Lowest and highest accepted scaler exponent. */
+const MIN_SCALER = -6;
+const MAX_SCALER = 6;
+
+/**
+ * Scaled quantities with the live fields they affect and the range of plausible values.
+ * Ranges are in SSE units and only used for warnings; energy totals have no useful range.
+ */
+const SCALER_QUANTITIES = [
+  {
+    id: 'power',
+    unit: 'kW',
+    fields: ['P_In', 'P_Out', 'P_P1_In', 'P_P2_In', 'P_P3_In', 'P_P1_Out', 'P_P2_Out', 'P_P3_Out'],
+    range: [0, 100],
+  },
+  {
+    id: 'energy',
+    unit: 'kWh',
+    fields: ['E_In', 'E_Out', 'E_In_T1', 'E_In_T2', 'E_Out_T1', 'E_Out_T2'],
+    range: null,
+  },
+  {
+    id: 'voltage',
+    unit: 'V',
+    fields: ['V_P1', 'V_P2', 'V_P3'],
+    range: [90, 280],
+  },
+  {
+    id: 'current',
+    unit: 'A',
+    fields: ['I_P1', 'I_P2', 'I_P3'],
+    range: [0, 200],
+  },
+];
+
+/**
+ * Returns the scalers in effect: custom scalers when enabled, otherwise the meter scalers.
+ *
+ * @param {Object} current - Meter scalers from getCurrentScalers
+ * @param {Object} custom - Custom scalers from getCustomScalers
+ * @returns {Object<string, number>} Exponent per quantity
+ */
+function getEffectiveScalers(current = {}, custom = {}) {
+  const effective = {};
+  for (const { id } of SCALER_QUANTITIES) {
+    const meter = Number(current[id]) || 0;
+    effective[id] = custom.enable && Number.isInteger(custom[id]) ? custom[id] : meter;
+  }
+  return effective;
+}
+
+/**
+ * Validates form values and builds the custom scalers for setCustomScalers.
+ * An empty value keeps the meter scaler for that quantity.
+ *
+ * @param {Object} values - Values from the scaler editor
+ * @param {boolean} values.enable - Use custom scalers
+ * @param {Object} current - Meter scalers, used for empty values
+ * @returns {Object} Custom scalers
+ * @throws {Error} When a scaler is not a whole number in range
+ */
+function buildCustomScalers(values, current = {}) {
+  const custom = { enable: values.enable === true };
+
+  for (const { id } of SCALER_QUANTITIES) {
+    const value = values[id];
+    if (value === '' || value === null || value === undefined) {
+      custom[id] = Number(current[id]) || 0;
+      continue;
+    }
+
+    const scaler = Number(value);
+    if (!Number.isInteger(scaler) || scaler < MIN_SCALER || scaler > MAX_SCALER) {
+      throw new Error(`Invalid ${id} scaler: ${value} (use a whole number from ${MIN_SCALER} to ${MAX_SCALER})`);
+    }
+    custom[id] = scaler;
+  }
+  return custom;
+}
+
+/**
+ * Previews a live sample with new scalers applied.
+ * Values are rescaled from the scalers in effect to the proposed ones; values outside the
+ * plausible range of their quantity produce a warning.
+ *
+ * @param {Object} sample - Live sample in SSE format
+ * @param {Object<string, number>} effective - Scalers the sample was read with
+ * @param {Object<string, number>} proposed - Scalers to preview
+ * @returns {{rows: Array<{quantity: string, field: string, unit: string, current: number, preview: number}>, warnings: string[]}}
+ */
+function previewScaledValues(sample, effective, proposed) {
+  const rows = [];
+  const warnings = [];
+
+  for (const quantity of SCALER_QUANTITIES) {
+    const factor = 10 ** (proposed[quantity.id] - effective[quantity.id]);
+
+    for (const field of quantity.fields) {
+      const value = sample[field];
+      if (typeof value !== 'number' || Number.isNaN(value)) continue;
+
+      const preview = Number((value * factor).toPrecision(12));
+      rows.push({
+        quantity: quantity.id, field, unit: quantity.unit, current: value, preview,
+      });
+
+      // Zero is a valid reading (no load, missing phase) and says nothing about the scaler
+      if (quantity.range && preview !== 0 && (Math.abs(preview) < quantity.range[0] || Math.abs(preview) > quantity.range[1])) {
+        warnings.push(`${field} would be ${preview} ${quantity.unit}, outside the expected ${quantity.range[0]}-${quantity.range[1]} ${quantity.unit}`);
+      }
+    }
+  }
+
+  return { rows, warnings };
+}
+
+module.exports = {
+  SCALER_QUANTITIES,
+  getEffectiveScalers,
+  buildCustomScalers,
+  previewScaledValues,
+};
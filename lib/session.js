@@ -0,0 +1,182 @@
+'use strict';
+
+const { fetch } = require('undici');
+
+const { probeAuthentication, createAuthenticatedFetch } = require('./authentication');
+const { DEFAULT_TIMEOUT } = require('./constants');
+
+/**
+ * Authenticated connection to one whatwatt Go device.
+ *
+ * Owns the address, credentials and auth state that the API client and the event stream
+ * share, so a device needs one unauthenticated probe and one Digest handshake instead of one
+ * per client. Concurrent first requests wait for the same probe, and the Digest challenge is
+ * reused by every request. Address and credential changes go through update(): a new
+ * address keeps the detected scheme, new credentials start a fresh detection.
+ */
+class WhatwattSession {
+  /**
+   * Creates a new session.
+   *
+   * @param {Object} options - Configuration options
+   * @param {Object} options.homey - Homey instance for timers
+   * @param {string} options.host - Device IP address or hostname
+   * @param {number} [options.port=80] - Device port
+   * @param {boolean} [options.https=false] - Use HTTPS instead of HTTP
+   * @param {string} [options.username] - Auth username (empty for whatwatt)
+   * @param {string} [options.password] - Web UI password (if protection enabled)
+   * @param {string} [options.authScheme='auto'] - 'auto' | 'digest' | 'basic'
+   * @param {number} [options.timeout=10000] - Timeout for the auth probe in milliseconds
+   * @param {Object} [options.dispatcher] - fetch dispatcher with TLS pinning, used for HTTPS
+   */
+  constructor(options) {
+    if (!options.host) {
+      throw new Error('Host is required');
+    }
+    if (!options.homey) {
+      throw new Error('Homey instance is required');
+    }
+
+    this.homey = options.homey;
+    this.host = options.host;
+    this.port = options.port || 80;
+    this.https = options.https || false;
+    this.username = options.username || '';
+    this.password = options.password || '';
+    this.authScheme = options.authScheme || 'auto';
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.dispatcher = options.dispatcher;
+
+    // Increases on every address or credential change, so users of the session can tell
+    // whether an open connection still matches it
+    this.version = 0;
+
+    this._detectedScheme = null;
+    this._fetch = null;
+    this._authPromise = null;
+  }
+
+  /**
+   * Base URL of the device, e.g. http://192.168.1.20:80
+   * @returns {string}
+   */
+  get baseUrl() {
+    return `${this.https ? 'https' : 'http'}://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Auth scheme in use: detected or configured. Null when not known yet or not required.
+   * @returns {'digest'|'basic'|null}
+   */
+  get scheme() {
+    return this._detectedScheme;
+  }
+
+  /**
+   * Returns the full URL for an API path.
+   * @param {string} path - API path (e.g. /api/v1/system)
+   * @returns {string}
+   */
+  url(path) {
+    return `${this.baseUrl}${path}`;
+  }
+
+  /**
+   * Applies new connection settings. Omitted options keep their value.
+   *
+   * @param {Object} options - host, port, https, username, password, timeout
+   * @returns {boolean} Whether the address or credentials changed
+   */
+  update(options) {
+    if (options.timeout) {
+      this.timeout = options.timeout;
+    }
+
+    const next = {
+      host: options.host || this.host,
+      port: options.port || this.port,
+      https: options.https ?? this.https,
+      username: options.username ?? this.username,
+      password: options.password ?? this.password,
+    };
+    const addressChanged = next.host !== this.host || next.port !== this.port || next.https !== this.https;
+    const credentialsChanged = next.username !== this.username || next.password !== this.password;
+    if (!addressChanged && !credentialsChanged) return false;
+
+    Object.assign(this, next);
+    this.version++;
+
+    if (credentialsChanged) {
+      this.resetAuth();
+    }
+    return true;
+  }
+
+  /**
+   * Forgets the detected scheme and Digest challenge, so the next request probes again.
+   */
+  resetAuth() {
+    this._detectedScheme = null;
+    this._fetch = null;
+    this._authPromise = null;
+  }
+
+  /**
+   * Performs a fetch against the device with authentication and the TLS dispatcher applied.
+   *
+   * @param {string} path - API path (e.g. /api/v1/live)
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Response>}
+   */
+  async fetch(path, options = {}) {
+    const fetchFn = await this._getFetch();
+    return fetchFn(this.url(path), { ...options, dispatcher: this.dispatcher });
+  }
+
+  /**
+   * Returns the fetch function for the current credentials, detecting the auth scheme once.
+   * @private
+   * @returns {Promise<Function>}
+   */
+  async _getFetch() {
+    if (!this.password) return fetch;
+    if (this._fetch) return this._fetch;
+
+    if (this._authPromise === null) {
+      const promise = this._createFetch();
+      const settle = () => {
+        if (this._authPromise === promise) this._authPromise = null;
+      };
+      promise.then(settle, settle);
+      this._authPromise = promise;
+    }
+    return this._authPromise;
+  }
+
+  /**
+   * Detects Digest vs Basic when authScheme is 'auto' to support both firmware 1.10+ (Digest)
+   * and older (Basic), then builds the authenticated fetch.
+   * @private
+   * @returns {Promise<Function>}
+   */
+  async _createFetch() {
+    const { username, password } = this;
+    let scheme = this.authScheme;
+    let challenge = null;
+    if (scheme === 'auto') {
+      ({ scheme, challenge } = await probeAuthentication(this.homey, this.host, this.port, this.https, this.timeout, this.dispatcher));
+    }
+
+    // Without a scheme the device answered without auth; Digest is only used if it asks later.
+    // The probe's challenge is answered right away instead of waiting for another 401.
+    const fetchFn = createAuthenticatedFetch(username, password, scheme, challenge);
+    // Credentials that changed while probing start their own detection
+    if (this.username === username && this.password === password) {
+      this._detectedScheme = scheme;
+      this._fetch = fetchFn;
+    }
+    return fetchFn;
+  }
+}
+
+module.exports = WhatwattSession;
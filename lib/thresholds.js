@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Threshold monitoring for Flow triggers.
+ *
+ * Tracks whether a value stays above or below a threshold for a minimum duration
+ * before reporting a crossing, and requires the value to move back past a hysteresis
+ * band before the same threshold can fire again. Keeps noisy meter readings from
+ * flapping Flows.
+ */
+class ThresholdMonitor {
+  /**
+   * Creates a new threshold monitor.
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.hysteresis=0] - Fraction of the threshold used as release band (e.g. 0.05 = 5%)
+   * @param {number} [options.minHysteresis=0] - Minimum absolute release band in value units
+   */
+  constructor(options = {}) {
+    this.hysteresis = options.hysteresis || 0;
+    this.minHysteresis = options.minHysteresis || 0;
+
+    this._states = new Map();
+  }
+
+  /**
+   * Evaluates a new sample against a threshold.
+   * Each key keeps its own debounce and hysteresis state, so multiple Flows with
+   * different arguments can share one monitor.
+   *
+   * @param {string} key - Identifier for this threshold (e.g. derived from Flow arguments)
+   * @param {number} value - Current sample value
+   * @param {Object} options - Threshold definition
+   * @param {number} options.threshold - Threshold value
+   * @param {'above'|'below'} [options.direction='above'] - Crossing direction
+   * @param {number} [options.duration=0] - Time in ms the value must stay past the threshold
+   * @param {number} [options.now=Date.now()] - Sample timestamp in ms
+   * @returns {boolean} True exactly once when the threshold has been crossed for the full duration
+   */
+  update(key, value, options) {
+    if (value === null || value === undefined || Number.isNaN(Number(value))) {
+      return false;
+    }
+
+    const {
+      threshold, direction = 'above', duration = 0, now = Date.now(),
+    } = options;
+    const band = Math.max(Math.abs(threshold) * this.hysteresis, this.minHysteresis);
+
+    const state = this._states.get(key) || { since: null, fired: false };
+    this._states.set(key, state);
+
+    const crossed = direction === 'above' ? value > threshold : value < threshold;
+    const released = direction === 'above' ? value < threshold - band : value > threshold + band;
+
+    // Stay latched until the value leaves the hysteresis band to prevent repeated firing
+    if (state.fired) {
+      if (released) {
+        state.fired = false;
+        state.since = null;
+      }
+      return false;
+    }
+
+    if (!crossed) {
+      state.since = null;
+      return false;
+    }
+
+    if (state.since === null) {
+      state.since = now;
+    }
+
+    if (now - state.since >= duration) {
+      state.fired = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Returns whether a threshold is currently latched after firing.
+   *
+   * @param {string} key - Threshold identifier
+   * @returns {boolean}
+   */
+  isActive(key) {
+    return this._states.get(key)?.fired || false;
+  }
+
+  /**
+   * Clears state for one key, or for all keys when no key is given.
+   * Used when the data source restarts so stale timers do not fire on resumed data.
+   *
+   * @param {string} [key] - Threshold identifier
+   */
+  reset(key) {
+    if (key === undefined) {
+      this._states.clear();
+    } else {
+      this._states.delete(key);
+    }
+  }
+}
+
+module.exports = ThresholdMonitor;
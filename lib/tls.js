@@ -0,0 +1,111 @@
+'use strict';
+
+const { Agent, buildConnector } = require('undici');
+
+/**
+ * TLS handling for whatwatt Go devices.
+ *
+ * The whatwatt Go serves a self-signed certificate, so normal CA validation always fails.
+ * Instead the certificate is trusted on first use: the SHA-256 fingerprint seen on the first
+ * HTTPS connection is pinned, and every later connection must present the same certificate.
+ * The returned dispatcher is passed to undici's fetch, so the API client, auth detection and the
+ * event stream all share the same TLS handling.
+ */
+
+/**
+ * Normalizes a fingerprint to upper case hex pairs separated by colons.
+ *
+ * @param {string} fingerprint - Fingerprint in any common notation
+ * @returns {string|null}
+ */
+function normalizeFingerprint(fingerprint) {
+  if (!fingerprint || typeof fingerprint !== 'string') return null;
+  const hex = fingerprint.replace(/[^0-9a-f]/gi, '').toUpperCase();
+  if (!hex) return null;
+  return hex.match(/.{1,2}/g).join(':');
+}
+
+/**
+ * Returns the certificate mismatch error from an error chain, if any.
+ * fetch wraps connection errors in a generic TypeError with the original error as cause.
+ *
+ * @param {Error} error - Error to inspect
+ * @returns {Error|null}
+ */
+function getCertificateMismatch(error) {
+  let current = error;
+  while (current) {
+    if (current.isCertificateMismatch) return current;
+    current = current.cause;
+  }
+  return null;
+}
+
+/**
+ * Creates a fetch dispatcher that pins the device certificate on first use.
+ *
+ * The pin store is read on every new connection, so clearing the stored fingerprint
+ * (re-trust from the repair view) takes effect without creating a new dispatcher.
+ *
+ * @param {Object} pinStore - Fingerprint storage
+ * @param {Function} pinStore.get - Returns the pinned fingerprint or null
+ * @param {Function} pinStore.set - Stores a newly trusted fingerprint
+ * @param {Function} [logger] - Log function
+ * @returns {Agent} Dispatcher for the fetch `dispatcher` option
+ */
+function createPinnedDispatcher(pinStore, logger = () => {}) {
+  // Certificate chain validation is replaced by the fingerprint check below. Session resumption
+  // is disabled because resumed sessions carry no peer certificate to check.
+  const connector = buildConnector({ rejectUnauthorized: false, maxCachedSessions: 0 });
+
+  const connect = (options, callback) => {
+    connector(options, (error, socket) => {
+      if (error) {
+        callback(error, null);
+        return;
+      }
+
+      // Plain HTTP connections through the same dispatcher need no pinning
+      if (typeof socket.getPeerCertificate !== 'function') {
+        callback(null, socket);
+        return;
+      }
+
+      const fingerprint = normalizeFingerprint(socket.getPeerCertificate().fingerprint256);
+      const pinned = normalizeFingerprint(pinStore.get());
+
+      if (!fingerprint) {
+        socket.destroy();
+        callback(new Error('Device did not present a TLS certificate'), null);
+        return;
+      }
+
+      if (!pinned) {
+        logger(`Trusting device certificate on first use: ${fingerprint}`);
+        pinStore.set(fingerprint);
+        callback(null, socket);
+        return;
+      }
+
+      if (pinned !== fingerprint) {
+        socket.destroy();
+        const mismatchError = new Error('Device certificate does not match the trusted certificate - repair the device to trust the new certificate');
+        mismatchError.isCertificateMismatch = true;
+        mismatchError.fingerprint = fingerprint;
+        mismatchError.expectedFingerprint = pinned;
+        callback(mismatchError, null);
+        return;
+      }
+
+      callback(null, socket);
+    });
+  };
+
+  return new Agent({ connect });
+}
+
+module.exports = {
+  createPinnedDispatcher,
+  normalizeFingerprint,
+  getCertificateMismatch,
+};
@@ -132,7 +132,8 @@ function convertPower(value) {
 
 /**
  * Normalizes REST API report data to match SSE format.
- * Converts nested REST API structure to flat field names for consistent data processing.
+ * Converts nested REST API structure to flat field names and keeps SSE units (kW, kvar, kWh)
+ * so polled reports can be processed by the same pipeline as live stream data.
  *
  * @param {Object} reportData The report data from REST API.
  * @returns {Object} Data in SSE format with flat field names.
@@ -150,19 +151,19 @@ function convertReport(reportData) {
   const { report } = reportData;
 
   return {
-    // Power consumption and export (converted from kW to W)
-    P_In: convertPower(report.instantaneous_power?.active?.positive?.total),
-    P_Out: convertPower(report.instantaneous_power?.active?.negative?.total),
+    // Power consumption and export (kW)
+    P_In: report.instantaneous_power?.active?.positive?.total,
+    P_Out: report.instantaneous_power?.active?.negative?.total,
 
     // Phase-specific power consumption
-    P_P1_In: convertPower(report.instantaneous_power?.active?.positive?.l1),
-    P_P2_In: convertPower(report.instantaneous_power?.active?.positive?.l2),
-    P_P3_In: convertPower(report.instantaneous_power?.active?.positive?.l3),
+    P_P1_In: report.instantaneous_power?.active?.positive?.l1,
+    P_P2_In: report.instantaneous_power?.active?.positive?.l2,
+    P_P3_In: report.instantaneous_power?.active?.positive?.l3,
 
     // Phase-specific power export
-    P_P1_Out: convertPower(report.instantaneous_power?.active?.negative?.l1),
-    P_P2_Out: convertPower(report.instantaneous_power?.active?.negative?.l2),
-    P_P3_Out: convertPower(report.instantaneous_power?.active?.negative?.l3),
+    P_P1_Out: report.instantaneous_power?.active?.negative?.l1,
+    P_P2_Out: report.instantaneous_power?.active?.negative?.l2,
+    P_P3_Out: report.instantaneous_power?.active?.negative?.l3,
 
     // Voltage measurements per phase
     V_P1: report.voltage?.l1,
@@ -184,9 +185,9 @@ function convertReport(reportData) {
     E_Out_T1: report.energy?.active?.negative?.t1,
     E_Out_T2: report.energy?.active?.negative?.t2,
 
-    // Reactive power (converted from kvar to var)
-    rP_In: convertPower(report.instantaneous_power?.reactive?.positive?.total),
-    rP_Out: convertPower(report.instantaneous_power?.reactive?.negative?.total),
+    // Reactive power (kvar)
+    rP_In: report.instantaneous_power?.reactive?.positive?.total,
+    rP_Out: report.instantaneous_power?.reactive?.negative?.total,
 
     // Power factor
     PF: report.power_factor,
@@ -240,6 +241,21 @@ function safeNumber(value, fallback = 0) {
   return Number.isNaN(numericValue) ? fallback : numericValue;
 }
 
+/**
+ * Returns the increase of a lifetime meter register between two readings.
+ * A lower reading means the meter was replaced or reset, so nothing is counted.
+ *
+ * @param {number|null} previous - Previous reading, null when unknown
+ * @param {number} current - Current reading
+ * @returns {number} Increase, 0 for the first reading or after a reset
+ */
+function getMeterIncrease(previous, current) {
+  if (previous === null || previous === undefined || current < previous) {
+    return 0;
+  }
+  return current - previous;
+}
+
 /**
  * Calculates net power values (import - export) for total and per-phase measurements.
  * Provides unified power values where positive indicates consumption and negative indicates generation.
@@ -287,6 +303,8 @@ function calculatePower(data) {
 /**
  * Discovers and updates device IP address using mDNS discovery.
  * Handles dynamic IP changes during device repair and reconnection.
+ * Devices added manually by address are not advertised via mDNS and keep their stored address.
+ * A port override from device settings is applied to the returned connection port.
  *
  * @param {Homey.Device} device - The Homey device instance
  * @param {Homey.Driver} driver - The Homey driver instance (for discovery access)
@@ -305,6 +323,19 @@ async function refreshDeviceIP(device, driver) {
   try {
     const store = device.getStore();
     const deviceId = device.getData().id;
+    // A port set in device settings wins over the advertised or paired port
+    const portOverride = Number(device.getSetting('port_override')) || null;
+
+    if (store.manual) {
+      device.log('Device was added manually, skipping mDNS lookup and using stored address');
+      return {
+        success: true,
+        ipUpdated: false,
+        connectionHost: store.address,
+        connectionPort: portOverride || store.port || 80,
+        found: false,
+      };
+    }
 
     device.log('Attempting to discover device current IP address via mDNS');
 
@@ -359,7 +390,7 @@ async function refreshDeviceIP(device, driver) {
       success: true,
       ipUpdated,
       connectionHost,
-      connectionPort,
+      connectionPort: portOverride || connectionPort,
       found: currentDiscoveryResult !== null,
     };
 
@@ -456,34 +487,87 @@ function formatDeviceName(discoveryResult) {
 }
 
 /**
- * Parses SSE format from a text buffer.
- * Chunks may split events across boundaries; remainder holds the incomplete tail
- * for prepending to the next chunk.
+ * Parses SSE format from a text buffer following the WHATWG event stream specification.
+ * Accepts CRLF, CR and LF line endings, strips a single space after the field colon,
+ * and handles `id`, `retry` and comment lines. Chunks may split events across boundaries;
+ * remainder holds the incomplete tail for prepending to the next chunk.
+ *
+ * Comment and retry lines are consumed immediately and never end up in the remainder,
+ * so they are reported exactly once even when the surrounding event is still incomplete.
  *
  * @param {string} buffer - Accumulated text
- * @returns {{ events: Array<{event: string, data: string}>, remainder: string }}
+ * @returns {{
+ *   events: Array<{event: string, data: string, id: (string|undefined)}>,
+ *   remainder: string,
+ *   retry: (number|null),
+ *   comments: number,
+ *   lastEventId: (string|undefined)
+ * }}
  */
 function parseSSE(buffer) {
   const events = [];
-  const blocks = buffer.split(/\n\n+/);
-  const remainder = blocks.pop() || '';
-
-  for (const block of blocks) {
-    let eventType = 'message';
-    let data = '';
-    for (const line of block.split(/\r\n|\n/)) {
-      if (line.startsWith('event:')) {
-        eventType = line.slice(6).trim();
-      } else if (line.startsWith('data:')) {
-        data = (data ? `${data}\n` : '') + line.slice(5).trim();
+  let retry = null;
+  let comments = 0;
+  let lastEventId;
+  let pending = [];
+  let position = 0;
+
+  const dispatch = () => {
+    let eventType = '';
+    let id;
+    const dataLines = [];
+    for (const { field, value } of pending) {
+      if (field === 'event') {
+        eventType = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      } else if (field === 'id' && !value.includes('\0')) {
+        id = value;
       }
     }
-    if (eventType || data) {
-      events.push({ event: eventType, data });
+    pending = [];
+
+    if (id !== undefined) {
+      lastEventId = id;
+    }
+    if (dataLines.length > 0) {
+      events.push({ event: eventType || 'message', data: dataLines.join('\n'), id });
+    }
+  };
+
+  const lineBreak = /\r\n|\r|\n/g;
+  for (let match = lineBreak.exec(buffer); match !== null; match = lineBreak.exec(buffer)) {
+    // A trailing CR may be the first half of a CRLF split across chunks; wait for more data
+    if (match[0] === '\r' && match.index === buffer.length - 1) break;
+
+    const line = buffer.slice(position, match.index);
+    position = match.index + match[0].length;
+
+    if (line === '') {
+      dispatch();
+    } else if (line.startsWith(':')) {
+      comments++;
+    } else {
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+
+      if (field === 'retry') {
+        if (/^\d+$/.test(value)) retry = Number(value);
+      } else {
+        pending.push({ field, value });
+      }
     }
   }
 
-  return { events, remainder };
+  // Serialize fields of the incomplete event so they are parsed again with the next chunk
+  const pendingText = pending.map(({ field, value }) => `${field}: ${value}\n`).join('');
+  const remainder = pendingText + buffer.slice(position);
+
+  return {
+    events, remainder, retry, comments, lastEventId,
+  };
 }
 
 /**
@@ -531,6 +615,7 @@ module.exports = {
   convertReport,
   isValidNumber,
   safeNumber,
+  getMeterIncrease,
   calculatePower,
   refreshDeviceIP,
   updateMeterInformation,
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Helpers for device variables from `/api/v1/variables`.
+ *
+ * The device returns its variables either as a list of `{ name, value }` entries or as a
+ * (nested) object. Both are flattened into one name/value map with dotted names, so users can
+ * pick variables by name in the device settings.
+ */
+
+/** Capability used for numeric variables; each variable gets a sub-capability. */
+const VARIABLE_CAPABILITY = 'measure_variable';
+
+/**
+ * Flattens a variables response into a map of variable name to value.
+ * Only numbers, strings and booleans are kept.
+ *
+ * @param {Array|Object} response - Response of getVariables
+ * @returns {Object<string, number|string|boolean>}
+ */
+function flattenVariables(response) {
+  const variables = {};
+
+  const add = (name, value) => {
+    if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        add(name ? `${name}.${key}` : key, child);
+      }
+    } else if (['number', 'string', 'boolean'].includes(typeof value) && name) {
+      variables[name] = value;
+    }
+  };
+
+  if (Array.isArray(response)) {
+    for (const entry of response) {
+      if (entry && typeof entry.name === 'string') add(entry.name, entry.value);
+    }
+  } else {
+    add('', response?.variables ?? response);
+  }
+
+  return variables;
+}
+
+/**
+ * Parses the variable selection from device settings: names separated by commas or new lines.
+ * @param {string} text - Setting value
+ * @returns {string[]} Unique names in the order entered
+ */
+function parseVariableSelection(text) {
+  const names = (text || '').split(/[,\n]/).map((name) => name.trim()).filter(Boolean);
+  return [...new Set(names)];
+}
+
+/**
+ * Turns a variable name into an ID part for capabilities and Flow tokens.
+ * @param {string} name - Variable name
+ * @returns {string}
+ */
+function toVariableId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Checks that every selected variable maps to its own non-empty ID, so no two variables
+ * share a capability or Flow token.
+ *
+ * @param {string[]} names - Selected variable names
+ * @throws {Error} When a name has no letters or digits, or two names map to the same ID
+ */
+function validateVariableSelection(names) {
+  const namesById = new Map();
+  for (const name of names) {
+    const id = toVariableId(name);
+    if (!id) {
+      throw new Error(`The variable name "${name}" needs at least one letter or digit`);
+    }
+    if (namesById.has(id)) {
+      throw new Error(`The variables "${namesById.get(id)}" and "${name}" cannot both be selected, they would share the same ID`);
+    }
+    namesById.set(id, name);
+  }
+}
+
+/**
+ * Returns the sub-capability ID for a numeric variable.
+ * @param {string} name - Variable name
+ * @returns {string}
+ */
+function getVariableCapabilityId(name) {
+  return `${VARIABLE_CAPABILITY}.${toVariableId(name)}`;
+}
+
+/**
+ * Returns the Flow token type for a variable value.
+ * @param {*} value - Variable value
+ * @returns {'number'|'boolean'|'string'}
+ */
+function getVariableTokenType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'string';
+}
+
+module.exports = {
+  VARIABLE_CAPABILITY,
+  flattenVariables,
+  parseVariableSelection,
+  toVariableId,
+  validateVariableSelection,
+  getVariableCapabilityId,
+  getVariableTokenType,
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+const { getDayKey } = require('./periods');
+const { isValidNumber } = require('./utils');
+const {
+  VOLTAGE_HYSTERESIS, VOLTAGE_MAX_GAP, MAX_VOLTAGE_EVENTS, VOLTAGE_STATS_DAYS,
+} = require('./constants');
+
+/**
+ * Voltage quality monitoring per phase.
+ *
+ * An excursion starts when a phase voltage goes above the upper or below the lower limit, and
+ * ends once the voltage is back inside the limits by VOLTAGE_HYSTERESIS, so a voltage hovering
+ * at a limit counts as one excursion. An excursion without a sample for more than VOLTAGE_MAX_GAP,
+ * e.g. after an app restart or a stream outage, ends at its last sample, so the gap does not count
+ * towards its duration. Finished excursions are kept in a bounded log with their
+ * duration and lowest and highest voltage. Statistics are kept per day in the Homey timezone:
+ * the number of excursions by type, their total duration and the voltage range of all phases.
+ */
+class VoltageMonitor {
+  /**
+   * Creates a new voltage monitor.
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.timezone - IANA timezone used for daily statistics
+   * @param {{low: number, high: number}} options.limits - Voltage limits in V
+   * @param {Object} [options.state] - State from getState() to resume from
+   */
+  constructor(options) {
+    this.timezone = options.timezone;
+    this.setLimits(options.limits);
+
+    const state = options.state || {};
+    this._active = state.active || {};
+    this._events = Array.isArray(state.events) ? state.events : [];
+    this._days = Array.isArray(state.days) ? state.days : [];
+  }
+
+  /**
+   * Applies new voltage limits. Running excursions end against the new limits.
+   * @param {{low: number, high: number}} limits - Voltage limits in V
+   */
+  setLimits({ low, high }) {
+    this.limits = { low, high };
+  }
+
+  /**
+   * Adds a sample of the phase voltages.
+   *
+   * @param {Array<number|null>} voltages - Voltage per phase in V, indexed by phase number - 1
+   * @param {number} [now=Date.now()] - Sample timestamp in ms
+   * @returns {{started: Array<Object>, ended: Array<Object>}} Excursions that started and ended with this sample
+   */
+  update(voltages, now = Date.now()) {
+    const started = [];
+    const ended = [];
+    const today = this._getDay(now);
+
+    voltages.forEach((voltage, index) => {
+      if (!isValidNumber(voltage)) return;
+      const phase = index + 1;
+      today.min = today.min === null ? voltage : Math.min(today.min, voltage);
+      today.max = today.max === null ? voltage : Math.max(today.max, voltage);
+
+      let active = this._active[phase];
+      if (active && now - (active.lastAt ?? active.start) > VOLTAGE_MAX_GAP) {
+        ended.push(this._endExcursion(phase, active.lastAt ?? active.start, today));
+        active = undefined;
+      }
+
+      const type = this._getExcursionType(voltage, active);
+      if (active && active.type === type) {
+        active.min = Math.min(active.min, voltage);
+        active.max = Math.max(active.max, voltage);
+        active.lastAt = now;
+        return;
+      }
+
+      if (active) {
+        ended.push(this._endExcursion(phase, now, today));
+      }
+      if (type) {
+        this._active[phase] = {
+          phase, type, start: now, lastAt: now, min: voltage, max: voltage,
+        };
+        today[type]++;
+        started.push({ ...this._active[phase] });
+      }
+    });
+
+    return { started, ended };
+  }
+
+  /**
+   * Returns the running excursions.
+   * @returns {Array<{phase: number, type: string, start: number, lastAt: number, min: number, max: number}>}
+   */
+  getActive() {
+    return Object.values(this._active).map((excursion) => ({ ...excursion }));
+  }
+
+  /**
+   * Returns the finished excursions, oldest first.
+   * @returns {Array<{phase: number, type: string, start: number, end: number, duration: number, min: number, max: number}>}
+   */
+  getEvents() {
+    return this._events.map((event) => ({ ...event }));
+  }
+
+  /**
+   * Returns the statistics per day, oldest first.
+   * @returns {Array<{day: string, over: number, under: number, duration: number, min: ?number, max: ?number}>}
+   */
+  getDailyStats() {
+    return this._days.map((day) => ({ ...day }));
+  }
+
+  /**
+   * Returns the state to persist, accepted again by the constructor.
+   * @returns {Object}
+   */
+  getState() {
+    const active = {};
+    for (const [phase, excursion] of Object.entries(this._active)) {
+      active[phase] = { ...excursion };
+    }
+    return { active, events: this.getEvents(), days: this.getDailyStats() };
+  }
+
+  /**
+   * Returns whether a voltage is an over- or under-voltage, taking the running excursion into account.
+   * @private
+   * @param {number} voltage - Phase voltage in V
+   * @param {Object} [active] - Running excursion on the phase
+   * @returns {'over'|'under'|null}
+   */
+  _getExcursionType(voltage, active) {
+    const { low, high } = this.limits;
+    if (active?.type === 'over' && voltage > high - VOLTAGE_HYSTERESIS) return 'over';
+    if (active?.type === 'under' && voltage < low + VOLTAGE_HYSTERESIS) return 'under';
+    if (voltage > high) return 'over';
+    if (voltage < low) return 'under';
+    return null;
+  }
+
+  /**
+   * Finishes the running excursion of a phase and adds it to the log and the day it ended in.
+   * @private
+   * @param {number} phase - Phase number
+   * @param {number} end - End of the excursion in ms
+   * @param {Object} today - Statistics of the current day, used when the end day is no longer kept
+   * @returns {Object} The finished excursion
+   */
+  _endExcursion(phase, end, today) {
+    const { lastAt, ...excursion } = this._active[phase];
+    const event = { ...excursion, end, duration: end - excursion.start };
+    delete this._active[phase];
+
+    this._events.push(event);
+    this._events = this._events.slice(-MAX_VOLTAGE_EVENTS);
+    const key = getDayKey(end, this.timezone);
+    const day = this._days.find((stats) => stats.day === key) || today;
+    day.duration += event.duration;
+    return { ...event };
+  }
+
+  /**
+   * Returns the statistics of the day a timestamp falls in, starting a new day when needed.
+   * @private
+   * @param {number} now - Time in ms
+   * @returns {Object}
+   */
+  _getDay(now) {
+    const key = getDayKey(now, this.timezone);
+    const last = this._days[this._days.length - 1];
+    if (last && last.day >= key) return last;
+
+    const day = {
+      day: key, over: 0, under: 0, duration: 0, min: null, max: null,
+    };
+    this._days.push(day);
+    this._days = this._days.slice(-VOLTAGE_STATS_DAYS);
+    return day;
+  }
+}
+
+module.exports = VoltageMonitor;
@@ -1,70 +1,77 @@
 'use strict';
 
-const { detectAuthScheme, createAuthenticatedFetch } = require('./authentication');
+const WhatwattSession = require('./session');
+const RequestQueue = require('./requestqueue');
 const { DEFAULT_TIMEOUT } = require('./constants');
+const { getCertificateMismatch } = require('./tls');
+const {
+  AuthenticationError, MalformedResponseError, createHTTPError, toWhatwattError,
+} = require('./errors');
 
 /**
  * whatwatt Go API client.
  *
  * Handles HTTP requests to the whatwatt device REST API. Supports Digest (firmware 1.10+)
- * and Basic (older firmware) auth via probe-and-select. Uses native fetch with digest-fetch.
+ * and Basic (older firmware) auth via probe-and-select. Uses undici's fetch.
+ * Address and auth state live in a WhatwattSession, which a device shares with its event stream.
+ * Requests go through a RequestQueue so the device is not flooded with parallel calls.
  */
 class WhatwattAPI {
   /**
    * Creates a new API client instance.
    *
+   * Pass either a session or the connection options to create one.
+   *
    * @param {Object} options - Configuration options
-   * @param {string} options.host - Device IP address or hostname
+   * @param {WhatwattSession} [options.session] - Shared session; the options below are then ignored
+   * @param {string} [options.host] - Device IP address or hostname
    * @param {number} [options.port=80] - Device port (default: 80)
    * @param {boolean} [options.https=false] - Use HTTPS instead of HTTP
    * @param {string} [options.username] - Auth username (empty for whatwatt)
    * @param {string} [options.password] - Web UI password (if protection enabled)
    * @param {string} [options.authScheme='auto'] - 'auto' | 'digest' | 'basic'
    * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   * @param {Object} [options.dispatcher] - fetch dispatcher with TLS pinning, used for HTTPS
+   * @param {RequestQueue} [options.queue] - Request queue, created per client when omitted
    * @param {Object} [options.device] - Homey device instance for logging
+   * @param {Object} [options.homey] - Homey instance for timers; required unless a device is passed
    */
   constructor(options) {
-    if (!options.host) {
-      throw new Error('Host is required');
+    this.homey = options.homey || options.device?.homey;
+    if (!this.homey) {
+      throw new Error('Homey instance is required');
     }
 
-    this.host = options.host;
-    this.port = options.port || 80;
-    this.protocol = options.https ? 'https' : 'http';
-    this.username = options.username || '';
-    this.password = options.password || '';
-    this.authScheme = options.authScheme || 'auto';
-    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.session = options.session || new WhatwattSession({ ...options, homey: this.homey });
+    this.queue = options.queue || new RequestQueue({ homey: this.homey });
     this.device = options.device;
-
-    this._baseUrl = `${this.protocol}://${this.host}:${this.port}`;
-    this._authSchemeDetected = null;
-    this._authenticatedFetch = null;
   }
 
   /**
-   * Resolves authentication before requests. Detects Digest vs Basic via probe when
-   * authScheme is 'auto' to support both firmware 1.10+ (Digest) and older (Basic).
-   * @private
+   * Cancels queued requests and retries. The client cannot be used afterwards.
    */
-  async _ensureAuth() {
-    if (!this.password) return;
-    if (this._authenticatedFetch) return;
-
-    let scheme = this._authSchemeDetected;
-    if (this.authScheme === 'auto' || !scheme) {
-      scheme = await detectAuthScheme(this.host, this.port, this.protocol === 'https', this.timeout);
-      this._authSchemeDetected = scheme;
-    } else {
-      scheme = this.authScheme;
-    }
-    if (scheme) {
-      this._authenticatedFetch = createAuthenticatedFetch(this.username, this.password, scheme);
-    }
+  destroy() {
+    this.queue.destroy();
+  }
+
+  /** Device host, from the session. */
+  get host() {
+    return this.session.host;
+  }
+
+  /** Device port, from the session. */
+  get port() {
+    return this.session.port;
+  }
+
+  /** Request timeout in milliseconds, from the session. */
+  get timeout() {
+    return this.session.timeout;
   }
 
   /**
-   * Performs an HTTP request.
+   * Performs an HTTP request through the request queue. Only GET requests are retried when
+   * the device is busy; writes and actions such as reboot run exactly once.
    *
    * @private
    * @param {string} method - HTTP method
@@ -73,11 +80,16 @@ class WhatwattAPI {
    * @returns {Promise<Object|Array>} Parsed JSON response
    */
   async _request(method, path, body = undefined) {
-    await this._ensureAuth();
+    return this.queue.run(() => this._send(method, path, body), { idempotent: method === 'GET' });
+  }
 
-    const url = `${this._baseUrl}${path}`;
+  /**
+   * Sends one HTTP request. The timeout starts when the request leaves the queue.
+   * @private
+   */
+  async _send(method, path, body) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const timeoutId = this.homey.setTimeout(() => controller.abort(), this.timeout);
 
     const headers = {
       'Content-Type': 'application/json',
@@ -94,42 +106,36 @@ class WhatwattAPI {
       options.body = JSON.stringify(body);
     }
 
-    const fetchFn = this._authenticatedFetch || fetch;
-
     if (this.device) {
       this.device.log(`whatwatt API Request: ${method} ${path}`);
     }
 
+    let response;
     try {
-      const response = await fetchFn(url, options);
-      clearTimeout(timeoutId);
+      response = await this.session.fetch(path, options);
+    } catch (error) {
+      throw toWhatwattError(error, this.host, this.port);
+    } finally {
+      this.homey.clearTimeout(timeoutId);
+    }
 
-      if (this.device) {
-        this.device.log(`whatwatt API Response: ${response.status} ${response.statusText}`);
-      }
+    if (this.device) {
+      this.device.log(`whatwatt API Response: ${response.status} ${response.statusText}`);
+    }
 
-      if (!response.ok) {
-        const err = new Error(`HTTP ${response.status} ${response.statusText}`);
-        err.response = { status: response.status, statusText: response.statusText };
-        throw err;
-      }
+    if (!response.ok) {
+      await response.body?.cancel().catch(() => {});
+      throw createHTTPError(response.status, response.statusText);
+    }
 
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        return await response.json();
-      }
+    const contentType = response.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
       return {};
+    }
+    try {
+      return await response.json();
     } catch (error) {
-      clearTimeout(timeoutId);
-      if (error.name === 'AbortError') {
-        const abortErr = new Error('Request timeout');
-        abortErr.request = true;
-        throw abortErr;
-      }
-      if (!error.response && !error.request) {
-        error.request = true;
-      }
-      throw error;
+      throw new MalformedResponseError(`Invalid JSON in response to ${method} ${path}`, { cause: error });
     }
   }
 
@@ -353,14 +359,16 @@ class WhatwattAPI {
    * Static helper to test device connectivity without instantiating a full API client.
    * Used during pairing and repair when no device instance exists.
    *
+   * @param {Object} homey - Homey instance for timers
    * @param {Object} deviceConfig - { host, port } connection config
    * @param {string} [password=''] - Web UI password if protection enabled
    * @param {number} [timeout=DEFAULT_TIMEOUT] - Request timeout in ms
    * @returns {Promise<boolean>}
    */
-  static async testDeviceConnection(deviceConfig, password = '', timeout = DEFAULT_TIMEOUT) {
+  static async testDeviceConnection(homey, deviceConfig, password = '', timeout = DEFAULT_TIMEOUT) {
     try {
       const api = new WhatwattAPI({
+        homey,
         host: deviceConfig.host,
         port: deviceConfig.port || 80,
         https: false,
@@ -376,35 +384,27 @@ class WhatwattAPI {
     }
   }
 
+  /**
+   * Prepends context to an error while keeping its type, so callers can still tell an
+   * authentication failure from an unreachable device.
+   * @private
+   * @param {string} message - What was being done
+   * @param {Error} error - Error from _request
+   * @returns {Error}
+   */
   _handleError(message, error) {
-    if (error.response) {
-      const { status, statusText } = error.response;
-      switch (status) {
-        case 400:
-          return new Error(`${message}: Bad request - Invalid parameters`);
-        case 401: {
-          if (this.device) {
-            this.device.log('Authentication failed - device requires repair');
-          }
-          const unauthorizedError = new Error(`${message}: Unauthorized - Check credentials`);
-          unauthorizedError.isUnauthorized = true;
-          unauthorizedError.statusCode = 401;
-          return unauthorizedError;
-        }
-        case 404:
-          return new Error(`${message}: Endpoint not found or disabled`);
-        case 500:
-          return new Error(`${message}: Internal device error`);
-        case 503:
-          return new Error(`${message}: Service unavailable`);
-        default:
-          return new Error(`${message}: HTTP ${status} ${statusText}`);
-      }
+    const mismatch = getCertificateMismatch(error);
+    if (mismatch) {
+      const mismatchError = new Error(`${message}: ${mismatch.message}`);
+      mismatchError.isCertificateMismatch = true;
+      mismatchError.fingerprint = mismatch.fingerprint;
+      mismatchError.expectedFingerprint = mismatch.expectedFingerprint;
+      return mismatchError;
     }
-    if (error.request) {
-      return new Error(`${message}: No response from device (${this.host}:${this.port})`);
+    if (error instanceof AuthenticationError && this.device) {
+      this.device.log('Authentication failed - device requires repair');
     }
-    return new Error(`${message}: ${error.message}`);
+    return toWhatwattError(error, this.host, this.port).withContext(message);
   }
 }
 
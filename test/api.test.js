@@ -0,0 +1,249 @@
+'use strict';
+
+const {
+  describe, it, beforeEach, afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+
+const WhatwattAPI = require('../lib/whatwattapi');
+const RequestQueue = require('../lib/requestqueue');
+const { detectAuthScheme } = require('../lib/authentication');
+const {
+  AuthenticationError, TimeoutError, UnreachableError, EndpointDisabledError, DeviceError, MalformedResponseError,
+} = require('../lib/errors');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createHomey } = require('./helpers/homey');
+
+describe('WhatwattAPI', () => {
+  let simulator;
+  let homey;
+
+  beforeEach(() => {
+    homey = createHomey();
+  });
+
+  afterEach(async () => {
+    await simulator.stop();
+    homey.destroy();
+  });
+
+  const createAPI = (options = {}) => new WhatwattAPI({
+    homey, host: simulator.host, port: simulator.port, timeout: 2000, ...options,
+  });
+
+  it('reads system info and report without authentication', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+
+    const api = createAPI();
+    const systemInfo = await api.getSystemInfo();
+    const report = await api.getReport();
+
+    assert.equal(systemInfo.device.id, simulator.deviceId);
+    assert.equal(report.report.instantaneous_power.active.positive.total, simulator.liveData.P_In);
+  });
+
+  const startProtected = async (authScheme, options) => {
+    simulator = new WhatwattSimulator({ password: 'secret', authScheme, ...options });
+    await simulator.start();
+  };
+
+  it('authenticates with digest auth', async () => {
+    await startProtected('digest');
+
+    assert.equal(await detectAuthScheme(homey, simulator.host, simulator.port), 'digest');
+    const api = createAPI({ password: 'secret' });
+    assert.equal((await api.getSystemInfo()).device.id, simulator.deviceId);
+    const challenged = simulator.requests.filter((request) => !request.authorized).length;
+
+    // The challenge is reused, so the next request needs no extra 401 round trip
+    await api.getReport();
+    assert.equal(simulator.requests.filter((request) => !request.authorized).length, challenged);
+  });
+
+  it('escapes quotes in the digest realm', async () => {
+    await startProtected('digest', { realm: 'whatwatt "Go" \\ lab' });
+
+    const api = createAPI({ password: 'secret' });
+    assert.equal((await api.getSystemInfo()).device.id, simulator.deviceId);
+  });
+
+  it('refuses a digest challenge that only offers auth-int', async () => {
+    await startProtected('digest', { qop: 'auth-int' });
+
+    const api = createAPI({ password: 'secret' });
+    await assert.rejects(api.getSystemInfo(), /Unsupported Digest quality of protection: auth-int/);
+  });
+
+  it('authenticates with basic auth', async () => {
+    await startProtected('basic');
+
+    assert.equal(await detectAuthScheme(homey, simulator.host, simulator.port), 'basic');
+    const api = createAPI({ password: 'secret' });
+    assert.equal((await api.getSystemInfo()).device.id, simulator.deviceId);
+  });
+
+  it('rejects a wrong password with digest auth', async () => {
+    await startProtected('digest');
+
+    const api = createAPI({ password: 'wrong' });
+    await assert.rejects(api.getSystemInfo(), (error) => error instanceof AuthenticationError && error.statusCode === 401);
+  });
+
+  it('rejects a wrong password with basic auth', async () => {
+    await startProtected('basic');
+
+    const api = createAPI({ password: 'wrong' });
+    await assert.rejects(api.getSystemInfo(), (error) => error instanceof AuthenticationError && error.statusCode === 401);
+  });
+
+  it('detects that no authentication is required', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+
+    assert.equal(await detectAuthScheme(homey, simulator.host, simulator.port), null);
+  });
+
+  it('wraps device errors with context', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    simulator.failNext('/api/v1/report', 500);
+
+    const api = createAPI();
+    await assert.rejects(api.getReport(), /Failed to get meter report: Internal device error/);
+    assert.ok(await api.getReport());
+  });
+
+  it('reports an unreachable device', async () => {
+    simulator = new WhatwattSimulator();
+    const { port } = await simulator.start();
+    await simulator.stop();
+
+    assert.equal(await WhatwattAPI.testDeviceConnection(homey, { host: '127.0.0.1', port }), false);
+    await assert.rejects(createAPI().getSystemInfo(), (error) => error instanceof UnreachableError && /No response from device/.test(error.message));
+  });
+
+  it('types errors by their cause', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    const api = createAPI({ timeout: 200, queue: new RequestQueue({ homey, retries: 0 }) });
+
+    simulator.failNext('/api/v1/report', 503);
+    await assert.rejects(api.getReport(), (error) => error instanceof DeviceError && error.statusCode === 503 && error.code === 'device_error');
+    simulator.failNext('/api/v1/report', 404);
+    await assert.rejects(api.getReport(), (error) => error instanceof EndpointDisabledError && /Endpoint not found or disabled/.test(error.message));
+    simulator.failNext('/api/v1/report', 'malformed');
+    await assert.rejects(api.getReport(), MalformedResponseError);
+    simulator.failNext('/api/v1/report', 'timeout');
+    await assert.rejects(api.getReport(), (error) => error instanceof TimeoutError && /^Failed to get meter report: /.test(error.message));
+  });
+
+  it('runs requests one at a time', async () => {
+    const queue = new RequestQueue({ homey });
+    let running = 0;
+    let maxRunning = 0;
+    const task = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => homey.setTimeout(resolve, 10));
+      running--;
+    };
+
+    const pending = [queue.run(task), queue.run(task), queue.run(task)];
+    assert.equal(queue.depth, 2);
+    await Promise.all(pending);
+
+    assert.equal(maxRunning, 1);
+    assert.deepEqual(queue.getStatus(), {
+      active: 0, waiting: 0, retries: 0, failedAfterRetries: 0,
+    });
+  });
+
+  it('retries GET requests when the device is busy or slow', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    const api = createAPI({ timeout: 200, queue: new RequestQueue({ homey, retryDelay: 10 }) });
+
+    simulator.failNext('/api/v1/report', 503, 2);
+    assert.ok(await api.getReport());
+    simulator.failNext('/api/v1/system', 'timeout');
+    assert.ok(await api.getSystemInfo());
+    assert.equal(api.queue.getStatus().retries, 3);
+
+    simulator.failNext('/api/v1/report', 503, 3);
+    await assert.rejects(api.getReport(), /Service unavailable/);
+    assert.equal(api.queue.getStatus().failedAfterRetries, 1);
+  });
+
+  it('runs queued requests while a retry waits on the Homey timer', async () => {
+    const delays = [];
+    const timers = {
+      setTimeout: (callback, ms) => {
+        delays.push(ms);
+        return homey.setTimeout(callback, ms);
+      },
+    };
+    const queue = new RequestQueue({ retryDelay: 50, homey: timers });
+    const order = [];
+    let attempts = 0;
+    const busy = async () => {
+      attempts++;
+      order.push(`busy ${attempts}`);
+      if (attempts === 1) throw new DeviceError('Service unavailable', { statusCode: 503 });
+    };
+
+    await Promise.all([
+      queue.run(busy, { idempotent: true }),
+      queue.run(async () => order.push('reboot')),
+    ]);
+
+    assert.deepEqual(order, ['busy 1', 'reboot', 'busy 2']);
+    assert.deepEqual(delays, [50]);
+  });
+
+  it('cancels waiting requests and retries when destroyed', async () => {
+    const queue = new RequestQueue({ homey, retryDelay: 60000 });
+    const retrying = queue.run(async () => {
+      throw new DeviceError('Service unavailable', { statusCode: 503 });
+    }, { idempotent: true });
+    let release;
+    const running = queue.run(() => new Promise((resolve) => {
+      release = resolve;
+    }));
+    const waiting = queue.run(async () => 'never');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    queue.destroy();
+    await assert.rejects(retrying, /Request cancelled/);
+    await assert.rejects(waiting, /Request cancelled/);
+    release('done');
+    assert.equal(await running, 'done');
+    await assert.rejects(queue.run(async () => 'later'), /Request cancelled/);
+    assert.equal(queue.getStatus().active, 0);
+  });
+
+  it('never retries device actions', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    const api = createAPI({ queue: new RequestQueue({ homey, retryDelay: 10 }) });
+
+    simulator.failNext('/api/v1/reboot', 503);
+    await assert.rejects(api.rebootDevice(), /Failed to reboot device: Service unavailable/);
+
+    assert.equal(simulator.requests.filter((request) => request.path === '/api/v1/reboot').length, 1);
+    assert.equal(api.queue.getStatus().retries, 0);
+  });
+
+  it('updates meter settings and triggers device actions', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+
+    const api = createAPI();
+    await api.updateMeterSettings({ report_interval: 5 });
+    await api.rebootDevice();
+    await api.startWPSPairing();
+
+    assert.equal(simulator.meterSettings.report_interval, 5);
+    assert.deepEqual(simulator.actions, ['/api/v1/reboot', '/api/v1/wifi/wps']);
+  });
+});
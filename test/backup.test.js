@@ -0,0 +1,132 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WhatwattAPI = require('../lib/whatwattapi');
+const {
+  createBackup, diffBackup, restoreBackup, validateBackup, redactSecrets,
+} = require('../lib/backup');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createHomey } = require('./helpers/homey');
+
+describe('configuration backup', () => {
+  let simulators = [];
+  let homey;
+
+  afterEach(async () => {
+    await Promise.all(simulators.map((simulator) => simulator.stop()));
+    simulators = [];
+    homey?.destroy();
+    homey = null;
+  });
+
+  const startDevice = async (deviceId) => {
+    const simulator = new WhatwattSimulator({ deviceId });
+    await simulator.start();
+    simulators.push(simulator);
+    homey = homey || createHomey();
+    const api = new WhatwattAPI({
+      homey, host: simulator.host, port: simulator.port, timeout: 2000,
+    });
+    return { simulator, api };
+  };
+
+  it('creates a versioned snapshot without secrets', async () => {
+    const { simulator, api } = await startDevice();
+
+    const snapshot = await createBackup(api, { label: 'before update' });
+
+    validateBackup(snapshot);
+    assert.equal(snapshot.label, 'before update');
+    assert.equal(snapshot.device.id, simulator.deviceId);
+    assert.equal(snapshot.sections.mqtt.url, simulator.mqttSettings.url);
+    assert.equal(snapshot.sections.mqtt.password, undefined);
+    assert.equal(snapshot.sections.wifi.password, undefined);
+    assert.deepEqual(snapshot.redacted.sort(), ['mqtt.password', 'wifi.password']);
+    assert.doesNotMatch(JSON.stringify(snapshot), /secret/);
+  });
+
+  it('only treats whole key segments as secrets', () => {
+    const redacted = [];
+    const settings = redactSecrets({
+      password: 'a', wifi_psk: 'b', api_key: 'c', private_key: 'd', secret_key: 'e', bypass: true, passive: false, pass_through: 1,
+    }, 'settings', redacted);
+
+    assert.deepEqual(settings, { bypass: true, passive: false, pass_through: 1 });
+    assert.equal(redacted.length, 5);
+  });
+
+  it('records sections the firmware does not support as skipped', async () => {
+    const { simulator, api } = await startDevice();
+    simulator.failNext('/api/v1/eth/settings', 404);
+
+    const snapshot = await createBackup(api);
+
+    assert.deepEqual(snapshot.skipped, ['ethernet']);
+    assert.equal(snapshot.sections.ethernet, undefined);
+  });
+
+  it('restores a snapshot to a replacement device after previewing the changes', async () => {
+    const source = await startDevice('AAAAAA000001');
+    const target = await startDevice('AAAAAA000002');
+    source.simulator.settings.system = { host_name: 'whatwatt-kitchen', time_zone: 'GMT0BST,M3.5.0/1,M10.5.0' };
+    target.simulator.settings.system.host_name = 'whatwatt-garage';
+    source.simulator.meterSettings.report_interval = 10;
+    source.simulator.mqttSettings.enable = true;
+    const snapshot = await createBackup(source.api);
+
+    const options = { deviceId: 'AAAAAA000002' };
+    const { changes } = await diffBackup(target.api, snapshot, options);
+    assert.deepEqual(changes.map((change) => `${change.section}.${change.path}`), ['settings.system.time_zone', 'meter.report_interval', 'mqtt.enable']);
+
+    const result = await restoreBackup(target.api, snapshot, options);
+
+    assert.deepEqual(result, { success: true, restored: ['settings', 'meter', 'mqtt'], rolledBack: [] });
+    // The host name identifies the target on the network and stays
+    assert.deepEqual(target.simulator.settings.system, { host_name: 'whatwatt-garage', time_zone: 'GMT0BST,M3.5.0/1,M10.5.0' });
+    assert.equal(target.simulator.meterSettings.report_interval, 10);
+    assert.equal(target.simulator.mqttSettings.enable, true);
+    // The redacted password is not sent and the client ID stays per device
+    assert.equal(target.simulator.mqttSettings.password, 'mqtt-secret');
+    assert.equal(target.simulator.mqttSettings.client_id, 'whatwatt-AAAAAA000002');
+    assert.equal(target.simulator.wifiSettings.ssid, 'Home');
+    assert.deepEqual((await diffBackup(target.api, snapshot, options)).changes, []);
+  });
+
+  it('restores the host name onto the device the snapshot was taken from', async () => {
+    const { simulator, api } = await startDevice('AAAAAA000001');
+    const snapshot = await createBackup(api);
+    simulator.settings.system.host_name = 'renamed';
+
+    const result = await restoreBackup(api, snapshot, { deviceId: 'AAAAAA000001' });
+
+    assert.deepEqual(result.restored, ['settings']);
+    assert.equal(simulator.settings.system.host_name, 'whatwatt-go');
+  });
+
+  it('rolls back restored sections when a later section fails', async () => {
+    const { simulator, api } = await startDevice();
+    const snapshot = await createBackup(api);
+    simulator.meterSettings.report_interval = 30;
+    simulator.customScalers = { enable: true, current: 1, voltage: -1 };
+    simulator.mqttSettings.enable = true;
+    simulator.failNext('/api/v1/mqtt/settings', 500, 1, 'PUT');
+
+    const result = await restoreBackup(api, snapshot);
+
+    assert.equal(result.success, false);
+    assert.equal(result.failedSection, 'mqtt');
+    assert.deepEqual(result.rolledBack, ['scalers', 'meter']);
+    assert.deepEqual(result.rollbackErrors, []);
+    assert.equal(simulator.meterSettings.report_interval, 30);
+    assert.deepEqual(simulator.customScalers, { enable: true, current: 1, voltage: -1 });
+  });
+
+  it('rejects snapshots with an unknown format', async () => {
+    const { api } = await startDevice();
+
+    await assert.rejects(diffBackup(api, { version: 99, sections: {} }), /Unsupported backup version 99/);
+    assert.throws(() => validateBackup(null), /Invalid backup/);
+  });
+});
@@ -0,0 +1,245 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TimeoutError, UnreachableError } = require('../lib/errors');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { waitFor, createSession } = require('./helpers/homey');
+const { createFixture, createFastReconnectPolicy, startDevice } = require('./helpers/fixtures');
+
+describe('whatwatt Go device', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator.stop();
+  });
+
+  it('updates capabilities from the live stream', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const { device } = fixture;
+
+    startDevice(device);
+    await waitFor(() => device.getCapabilityValue('measure_power') === 1200);
+
+    assert.equal(device.getCapabilityValue('measure_power.phase2'), 500);
+    assert.equal(device.getCapabilityValue('measure_voltage'), simulator.liveData.V_P1);
+    assert.equal(device.getCapabilityValue('meter_power'), simulator.liveData.E_In);
+    assert.equal(device.available, true);
+    await waitFor(() => device.getCapabilityValue('alarm_connectivity') === false);
+  });
+
+  it('fires power threshold triggers from live data', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const { device, homey } = fixture;
+
+    // Two Flows with the same threshold both run, a higher threshold does not
+    const card = homey.flow.cards.get('power_above');
+    card.argumentValues = [
+      { device, power: 1000, duration: 0 },
+      { device, power: 1000, duration: 0 },
+      { device, power: 1500, duration: 0 },
+    ];
+    startDevice(device);
+    await waitFor(() => card.triggers.length > 0);
+
+    const { tokens, state } = card.triggers[0];
+    assert.equal(tokens.power, 1200);
+    for (const args of card.argumentValues) {
+      assert.equal(await card.runListener(args, state), args.power === 1000);
+    }
+
+    // Latched until the power drops below the hysteresis band
+    await device._onLiveData({ P_In: 1.3, P_Out: 0 });
+    assert.equal(card.triggers.length, 1);
+
+    // The Flow arguments are cached until Homey reports that the Flows changed
+    card.argumentValues = [{ device, power: 1250, duration: 0 }];
+    await device._onLiveData({ P_In: 1.3, P_Out: 0 });
+    assert.equal(card.triggers.length, 1);
+    card.emit('update');
+    await device._onLiveData({ P_In: 1.3, P_Out: 0 });
+    assert.equal(card.triggers.length, 2);
+  });
+
+  it('reports the export power when export stops', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const { device, homey } = fixture;
+    device._exporting = true;
+
+    device._updateExportState(-5, 0);
+    device._updateExportState(-5, 30000);
+    assert.deepEqual(homey.flow.cards.get('export_stopped').triggers[0].tokens, { power: 5 });
+  });
+
+  it('falls back to report polling when the live endpoint is disabled', async () => {
+    simulator = new WhatwattSimulator({ liveData: { P_In: 2.5 } });
+    await simulator.start();
+    simulator.failNext('/api/v1/live', 404, Infinity);
+    fixture = await createFixture(simulator);
+    const { device } = fixture;
+
+    startDevice(device);
+    await waitFor(() => device.getCapabilityValue('measure_power') === 2500);
+
+    assert.equal(device._connectionMode, 'polling');
+    assert.ok(simulator.requests.some((request) => request.path === '/api/v1/report'));
+    await waitFor(() => device.getSetting('connection_mode') === 'Polling (REST fallback)');
+  });
+
+  it('allows two poll intervals without data before raising the connectivity alarm', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    simulator.failNext('/api/v1/live', 404, Infinity);
+    fixture = await createFixture(simulator, { settings: { poll_interval: 300 } });
+    const { device } = fixture;
+
+    startDevice(device);
+    await waitFor(() => device._connectionMode === 'polling' && device._lastDataAt !== null);
+    await device._updateDiagnostics();
+    assert.equal(device.getSetting('diag_last_data'), 'Receiving data');
+
+    // Data from 500 s ago is not stale with a 300 s poll interval
+    const lastData = Date.now() - 500000;
+    device._lastDataAt = lastData;
+    if (device.eventStream) device.eventStream.lastDataReceived = null;
+    await device._updateDiagnostics();
+    assert.equal(device.getCapabilityValue('alarm_connectivity'), false);
+    assert.equal(device.getSetting('diag_last_data'), 'Receiving data');
+
+    device._lastDataAt = lastData - 200000;
+    await device._updateDiagnostics();
+    assert.equal(device.getCapabilityValue('alarm_connectivity'), true);
+    assert.equal(device.getSetting('diag_last_data'), `Stopped at ${device._formatTime(lastData - 200000)}`);
+  });
+
+  it('follows the device to a new IP address', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const { device, driver } = fixture;
+
+    startDevice(device);
+    await waitFor(() => device.eventStream?.isStreamConnected());
+    device.eventStream.reconnectPolicy = createFastReconnectPolicy();
+
+    const { host, port } = await simulator.moveTo('127.0.0.2');
+    driver.discoveryResults[simulator.deviceId].address = host;
+
+    await waitFor(() => device.getStoreValue('address') === host && device.eventStream.isStreamConnected());
+    assert.equal(device.eventStream.host, host);
+    assert.equal(device.eventStream.port, port);
+    assert.equal(device.available, true);
+  });
+
+  it('becomes unavailable when the stored password is rejected', async () => {
+    simulator = new WhatwattSimulator({ password: 'secret' });
+    await simulator.start();
+    fixture = await createFixture(simulator, { password: 'wrong' });
+    const { device } = fixture;
+
+    await device.onInit();
+
+    assert.equal(device.available, false);
+    assert.match(device.unavailableReason, /password has changed - use Repair/);
+    assert.equal(fixture.homey.notifications.created.length, 1);
+    assert.equal(device.eventStream, null);
+
+    // Entering the right password in the settings starts the device without a repair
+    await device.applySettings({ password: 'secret' });
+    await waitFor(() => device.eventStream?.isStreamConnected());
+    assert.equal(device.available, true);
+    await waitFor(() => simulator.requests.some((request) => request.path === '/api/v1/variables' && request.authorized));
+  });
+
+  it('stops reconnecting when the password changes and resumes after repair', async () => {
+    simulator = new WhatwattSimulator({ password: 'secret' });
+    await simulator.start();
+    fixture = await createFixture(simulator, { password: 'secret' });
+    const { device, driver, homey } = fixture;
+
+    startDevice(device);
+    await waitFor(() => device.eventStream?.isStreamConnected());
+    device.eventStream.reconnectPolicy = createFastReconnectPolicy();
+
+    simulator.password = 'changed';
+    simulator.dropStreams();
+    await waitFor(() => device.available === false && homey.notifications.created.length === 1);
+
+    assert.match(device.unavailableReason, /password has changed - use Repair/);
+    assert.match(homey.notifications.created[0], /Repair to enter the new password/);
+    assert.equal(device.eventStream.getStatus().reconnecting, false);
+    const streamRequests = simulator.requests.filter((request) => request.path === '/api/v1/live').length;
+    await new Promise((resolve) => homey.setTimeout(resolve, 200));
+    assert.equal(simulator.requests.filter((request) => request.path === '/api/v1/live').length, streamRequests);
+
+    const session = createSession();
+    await driver.onRepair(session, device);
+    await session.emit('password_entered', { password: 'changed' });
+    assert.equal((await session.emit('repair_device', {})).success, true);
+
+    assert.equal(device.available, true);
+    await waitFor(() => device.eventStream?.isStreamConnected());
+    assert.equal(homey.notifications.created.length, 1);
+  });
+
+  it('explains a live stream that times out differently from an unreachable device', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const { device } = fixture;
+
+    device._onStreamError(new TimeoutError('No response from device within the timeout'));
+    assert.match(device.unavailableReason, /did not respond in time/);
+    device._onStreamError(new UnreachableError('No response from device'));
+    assert.match(device.unavailableReason, /Device unreachable/);
+    device._onStreamError(new Error('Something else'));
+    assert.equal(device.unavailableReason, 'Live data stream disconnected');
+  });
+
+  it('stores the password from manual pairing once it has been added', async () => {
+    simulator = new WhatwattSimulator({ password: 'secret' });
+    await simulator.start();
+    fixture = await createFixture(simulator, { settings: { password: 'secret' } });
+    const { device, homey } = fixture;
+
+    startDevice(device);
+    await waitFor(() => device.eventStream?.isStreamConnected());
+    assert.equal(homey.settings.get(`password_${simulator.deviceId}`), 'secret');
+    assert.equal(device.getSetting('password'), '');
+  });
+
+  it('validates a password change before saving it', async () => {
+    simulator = new WhatwattSimulator({ password: 'secret' });
+    await simulator.start();
+    fixture = await createFixture(simulator, { password: 'old' });
+    const { device, homey } = fixture;
+
+    await assert.rejects(device.applySettings({ password: 'wrong' }), /rejected the username or password/);
+    assert.equal(homey.settings.get(`password_${simulator.deviceId}`), 'old');
+
+    await device.applySettings({ password: 'secret' });
+    assert.equal(homey.settings.get(`password_${simulator.deviceId}`), 'secret');
+    assert.equal(device.getSetting('password'), '');
+  });
+
+  it('changes the meter report interval from a Flow action', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const { device, homey } = fixture;
+
+    await homey.flow.cards.get('set_report_interval').runListener({ device, interval: 10 });
+
+    assert.equal(simulator.meterSettings.report_interval, 10);
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createHomey, createSession } = require('./helpers/homey');
+const { createFixture } = require('./helpers/fixtures');
+const WhatwattDriver = require('../drivers/whatwatt-go/driver');
+
+describe('whatwatt Go driver', () => {
+  let simulators = [];
+  let homey;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    homey?.destroy();
+    homey = null;
+    await Promise.all(simulators.map((simulator) => simulator.stop()));
+    simulators = [];
+  });
+
+  const startSimulator = async (options) => {
+    const simulator = new WhatwattSimulator(options);
+    await simulator.start();
+    simulators.push(simulator);
+    return simulator;
+  };
+
+  const createDriver = async (discovered = []) => {
+    homey = createHomey();
+    const discoveryResults = Object.fromEntries(discovered.map((simulator) => [simulator.deviceId, {
+      id: simulator.deviceId, address: simulator.host, port: simulator.port, name: `whatwatt Go ${simulator.deviceId.slice(-6)} WebUI`,
+    }]));
+    const driver = new WhatwattDriver({ homey, discoveryResults });
+    await driver.onInit();
+    return driver;
+  };
+
+  it('asks a password for each protected device when pairing several devices', async () => {
+    const open = await startSimulator({ deviceId: 'AAAAAA000001' });
+    const protectedA = await startSimulator({ deviceId: 'AAAAAA000002', password: 'first' });
+    const protectedB = await startSimulator({ deviceId: 'AAAAAA000003', password: 'second', authScheme: 'basic' });
+    const driver = await createDriver([open, protectedA, protectedB]);
+    const session = createSession();
+    await driver.onPair(session);
+
+    const devices = (await session.emit('list_devices')).filter((device) => device.data.id !== 'manual');
+    assert.equal(devices.length, 3);
+    assert.equal(devices[0].name, 'whatwatt Go 000001');
+
+    await session.emit('list_devices_selection', devices);
+    await session.showView('loading');
+    assert.ok(session.views.includes('pair_password'));
+
+    assert.deepEqual(await session.emit('get_password_device'), { name: 'whatwatt Go 000002', remaining: 2 });
+
+    await session.emit('password_entered', { password: 'wrong' });
+    assert.equal((await session.emit('test_password')).success, false);
+
+    await session.emit('password_entered', { password: 'first' });
+    const first = await session.emit('test_password');
+    assert.equal(first.success, true);
+    assert.equal(first.done, false);
+    assert.equal(first.next.name, 'whatwatt Go 000003');
+
+    await session.emit('password_entered', { password: 'second' });
+    const second = await session.emit('test_password');
+    assert.equal(second.done, true);
+
+    await session.showView('add_whatwatt_devices');
+    assert.equal(homey.settings.get('password_AAAAAA000001'), null);
+    assert.equal(homey.settings.get('password_AAAAAA000002'), 'first');
+    assert.equal(homey.settings.get('password_AAAAAA000003'), 'second');
+  });
+
+  it('skips the password view when no selected device is protected', async () => {
+    const open = await startSimulator();
+    const driver = await createDriver([open]);
+    const session = createSession();
+    await driver.onPair(session);
+
+    const [device] = await session.emit('list_devices');
+    await session.emit('list_devices_selection', [device]);
+    await session.showView('loading');
+
+    assert.deepEqual(session.views, ['loading', 'add_whatwatt_devices']);
+  });
+
+  it('offers manual pairing when discovery finds nothing', async () => {
+    const simulator = await startSimulator({ password: 'secret' });
+    const driver = await createDriver();
+    const session = createSession();
+    await driver.onPair(session);
+
+    assert.deepEqual(await session.emit('list_devices'), []);
+    assert.ok(session.views.includes('pair_manual'));
+
+    const rejected = await session.emit('manual_connect', { host: simulator.host, port: simulator.port, password: '' });
+    assert.deepEqual(rejected, { success: false, message: 'This device requires a password' });
+
+    const result = await session.emit('manual_connect', { host: `http://${simulator.host}/`, port: simulator.port, password: 'secret' });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.device.store, { address: simulator.host, port: simulator.port, manual: true });
+
+    // Nothing is stored until the device has been added
+    assert.deepEqual(result.device.settings, { password: 'secret' });
+    assert.equal(homey.settings.get(`password_${simulator.deviceId}`), null);
+  });
+
+  it('offers manual pairing next to discovered devices', async () => {
+    const discovered = await startSimulator();
+    const driver = await createDriver([discovered]);
+    const session = createSession();
+    await driver.onPair(session);
+
+    const devices = await session.emit('list_devices');
+    assert.deepEqual(devices.map((device) => device.data.id), [discovered.deviceId, 'manual']);
+
+    await session.emit('list_devices_selection', [devices[1]]);
+    await session.showView('loading');
+    assert.deepEqual(session.views, ['loading', 'pair_manual']);
+  });
+
+  it('repairs a device with a new password', async () => {
+    const simulator = await startSimulator({ password: 'new' });
+    fixture = await createFixture(simulator, { password: 'old' });
+    const { driver, device } = fixture;
+    const session = createSession();
+    await driver.onRepair(session, device);
+
+    await session.emit('password_entered', { password: 'wrong' });
+    assert.equal((await session.emit('repair_device', {})).success, false);
+
+    await session.emit('password_entered', { password: 'new' });
+    const result = await session.emit('repair_device', {});
+
+    assert.equal(result.success, true);
+    assert.equal(fixture.homey.settings.get(`password_${simulator.deviceId}`), 'new');
+    assert.ok(device.eventStream);
+  });
+
+  it('restores a configuration backup from the repair view', async () => {
+    const simulator = await startSimulator();
+    fixture = await createFixture(simulator);
+    const { driver, device } = fixture;
+    const session = createSession();
+    await driver.onRepair(session, device);
+
+    const created = await session.emit('create_backup');
+    assert.equal(created.success, true);
+    const [backup] = await session.emit('list_backups');
+    assert.equal(backup.id, created.id);
+    assert.equal(backup.sameDevice, true);
+
+    simulator.meterSettings.report_interval = 15;
+    const preview = await session.emit('preview_restore', { backupId: backup.id });
+    assert.deepEqual(preview.changes, [{
+      section: 'meter', path: 'report_interval', current: 15, backup: 1,
+    }]);
+    assert.deepEqual(preview.backupOnly, ['wifi', 'ethernet']);
+
+    simulator.failNext('/api/v1/meter/settings', 500, 1, 'PUT');
+    const failed = await session.emit('restore_backup', { backupId: backup.id });
+    assert.equal(failed.success, false);
+    assert.match(failed.message, /No changes were made/);
+
+    assert.equal((await session.emit('restore_backup', { backupId: backup.id })).success, true);
+    assert.equal(simulator.meterSettings.report_interval, 1);
+  });
+});
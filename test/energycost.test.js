@@ -0,0 +1,132 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const EnergyCost = require('../lib/energycost');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { waitFor } = require('./helpers/homey');
+const { createFixture } = require('./helpers/fixtures');
+
+const HOUR = 60 * 60 * 1000;
+const TIMEZONE = 'Europe/Amsterdam';
+// 30 June 2026, 20:00 in Amsterdam
+const EVENING = Date.UTC(2026, 5, 30, 18, 0);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+describe('EnergyCost', () => {
+  it('prices tariff registers and feed-in and adds the standing charge per day', () => {
+    const cost = new EnergyCost({
+      timezone: TIMEZONE,
+      tariff: {
+        mode: 'time_of_use', lowPrice: 0.2, highPrice: 0.3, exportPrice: 0.05, standingCharge: 1.5,
+      },
+    });
+
+    cost.update({
+      E_In: 100, E_In_T1: 40, E_In_T2: 60, E_Out: 10,
+    }, EVENING);
+    const evening = cost.update({
+      E_In: 103, E_In_T1: 41, E_In_T2: 62, E_Out: 14,
+    }, EVENING + HOUR);
+    assert.equal(round(evening.today.cost), round(1.5 + 0.2 + 0.6));
+    assert.equal(round(evening.today.revenue), 0.2);
+
+    // The next day is also the next month
+    const july = cost.update({
+      E_In: 104, E_In_T1: 42, E_In_T2: 62, E_Out: 14,
+    }, EVENING + 6 * HOUR);
+    assert.equal(round(july.today.cost), 1.7);
+    assert.equal(round(july.month.cost), 1.7);
+  });
+
+  it('adds the standing charge of every day without data', () => {
+    const cost = new EnergyCost({ timezone: TIMEZONE, tariff: { mode: 'fixed', importPrice: 0.3, standingCharge: 1.5 } });
+
+    cost.update({ E_In: 100 }, EVENING);
+    // 4 July 00:30 in Amsterdam is still 3 July in UTC; 1 to 4 July are in the new month
+    const july = cost.update({ E_In: 101 }, Date.UTC(2026, 6, 3, 22, 30));
+    assert.equal(round(july.today.cost), round(1.5 + 0.3));
+    assert.equal(round(july.month.cost), round(4 * 1.5 + 0.3));
+
+    // Two more days pass without data
+    const later = cost.update({ E_In: 101 }, Date.UTC(2026, 6, 6, 8, 0));
+    assert.equal(round(later.today.cost), 1.5);
+    assert.equal(round(later.month.cost), round(6 * 1.5 + 0.3));
+  });
+
+  it('uses the price from a Flow in dynamic mode and the fixed price until one is set', () => {
+    const tariff = { mode: 'dynamic', importPrice: 0.3 };
+    const cost = new EnergyCost({ timezone: TIMEZONE, tariff });
+
+    cost.update({ E_In: 100 }, EVENING);
+    assert.equal(round(cost.update({ E_In: 101 }, EVENING + 1000).today.cost), 0.3);
+
+    cost.setTariff({ ...tariff, dynamicPrice: -0.1 });
+    assert.equal(round(cost.update({ E_In: 103 }, EVENING + 2000).today.cost), 0.1);
+
+    const restored = new EnergyCost({ timezone: TIMEZONE, tariff, state: JSON.parse(JSON.stringify(cost.getState())) });
+    assert.equal(round(restored.update({ E_In: 104 }, EVENING + 3000).today.cost), 0.4);
+  });
+});
+
+describe('energy cost on the device', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  it('shows cost from live data and takes the price from a Flow', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator, {
+      settings: { tariff_mode: 'fixed', import_price: 0.3, currency: 'CHF' },
+    });
+    const { device, homey } = fixture;
+    await device._initEnergyCost();
+
+    await device._onLiveData({ E_In: 100 });
+    await device._onLiveData({ E_In: 102 });
+    assert.equal(device.getCapabilityValue('meter_cost.today'), 0.6);
+    assert.ok(!device.hasCapability('meter_revenue.today'));
+
+    const card = homey.flow.cards.get('set_energy_price');
+    await assert.rejects(card.runListener({ device, price: 0.5 }), /Set by Flow/);
+
+    await device.applySettings({ tariff_mode: 'dynamic' });
+    await card.runListener({ device, price: 0.5 });
+    await device._onLiveData({ E_In: 104 });
+    assert.equal(device.getCapabilityValue('meter_cost.today'), 1.6);
+    assert.equal(device.getStoreValue('energy_price'), 0.5);
+
+    await device.applySettings({ tariff_mode: 'off' });
+    await waitFor(() => !device.hasCapability('meter_cost.today'));
+  });
+
+  it('does not price energy used while the cost was turned off', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator, {
+      settings: { tariff_mode: 'fixed', import_price: 0.3 },
+    });
+    const { device } = fixture;
+    await device._initEnergyCost();
+
+    await device._onLiveData({ E_In: 100 });
+    await device._onLiveData({ E_In: 102 });
+    await device.applySettings({ tariff_mode: 'off' });
+    await waitFor(() => device._energyCost === null);
+
+    await device.applySettings({ tariff_mode: 'fixed' });
+    await waitFor(() => device._energyCost !== null);
+    await device._onLiveData({ E_In: 150 });
+    await device._onLiveData({ E_In: 151 });
+    assert.equal(device.getCapabilityValue('meter_cost.today'), 0.9);
+  });
+});
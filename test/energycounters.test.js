@@ -0,0 +1,107 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const EnergyCounters = require('../lib/energycounters');
+const { getDayKey, getWeekKey } = require('../lib/periods');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createFixture } = require('./helpers/fixtures');
+
+const HOUR = 60 * 60 * 1000;
+const TIMEZONE = 'Europe/Amsterdam';
+// Sunday 27 December 2026, 12:00 in Amsterdam
+const SUNDAY = Date.UTC(2026, 11, 27, 11, 0);
+
+describe('EnergyCounters', () => {
+  it('uses local days and weeks starting on Monday', () => {
+    // 23:30 UTC on Sunday is already Monday in Amsterdam
+    assert.equal(getDayKey(SUNDAY + 12.5 * HOUR, TIMEZONE), '2026-12-28');
+    assert.equal(getWeekKey(SUNDAY, TIMEZONE), '2026-12-21');
+    assert.equal(getWeekKey(SUNDAY + 12.5 * HOUR, TIMEZONE), '2026-12-28');
+  });
+
+  it('adds meter increases to every period and rolls them over', () => {
+    const counters = new EnergyCounters({ timezone: TIMEZONE });
+
+    assert.deepEqual(counters.update({ imported: 1000, exported: 500 }, SUNDAY).counters.imported, {
+      today: 0, yesterday: 0, week: 0, month: 0, year: 0,
+    });
+    counters.update({ imported: 1004, exported: 502 }, SUNDAY + HOUR);
+
+    const { ended, counters: monday } = counters.update({ imported: 1005, exported: 502 }, SUNDAY + 13 * HOUR);
+    assert.deepEqual(ended, [
+      {
+        period: 'day', key: '2026-12-27', imported: 4, exported: 2,
+      },
+      {
+        period: 'week', key: '2026-12-21', imported: 4, exported: 2,
+      },
+    ]);
+    assert.deepEqual(monday.imported, {
+      today: 1, yesterday: 4, week: 1, month: 5, year: 5,
+    });
+
+    // New Year's Day ends day, month and year; yesterday is only kept for one day and energy
+    // from the days without data counts for the new period
+    const newYear = counters.update({ imported: 1006, exported: 503 }, SUNDAY + 109 * HOUR);
+    assert.deepEqual(newYear.ended.map(({ period, key }) => `${period} ${key}`), ['day 2026-12-28', 'month 2026-12', 'year 2026']);
+    assert.equal(newYear.counters.imported.yesterday, 0);
+    assert.equal(newYear.counters.exported.year, 1);
+  });
+
+  it('takes a lower total as new baseline and resumes from saved state', () => {
+    const counters = new EnergyCounters({ timezone: TIMEZONE });
+    counters.update({ imported: 1000 }, SUNDAY);
+    counters.update({ imported: 1003 }, SUNDAY + HOUR);
+    counters.update({ imported: 2 }, SUNDAY + 2 * HOUR);
+
+    const restored = new EnergyCounters({ timezone: TIMEZONE, state: JSON.parse(JSON.stringify(counters.getState())) });
+    const { counters: result } = restored.update({ imported: 4, exported: 10 }, SUNDAY + 3 * HOUR);
+    assert.equal(result.imported.today, 5);
+    assert.equal(result.exported.today, 0);
+  });
+});
+
+describe('energy counters on the device', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  it('shows period energy from live data and fires when a period ends', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    const today = getDayKey(Date.now(), TIMEZONE);
+    fixture = await createFixture(simulator, {
+      store: {
+        energy_counters: {
+          totals: { imported: 100, exported: null },
+          periods: { day: { key: '2000-01-01', imported: 7.25, exported: 0 } },
+          yesterday: null,
+        },
+      },
+    });
+    const { device, homey } = fixture;
+    device._initEnergyCounters();
+
+    await device._onLiveData({ E_In: 101.5 });
+    assert.equal(device.getCapabilityValue('meter_power.imported_today'), 1.5);
+    assert.equal(device.getCapabilityValue('meter_power.imported_yesterday'), 0);
+    assert.ok(!device.hasCapability('meter_power.exported_today'));
+
+    const card = homey.flow.cards.get('energy_period_ended');
+    assert.equal(card.triggers.length, 1);
+    assert.deepEqual(card.triggers[0].tokens, { imported: 7.25, exported: 0 });
+    assert.equal(await card.runListener({ period: 'day' }, card.triggers[0].state), true);
+    assert.equal(await card.runListener({ period: 'month' }, card.triggers[0].state), false);
+
+    // Saved right away because a period ended
+    assert.equal(device.getStoreValue('energy_counters').periods.day.key, today);
+  });
+});
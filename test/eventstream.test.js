@@ -0,0 +1,149 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WhatwattEventStream = require('../lib/eventstream');
+const { AuthenticationError } = require('../lib/errors');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createHomey, waitFor } = require('./helpers/homey');
+const { createFastReconnectPolicy } = require('./helpers/fixtures');
+
+describe('WhatwattEventStream', () => {
+  let simulator;
+  let homey;
+  let stream;
+
+  afterEach(async () => {
+    stream?.stop();
+    stream = null;
+    await simulator.stop();
+    homey.destroy();
+  });
+
+  /**
+   * Starts a stream against the simulator and records everything it reports.
+   */
+  const startStream = (options = {}) => {
+    const events = {
+      data: [], connects: 0, errors: [], degraded: [],
+    };
+    homey = createHomey();
+    stream = new WhatwattEventStream({
+      homey,
+      host: simulator.host,
+      port: simulator.port,
+      reconnectPolicy: createFastReconnectPolicy(),
+      onData: (data) => events.data.push(data),
+      onConnect: () => events.connects++,
+      onError: (error) => events.errors.push(error),
+      onDegraded: (reason) => events.degraded.push(reason),
+      ...options,
+    });
+    stream.start().catch(() => {});
+    return events;
+  };
+
+  it('delivers live events', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+
+    const events = startStream();
+    await waitFor(() => events.data.length >= 2);
+
+    assert.equal(events.connects, 1);
+    assert.equal(events.data[0].P_In, simulator.liveData.P_In);
+  });
+
+  it('authenticates the stream with digest auth', async () => {
+    simulator = new WhatwattSimulator({ password: 'secret' });
+    await simulator.start();
+
+    const events = startStream({ password: 'secret' });
+    await waitFor(() => events.data.length >= 1);
+
+    assert.equal(stream.session.scheme, 'digest');
+  });
+
+  it('reports a rejected password as an authentication error and stops', async () => {
+    simulator = new WhatwattSimulator({ password: 'secret' });
+    await simulator.start();
+
+    const events = startStream({ password: 'wrong' });
+    await waitFor(() => events.errors.length >= 1);
+
+    assert.ok(events.errors[0] instanceof AuthenticationError);
+    assert.equal(events.errors[0].statusCode, 401);
+    assert.equal(events.connects, 0);
+    // Reconnecting cannot fix a wrong password, so the stream stops instead
+    assert.equal(stream.getStatus().reconnecting, false);
+  });
+
+  it('reconnects after the device drops the stream and resumes with Last-Event-ID', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+
+    const events = startStream();
+    await waitFor(() => events.data.length >= 1);
+    const lastId = stream.lastEventId;
+
+    simulator.dropStreams();
+    await waitFor(() => events.connects >= 2);
+
+    assert.ok(simulator.lastEventIds.length >= 1);
+    assert.ok(Number(simulator.lastEventIds[0]) >= Number(lastId));
+  });
+
+  it('reconnects when the stream stalls past the heartbeat timeout', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+
+    const events = startStream({ heartbeatTimeout: 100 });
+    stream.heartbeatCheckInterval = 25;
+    await waitFor(() => events.data.length >= 1);
+
+    simulator.stall();
+    await waitFor(() => simulator.streamCount === 0 || events.connects >= 2);
+    simulator.resume();
+    await waitFor(() => events.connects >= 2);
+  });
+
+  it('keeps reconnecting through server errors and degrades after the fallback threshold', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    simulator.failNext('/api/v1/live', 500, 3);
+
+    const events = startStream({ fallbackAfterAttempts: 2 });
+    await waitFor(() => events.connects >= 1);
+
+    assert.deepEqual(events.degraded, ['max_attempts']);
+    assert.equal(events.errors.length, 3);
+    assert.equal(stream.getStatus().degraded, false);
+  });
+
+  it('degrades immediately when the live endpoint is disabled', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    simulator.failNext('/api/v1/live', 404, Infinity);
+
+    const events = startStream();
+    await waitFor(() => events.degraded.length === 1);
+
+    assert.deepEqual(events.degraded, ['endpoint_disabled']);
+    assert.equal(stream.getStatus().connected, false);
+  });
+
+  it('dispatches other event types to registered handlers', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+
+    const received = [];
+    const events = startStream({ eventHandlers: { status: (data) => received.push(data) } });
+    await waitFor(() => events.connects === 1 && simulator.streamCount === 1);
+
+    simulator.sendEvent('status', { wifi: 'connected' });
+    await waitFor(() => received.length === 1);
+
+    assert.deepEqual(received[0], { wifi: 'connected' });
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { createHomey } = require('./homey');
+const ReconnectPolicy = require('../../lib/reconnectpolicy');
+
+const WhatwattDriver = require('../../drivers/whatwatt-go/driver');
+const WhatwattDevice = require('../../drivers/whatwatt-go/device');
+
+/**
+ * Reconnect policy with short delays so reconnect scenarios finish within a test.
+ * @returns {ReconnectPolicy}
+ */
+function createFastReconnectPolicy() {
+  return new ReconnectPolicy({
+    initialDelay: 20, maxDelay: 100, jitter: 0,
+  });
+}
+
+/**
+ * Creates a driver and a device paired with the given simulator, sharing one fake homey.
+ *
+ * @param {WhatwattSimulator} simulator - Started simulator
+ * @param {Object} [options]
+ * @param {string} [options.password] - Password stored for the device
+ * @param {Object} [options.settings] - Device settings overrides
+ * @param {Object} [options.store] - Device store overrides
+ * @returns {Promise<{homey: Object, driver: WhatwattDriver, device: WhatwattDevice, teardown: Function}>}
+ */
+async function createFixture(simulator, options = {}) {
+  const homey = createHomey();
+  const id = simulator.deviceId;
+
+  const driver = new WhatwattDriver({
+    homey,
+    discoveryResults: {
+      [id]: {
+        id, address: simulator.host, port: simulator.port, name: `whatwatt Go ${id.slice(-6)} WebUI`,
+      },
+    },
+  });
+  await driver.onInit();
+
+  if (options.password) {
+    await homey.settings.set(`password_${id}`, options.password);
+  }
+
+  const device = new WhatwattDevice({
+    homey,
+    driver,
+    data: { id },
+    store: { address: simulator.host, port: simulator.port, ...options.store },
+    settings: { _setupCompleted: true, ...options.settings },
+  });
+  driver.devices.push(device);
+
+  const teardown = async () => {
+    await device.onUninit();
+    await driver.onUninit();
+    homey.destroy();
+  };
+
+  return {
+    homey, driver, device, teardown,
+  };
+}
+
+/**
+ * Starts device initialization without waiting for it: onInit only resolves when the
+ * live stream ends, like on a real Homey.
+ *
+ * @param {WhatwattDevice} device - Device under test
+ */
+function startDevice(device) {
+  device.onInit().catch((error) => device.error('onInit failed:', error.message));
+}
+
+module.exports = {
+  createFixture,
+  createFastReconnectPolicy,
+  startDevice,
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+const { createLogger } = require('./utils');
+
+/** Minimal stand-in for `Homey.App`. */
+class App {
+  constructor({ homey } = {}) {
+    this.homey = homey;
+    this.logs = [];
+    this.log = createLogger(this.logs);
+    this.error = createLogger(this.logs);
+  }
+}
+
+module.exports = App;
@@ -0,0 +1,120 @@
+'use strict';
+
+const { getDefaultSettings, createLogger } = require('./utils');
+
+/** Minimal stand-in for `Homey.Device`. */
+class Device {
+  constructor({
+    homey, driver, data = {}, store = {}, settings = {}, capabilities = [], name = 'whatwatt Go',
+  } = {}) {
+    this.homey = homey;
+    this.driver = driver;
+    this.logs = [];
+    this.available = true;
+    this.unavailableReason = null;
+
+    this._name = name;
+    this._data = data;
+    this._store = { ...store };
+    this._settings = { ...getDefaultSettings(), ...settings };
+    this._capabilities = new Map(capabilities.map((capability) => [capability, null]));
+
+    // Bound like in the Homey runtime, the app passes these around as callbacks
+    this.log = createLogger(this.logs);
+    this.error = createLogger(this.logs);
+  }
+
+  getName() {
+    return this._name;
+  }
+
+  getData() {
+    return this._data;
+  }
+
+  getStore() {
+    return { ...this._store };
+  }
+
+  getStoreValue(key) {
+    return this._store[key] ?? null;
+  }
+
+  async setStoreValue(key, value) {
+    this._store[key] = value;
+  }
+
+  async unsetStoreValue(key) {
+    delete this._store[key];
+  }
+
+  getSettings() {
+    return { ...this._settings };
+  }
+
+  getSetting(key) {
+    return this._settings[key] ?? null;
+  }
+
+  async setSettings(settings) {
+    Object.assign(this._settings, settings);
+  }
+
+  /**
+   * Applies settings the way the settings page does: onSettings first, then persist the
+   * settings object onSettings received, including the changes it made to it.
+   * @param {Object} newValues - Changed settings
+   * @returns {Promise<*>} Result of onSettings
+   */
+  async applySettings(newValues) {
+    const oldSettings = this.getSettings();
+    const newSettings = { ...oldSettings, ...newValues };
+    const changedKeys = Object.keys(newValues).filter((key) => oldSettings[key] !== newValues[key]);
+    const result = await this.onSettings({ oldSettings, newSettings, changedKeys });
+    Object.assign(this._settings, newSettings);
+    return result;
+  }
+
+  hasCapability(capability) {
+    return this._capabilities.has(capability);
+  }
+
+  getCapabilities() {
+    return [...this._capabilities.keys()];
+  }
+
+  async addCapability(capability) {
+    if (!this._capabilities.has(capability)) this._capabilities.set(capability, null);
+  }
+
+  async removeCapability(capability) {
+    this._capabilities.delete(capability);
+  }
+
+  getCapabilityValue(capability) {
+    return this._capabilities.get(capability) ?? null;
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this._capabilities.has(capability)) {
+      throw new Error(`Invalid capability: ${capability}`);
+    }
+    this._capabilities.set(capability, value);
+  }
+
+  async setCapabilityOptions() {
+    // Options only affect the Homey UI
+  }
+
+  async setAvailable() {
+    this.available = true;
+    this.unavailableReason = null;
+  }
+
+  async setUnavailable(reason) {
+    this.available = false;
+    this.unavailableReason = reason || null;
+  }
+}
+
+module.exports = Device;
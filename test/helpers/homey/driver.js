@@ -0,0 +1,28 @@
+'use strict';
+
+const { createLogger } = require('./utils');
+
+/** Minimal stand-in for `Homey.Driver`. */
+class Driver {
+  constructor({ homey, discoveryResults = {}, devices = [] } = {}) {
+    this.homey = homey;
+    this.logs = [];
+    this.discoveryResults = discoveryResults;
+    this.devices = devices;
+
+    this.log = createLogger(this.logs);
+    this.error = createLogger(this.logs);
+  }
+
+  getDiscoveryStrategy() {
+    return {
+      getDiscoveryResults: () => this.discoveryResults,
+    };
+  }
+
+  getDevices() {
+    return this.devices;
+  }
+}
+
+module.exports = Driver;
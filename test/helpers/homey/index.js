@@ -0,0 +1,215 @@
+'use strict';
+
+const EventEmitter = require('events');
+const Module = require('module');
+const timers = require('timers');
+const { setTimeout: sleep } = require('timers/promises');
+
+/**
+ * Stubbed Homey runtime for tests.
+ *
+ * The `homey` module only exists inside the Homey runtime, so requiring this helper
+ * redirects `require('homey')` to minimal Device/Driver/App base classes. The fake `homey`
+ * instance runs its timers on Node's timers module and tracks them, so a test can clear
+ * everything the app started.
+ */
+
+const { getDefaultSettings, translate } = require('./utils');
+const Device = require('./device');
+const Driver = require('./driver');
+const App = require('./app');
+
+/**
+ * Creates a fake Flow card that records its triggers.
+ * Like Homey, emit 'update' after changing `argumentValues`.
+ * @param {string} id - Card ID
+ * @returns {Object}
+ */
+function createFlowCard(id) {
+  const card = Object.assign(new EventEmitter(), {
+    id,
+    runListener: null,
+    triggers: [],
+    argumentValues: [],
+    registerRunListener(listener) {
+      card.runListener = listener;
+      return card;
+    },
+    async trigger(device, tokens = {}, state = {}) {
+      card.triggers.push({ device, tokens, state });
+    },
+    async getArgumentValues() {
+      return card.argumentValues;
+    },
+  });
+  return card;
+}
+
+/**
+ * Creates a fake Flow token.
+ * @param {string} id - Token ID
+ * @param {Object} options - Token type, title and initial value
+ * @returns {Object}
+ */
+function createFlowToken(id, { type, title, value }) {
+  const token = {
+    id,
+    type,
+    title,
+    value,
+    async setValue(newValue) {
+      token.value = newValue;
+    },
+  };
+  return token;
+}
+
+/**
+ * Creates a fake `this.homey` instance.
+ * @returns {Object}
+ */
+function createHomey() {
+  const pending = new Set();
+  const values = new Map();
+  const cards = new Map();
+  const tokens = new Map();
+
+  const getCard = (id) => {
+    if (!cards.has(id)) cards.set(id, createFlowCard(id));
+    return cards.get(id);
+  };
+
+  return {
+    settings: {
+      get: (key) => (values.has(key) ? values.get(key) : null),
+      set: async (key, value) => {
+        values.set(key, value);
+      },
+      unset: async (key) => {
+        values.delete(key);
+      },
+      getKeys: () => [...values.keys()],
+    },
+    flow: {
+      cards,
+      getDeviceTriggerCard: getCard,
+      getTriggerCard: getCard,
+      getConditionCard: getCard,
+      getActionCard: getCard,
+      tokens,
+      async createToken(id, options) {
+        if (tokens.has(id)) throw new Error(`Token ${id} already exists`);
+        const token = createFlowToken(id, options);
+        tokens.set(id, token);
+        return token;
+      },
+      async unregisterToken(token) {
+        tokens.delete(token.id);
+      },
+    },
+    clock: {
+      getTimezone: () => 'Europe/Amsterdam',
+    },
+    i18n: {
+      getLanguage: () => 'en',
+    },
+    __: translate,
+    notifications: {
+      created: [],
+      async createNotification({ excerpt }) {
+        this.created.push(excerpt);
+      },
+    },
+    setTimeout(callback, ms, ...args) {
+      const timer = timers.setTimeout(() => {
+        pending.delete(timer);
+        callback(...args);
+      }, ms);
+      pending.add(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      timers.clearTimeout(timer);
+      pending.delete(timer);
+    },
+    setInterval(callback, ms, ...args) {
+      const timer = timers.setInterval(callback, ms, ...args);
+      pending.add(timer);
+      return timer;
+    },
+    clearInterval(timer) {
+      timers.clearInterval(timer);
+      pending.delete(timer);
+    },
+    get timerCount() {
+      return pending.size;
+    },
+    destroy() {
+      for (const timer of pending) {
+        timers.clearTimeout(timer);
+        timers.clearInterval(timer);
+      }
+      pending.clear();
+    },
+  };
+}
+
+const HomeyStub = { Device, Driver, App };
+
+const originalLoad = Module._load;
+Module._load = function load(request, ...args) {
+  if (request === 'homey') return HomeyStub;
+  return originalLoad.call(this, request, ...args);
+};
+
+/**
+ * Creates a fake pair or repair session.
+ * Handlers are registered by the driver; tests call emit() like the views do.
+ * @returns {Object}
+ */
+function createSession() {
+  const handlers = new Map();
+  const session = {
+    views: [],
+    setHandler(event, handler) {
+      handlers.set(event, handler);
+    },
+    async showView(viewId) {
+      session.views.push(viewId);
+      if (handlers.has('showView')) await handlers.get('showView')(viewId);
+    },
+    async emit(event, data) {
+      if (!handlers.has(event)) throw new Error(`No handler for ${event}`);
+      return handlers.get(event)(data);
+    },
+  };
+  return session;
+}
+
+/**
+ * Resolves once the predicate returns a truthy value.
+ *
+ * @param {Function} predicate - Condition to wait for
+ * @param {Object} [options]
+ * @param {number} [options.timeout=5000] - Maximum wait in ms
+ * @param {string} [options.message] - Error message on timeout
+ * @returns {Promise<*>} The truthy predicate result
+ */
+async function waitFor(predicate, { timeout = 5000, message = 'Condition not met in time' } = {}) {
+  const started = Date.now();
+  for (;;) {
+    const result = await predicate();
+    if (result) return result;
+    if (Date.now() - started > timeout) throw new Error(message);
+    await sleep(10);
+  }
+}
+
+module.exports = {
+  createHomey,
+  createSession,
+  getDefaultSettings,
+  waitFor,
+  Device,
+  Driver,
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+const settingsCompose = require('../../../drivers/whatwatt-go/driver.settings.compose.json');
+const locale = require('../../../locales/en.json');
+
+/**
+ * Collects default values from the driver settings, like Homey does for a new device.
+ * @returns {Object}
+ */
+function getDefaultSettings() {
+  const defaults = {};
+  const collect = (entries) => {
+    for (const entry of entries) {
+      if (entry.type === 'group') {
+        collect(entry.children || []);
+      } else if (entry.id) {
+        defaults[entry.id] = entry.value;
+      }
+    }
+  };
+  collect(settingsCompose);
+  return defaults;
+}
+
+/**
+ * Looks up a key in the English locale and fills in its __tags__, like `homey.__()`.
+ * @param {string} key - Dotted locale key
+ * @param {Object} [tags] - Values for the tags in the text
+ * @returns {string} The text, or the key when the locale has no text for it
+ */
+function translate(key, tags = {}) {
+  const text = key.split('.').reduce((node, part) => node?.[part], locale);
+  if (typeof text !== 'string') return key;
+  return text.replace(/__(\w+)__/g, (match, tag) => (tag in tags ? String(tags[tag]) : match));
+}
+
+/**
+ * Collects log lines instead of printing them; set WHATWATT_TEST_LOG=1 to print.
+ * @param {string[]} target - Array receiving log lines
+ * @returns {Function}
+ */
+function createLogger(target) {
+  return (...args) => {
+    const line = args.map((arg) => (arg instanceof Error ? arg.message : String(arg))).join(' ');
+    target.push(line);
+    if (process.env.WHATWATT_TEST_LOG) process.stdout.write(`${line}\n`);
+  };
+}
+
+module.exports = {
+  getDefaultSettings,
+  translate,
+  createLogger,
+};
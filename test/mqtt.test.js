@@ -0,0 +1,115 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseMQTTSettings, buildMQTTUpdate } = require('../lib/mqtt');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createSession } = require('./helpers/homey');
+const { createFixture } = require('./helpers/fixtures');
+const WhatwattDevice = require('../drivers/whatwatt-go/device');
+
+describe('MQTT configuration', () => {
+  let simulators = [];
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await Promise.all(simulators.map((simulator) => simulator.stop()));
+    simulators = [];
+  });
+
+  const startSimulator = async (options) => {
+    const simulator = new WhatwattSimulator(options);
+    await simulator.start();
+    simulators.push(simulator);
+    return simulator;
+  };
+
+  it('splits the broker URL into form fields without exposing the password', () => {
+    assert.deepEqual(parseMQTTSettings({
+      enable: true, url: 'mqtts://broker.local', username: 'homey', password: 'secret', publish: { topic: 'meters/p1' },
+    }), {
+      enable: true, host: 'broker.local', port: 8883, tls: true, username: 'homey', hasPassword: true, topic: 'meters/p1',
+    });
+    assert.equal(parseMQTTSettings({}).port, 1883);
+  });
+
+  it('validates form values before building the update', () => {
+    assert.throws(() => buildMQTTUpdate({ enable: true, host: '', port: 1883 }), /Enter the broker host/);
+    assert.throws(() => buildMQTTUpdate({ enable: true, host: 'broker', port: 70000 }), /Invalid broker port/);
+    assert.throws(() => buildMQTTUpdate({
+      enable: true, host: 'broker', port: 1883, topic: 'meters/#',
+    }), /wildcards/);
+
+    const update = buildMQTTUpdate({
+      enable: true, host: ' broker.local ', port: '1884', username: 'homey', password: '', topic: 'meters/p1',
+    }, { publish: { topic: 'old', interval: 30 } });
+    assert.deepEqual(update, {
+      enable: true, url: 'mqtt://broker.local:1884', username: 'homey', publish: { topic: 'meters/p1', interval: 30 },
+    });
+  });
+
+  it('accepts IPv6 broker addresses with or without brackets', () => {
+    for (const host of ['fd00::10', '[fd00::10]']) {
+      assert.equal(buildMQTTUpdate({ enable: true, host, port: 1883 }).url, 'mqtt://[fd00::10]:1883');
+    }
+    assert.equal(parseMQTTSettings({ url: 'mqtt://[fd00::10]:1883' }).host, 'fd00::10');
+    assert.throws(() => buildMQTTUpdate({ enable: true, host: 'fd00::zz', port: 1883 }), /Invalid broker host/);
+  });
+
+  it('edits the MQTT settings from the repair view', async () => {
+    const simulator = await startSimulator();
+    fixture = await createFixture(simulator);
+    const { driver, device } = fixture;
+    const session = createSession();
+    await driver.onRepair(session, device);
+
+    const loaded = await session.emit('get_mqtt_settings');
+    assert.equal(loaded.settings.host, 'broker.local');
+    assert.equal(loaded.settings.hasPassword, true);
+
+    const rejected = await session.emit('save_mqtt_settings', { ...loaded.settings, port: 0 });
+    assert.deepEqual(rejected, { success: false, message: 'Invalid broker port: 0' });
+
+    const saved = await session.emit('save_mqtt_settings', {
+      ...loaded.settings, enable: true, host: '10.0.0.5', tls: true, port: 8883, password: '', topic: 'home/meter',
+    });
+    assert.equal(saved.success, true);
+    assert.equal(simulator.mqttSettings.url, 'mqtts://10.0.0.5:8883');
+    assert.equal(simulator.mqttSettings.enable, true);
+    assert.equal(simulator.mqttSettings.password, 'mqtt-secret');
+    assert.deepEqual(simulator.mqttSettings.publish, { topic: 'home/meter', interval: 30 });
+  });
+
+  it('copies the MQTT configuration to all other devices', async () => {
+    const source = await startSimulator({ deviceId: 'AAAAAA000001' });
+    const target = await startSimulator({ deviceId: 'AAAAAA000002' });
+    const offline = await startSimulator({ deviceId: 'AAAAAA000003' });
+    fixture = await createFixture(source);
+    const { homey, driver, device } = fixture;
+
+    const addDevice = (simulator) => {
+      const other = new WhatwattDevice({
+        homey, driver, data: { id: simulator.deviceId }, store: { address: simulator.host, port: simulator.port }, name: simulator.deviceId,
+      });
+      driver.devices.push(other);
+    };
+    addDevice(target);
+    addDevice(offline);
+
+    Object.assign(source.mqttSettings, { enable: true, url: 'mqtt://10.0.0.5:1883', password: 'fleet' });
+    offline.failNext('/api/v1/mqtt/settings', 500, 1, 'PUT');
+
+    const copy = homey.flow.cards.get('copy_mqtt_config').runListener;
+    await assert.rejects(copy({ device }), /could not be copied to AAAAAA000003/);
+
+    assert.equal(target.mqttSettings.url, 'mqtt://10.0.0.5:1883');
+    assert.equal(target.mqttSettings.enable, true);
+    assert.equal(target.mqttSettings.password, 'fleet');
+    // The client ID identifies each device on the broker and is not copied
+    assert.equal(target.mqttSettings.client_id, 'whatwatt-AAAAAA000002');
+    assert.equal(offline.mqttSettings.enable, false);
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeScanResults, buildWiFiUpdate, buildEthernetUpdate } = require('../lib/network');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createSession, waitFor } = require('./helpers/homey');
+const { createFixture } = require('./helpers/fixtures');
+
+describe('network management', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  const openRepair = async (options) => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator, options);
+    fixture.device._networkRediscoveryDelay = 50;
+    const session = createSession();
+    await fixture.driver.onRepair(session, fixture.device);
+    return session;
+  };
+
+  it('lists each scanned network once, strongest first', () => {
+    const networks = normalizeScanResults({
+      networks: [
+        { ssid: 'Home', rssi: -81, auth: 'wpa2' },
+        { ssid: '', rssi: -40, auth: 'wpa2' },
+        { ssid: 'Guest', rssi: -70, auth: 'open' },
+        { ssid: 'Home', rssi: -58, auth: 'wpa2' },
+      ],
+    });
+
+    assert.deepEqual(networks, [
+      {
+        ssid: 'Home', rssi: -58, quality: 84, secure: true, channel: null,
+      },
+      {
+        ssid: 'Guest', rssi: -70, quality: 60, secure: false, channel: null,
+      },
+    ]);
+  });
+
+  it('rejects network changes that are invalid or leave no interface enabled', () => {
+    assert.throws(() => buildWiFiUpdate({ enable: true, ssid: '' }, { enable: false }), /Select or enter a WiFi network/);
+    assert.throws(() => buildWiFiUpdate({ enable: true, ssid: 'Home', password: 'short' }, { enable: false }), /8 to 63 characters/);
+    assert.throws(() => buildWiFiUpdate({ enable: false, ssid: 'Home' }, { enable: false }), /would be unreachable/);
+    assert.throws(() => buildEthernetUpdate({
+      enable: true, dhcp: false, ip: '192.168.1.300', netmask: '255.255.255.0',
+    }, { enable: true }), /Invalid IP address: 192.168.1.300/);
+
+    assert.deepEqual(buildEthernetUpdate({ enable: true, dhcp: true, ip: '10.0.0.2' }, { enable: true }), { enable: true, dhcp: true });
+  });
+
+  it('scans WiFi networks and asks for confirmation before changing the WiFi settings', async () => {
+    const session = await openRepair();
+
+    const scan = await session.emit('scan_wifi');
+    assert.deepEqual(scan.networks.map((network) => network.ssid), ['Home', 'Guest']);
+
+    const values = { enable: true, ssid: 'Guest', password: '' };
+    const unconfirmed = await session.emit('save_wifi', values);
+    assert.equal(unconfirmed.confirmationRequired, true);
+    assert.equal(simulator.wifiSettings.ssid, 'Home');
+
+    assert.deepEqual(await session.emit('save_wifi', { ...values, confirmed: true }), { success: true, applied: true });
+    assert.equal(simulator.wifiSettings.ssid, 'Guest');
+    assert.equal(simulator.wifiSettings.password, 'wifi-secret');
+
+    const unchanged = await session.emit('save_wifi', values);
+    assert.deepEqual(unchanged, { success: true, applied: false });
+  });
+
+  it('finds the device again after switching Ethernet from DHCP to a static address', async () => {
+    const session = await openRepair();
+    const { device, driver } = fixture;
+
+    const result = await session.emit('save_ethernet', {
+      enable: true, dhcp: false, ip: '127.0.0.2', netmask: '255.0.0.0', gateway: '', dns: '', confirmed: true,
+    });
+    assert.equal(result.success, true);
+    assert.deepEqual(simulator.ethernetSettings, {
+      enable: true, dhcp: false, ip: '127.0.0.2', netmask: '255.0.0.0',
+    });
+
+    // The device takes its new address and is announced there over mDNS
+    const { host } = await simulator.moveTo('127.0.0.2');
+    driver.discoveryResults[simulator.deviceId].address = host;
+
+    await waitFor(() => device.logs.includes('Device reachable at 127.0.0.2 after network change'));
+    assert.equal(device.getStoreValue('address'), '127.0.0.2');
+  });
+
+  it('follows a new static address of a manually added device', async () => {
+    const session = await openRepair({ store: { manual: true } });
+    const { device } = fixture;
+    Object.assign(simulator.ethernetSettings, {
+      enable: true, dhcp: false, ip: simulator.host, netmask: '255.0.0.0',
+    });
+
+    await session.emit('save_ethernet', {
+      enable: true, dhcp: false, ip: '127.0.0.3', netmask: '255.0.0.0', confirmed: true,
+    });
+    assert.equal(device.getStoreValue('address'), '127.0.0.3');
+
+    await simulator.moveTo('127.0.0.3');
+    await waitFor(() => device.logs.includes('Device reachable at 127.0.0.3 after network change'));
+  });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PeakDemandTracker = require('../lib/peakdemand');
+const { getMonthKey } = require('../lib/periods');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { waitFor } = require('./helpers/homey');
+const { createFixture } = require('./helpers/fixtures');
+
+const MINUTE = 60 * 1000;
+const TIMEZONE = 'Europe/Brussels';
+const START = Date.UTC(2026, 2, 10, 8, 0);
+
+/**
+ * Feeds a constant power to a tracker every 10 seconds.
+ * @returns {Object} Result of the last update
+ */
+function feed(tracker, power, from, to) {
+  let result = null;
+  for (let now = from; now <= to; now += 10000) {
+    result = tracker.update(power, now);
+  }
+  return result;
+}
+
+describe('PeakDemandTracker', () => {
+  it('averages import over the quarter-hour and projects where it will end', () => {
+    const tracker = new PeakDemandTracker({ timezone: TIMEZONE });
+
+    feed(tracker, 2, START, START + 5 * MINUTE);
+    const result = feed(tracker, 5, START + 5 * MINUTE + 10000, START + 10 * MINUTE);
+    // 5 min at 2 kW and 5 min at 5 kW so far, 5 min at 5 kW still to come
+    assert.ok(Math.abs(result.average - 3.5) < 0.1);
+    assert.ok(Math.abs(result.projected - 4) < 0.1);
+    assert.equal(result.completed, null);
+
+    const next = feed(tracker, -3, START + 10 * MINUTE + 10000, START + 15 * MINUTE).completed;
+    assert.equal(next.start, START);
+    assert.ok(Math.abs(next.average - (2 * 5 + 5 * 5) / 15) < 0.1);
+    assert.equal(tracker.getMonthPeak(), next.average);
+  });
+
+  it('counts a data gap as no import instead of holding the last sample', () => {
+    const tracker = new PeakDemandTracker({ timezone: TIMEZONE });
+
+    tracker.update(6, START);
+    const { completed } = tracker.update(0, START + 15 * MINUTE);
+    // Only the first 5 minutes are held
+    assert.equal(completed.average, 2);
+  });
+
+  it('does not count the quarter-hour in which tracking started as a peak', () => {
+    const tracker = new PeakDemandTracker({ timezone: TIMEZONE });
+
+    const { completed } = feed(tracker, 9, START + 10 * MINUTE, START + 15 * MINUTE);
+    assert.equal(completed.partial, true);
+    assert.equal(tracker.getMonthPeak(), 0);
+
+    const next = feed(tracker, 4, START + 15 * MINUTE + 10000, START + 30 * MINUTE).completed;
+    assert.equal(next.partial, false);
+    assert.ok(Math.abs(tracker.getMonthPeak() - 4) < 0.1);
+  });
+
+  it('keeps months without a completed quarter-hour in the history', () => {
+    const tracker = new PeakDemandTracker({ timezone: TIMEZONE });
+    const endOfMarch = Date.UTC(2026, 2, 31, 21, 45);
+
+    // Tracking starts late in March, then the data stops until June
+    feed(tracker, 9, endOfMarch + 5 * MINUTE, endOfMarch + 10 * MINUTE);
+    const june = Date.UTC(2026, 5, 1, 8, 0);
+    feed(tracker, 3, june, june + 15 * MINUTE);
+
+    assert.deepEqual(tracker.getState().history, [
+      { month: '2026-03', peak: 0 },
+      { month: '2026-04', peak: null },
+      { month: '2026-05', peak: null },
+    ]);
+    // March counts for the minimum, April and May had no data
+    assert.equal(tracker.getRollingAverage(), (2.5 + 3) / 2);
+  });
+
+  it('keeps monthly peaks and averages them with the monthly minimum', () => {
+    const tracker = new PeakDemandTracker({ timezone: TIMEZONE });
+
+    // 31 March 23:45 local is still March; the next quarter-hour starts April
+    const endOfMarch = Date.UTC(2026, 2, 31, 21, 45);
+    feed(tracker, 8, endOfMarch, endOfMarch + 15 * MINUTE - 10000);
+    const april = tracker.update(1, endOfMarch + 15 * MINUTE);
+    assert.equal(april.completed.average, 8);
+    assert.equal(april.monthPeak, 0);
+    // March at 8 kW, April below the 2.5 kW minimum
+    assert.equal(april.rollingAverage, (8 + 2.5) / 2);
+
+    const restored = new PeakDemandTracker({ timezone: TIMEZONE, state: JSON.parse(JSON.stringify(tracker.getState())) });
+    assert.equal(restored.getRollingAverage(), (8 + 2.5) / 2);
+
+    // A year later March has dropped out of the average
+    const nextYear = Date.UTC(2027, 3, 1, 8, 0);
+    feed(restored, 3, nextYear, nextYear + 15 * MINUTE);
+    assert.equal(restored.getMonthPeak(), 3);
+    assert.equal(restored.getRollingAverage(), 3);
+  });
+});
+
+describe('peak demand tracking on the device', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  const startTracking = async (store = {}) => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator, { settings: { peak_demand: true }, store });
+    await fixture.device._initPeakDemand();
+    return fixture;
+  };
+
+  it('shows the peak demand capabilities and resumes from the saved state', async () => {
+    const month = getMonthKey(Date.now(), 'Europe/Amsterdam');
+    const { device } = await startTracking({
+      peak_demand: {
+        quarter: null, month, monthPeak: { value: 4.2, at: 0 }, history: [],
+      },
+    });
+
+    await device._onLiveData({ P_In: 3.2, P_Out: 0 });
+    assert.ok(device.hasCapability('measure_peak_demand.quarter'));
+    assert.equal(device.getCapabilityValue('measure_peak_demand.month'), 4.2);
+    assert.equal(device.getCapabilityValue('measure_peak_demand.average'), 4.2);
+
+    await device.onUninit();
+    assert.equal(device.getStoreValue('peak_demand').quarter.lastPower, 3.2);
+
+    await device.applySettings({ peak_demand: false });
+    await waitFor(() => !device.hasCapability('measure_peak_demand.month'));
+    assert.equal(device.getStoreValue('peak_demand').monthPeak.value, 4.2);
+  });
+
+  it('fires the projection trigger once until the projection drops back', async () => {
+    const { device, homey } = await startTracking();
+    const card = homey.flow.cards.get('quarter_peak_projected_above');
+    card.argumentValues = [{ device, power: 2.5 }, { device, power: 2.5 }];
+    card.emit('update');
+
+    const projections = [[2.8, true], [2.7, false], [2.3, false], [2.6, true]];
+    for (const [index, [projected, fires]] of projections.entries()) {
+      await device._triggerThresholdFlow('quarter_peak_projected_above', projected, { projected }, { projected, now: index * 1000 });
+      assert.equal(card.triggers.length, fires ? 1 : 0);
+
+      // Both Flows with the same threshold run
+      for (const { state } of card.triggers) {
+        assert.deepEqual(await Promise.all(card.argumentValues.map((args) => card.runListener(args, state))), [true, true]);
+      }
+      card.triggers.length = 0;
+    }
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { waitFor } = require('./helpers/homey');
+const { createFixture } = require('./helpers/fixtures');
+
+describe('phase overload protection', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  const startWithFuse = async (settings) => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator, {
+      settings: {
+        fuse_size: 25, fuse_alarm_level: 80, fuse_alarm_delay: 0, ...settings,
+      },
+    });
+    return fixture;
+  };
+
+  it('shows the headroom per phase and raises the alarm above the alarm level', async () => {
+    const { device, homey } = await startWithFuse();
+
+    await device._onLiveData({ I_P1: 10, I_P2: 21, I_P3: -22.5 });
+    assert.equal(device.getCapabilityValue('measure_current.headroom_phase1'), 15);
+    assert.equal(device.getCapabilityValue('measure_current.headroom_phase3'), 2.5);
+    assert.equal(device.getCapabilityValue('alarm_phase_overload.phase1'), false);
+    assert.equal(device.getCapabilityValue('alarm_phase_overload.phase2'), true);
+    assert.equal(device.getCapabilityValue('alarm_phase_overload.phase3'), true);
+
+    const card = homey.flow.cards.get('phase_overload');
+    assert.deepEqual(card.triggers.map(({ tokens }) => tokens), [
+      { phase: 2, current: 21, headroom: 4 },
+      { phase: 3, current: 22.5, headroom: 2.5 },
+    ]);
+    assert.equal(await card.runListener({ phase: 'any' }, card.triggers[0].state), true);
+    assert.equal(await card.runListener({ phase: '3' }, card.triggers[0].state), false);
+
+    // Cleared below the hysteresis band only, and does not fire again while latched
+    await device._onLiveData({ I_P1: 10, I_P2: 19.5, I_P3: 18.5 });
+    assert.equal(device.getCapabilityValue('alarm_phase_overload.phase2'), true);
+    assert.equal(device.getCapabilityValue('alarm_phase_overload.phase3'), false);
+    assert.equal(card.triggers.length, 2);
+
+    await device.applySettings({ fuse_size: 0 });
+    await waitFor(() => !device.hasCapability('alarm_phase_overload.phase2'));
+    assert.ok(!device.hasCapability('measure_current.headroom_phase1'));
+  });
+
+  it('waits for the grace period before raising the alarm', async () => {
+    const { device, homey } = await startWithFuse({ fuse_alarm_delay: 60 });
+
+    await device._onLiveData({ I_P1: 24 });
+    assert.equal(device.getCapabilityValue('alarm_phase_overload.phase1'), false);
+    assert.equal(homey.flow.cards.get('phase_overload').triggers.length, 0);
+  });
+});
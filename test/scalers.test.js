@@ -0,0 +1,95 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCustomScalers, getEffectiveScalers, previewScaledValues } = require('../lib/scalers');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createSession } = require('./helpers/homey');
+const { createFixture } = require('./helpers/fixtures');
+
+describe('meter scalers', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  it('builds custom scalers and keeps the meter scaler for empty fields', () => {
+    const current = {
+      power: 0, energy: 0, voltage: -1, current: -2,
+    };
+
+    assert.deepEqual(buildCustomScalers({
+      enable: true, power: '-3', energy: '', voltage: null,
+    }, current), {
+      enable: true, power: -3, energy: 0, voltage: -1, current: -2,
+    });
+    assert.throws(() => buildCustomScalers({ enable: true, power: '1.5' }, current), /Invalid power scaler: 1.5/);
+    assert.throws(() => buildCustomScalers({ enable: true, voltage: 9 }, current), /Invalid voltage scaler/);
+
+    // Disabled custom scalers fall back to the meter scalers
+    assert.deepEqual(getEffectiveScalers(current, { enable: false, power: -3 }), current);
+  });
+
+  it('previews rescaled readings and warns about implausible values', () => {
+    const effective = {
+      power: 0, energy: 0, voltage: 0, current: 0,
+    };
+    const { rows, warnings } = previewScaledValues({ P_In: 1200, V_P1: 230.1, I_P1: 0 }, effective, { ...effective, power: -3, voltage: 1 });
+
+    assert.deepEqual(rows.map((row) => [row.field, row.preview]), [['P_In', 1.2], ['V_P1', 2301], ['I_P1', 0]]);
+    assert.deepEqual(warnings, ['V_P1 would be 2301 V, outside the expected 90-280 V']);
+  });
+
+  it('corrects readings that are off by a factor 10 from the repair view', async () => {
+    simulator = new WhatwattSimulator({
+      liveData: {
+        V_P1: 2301, V_P2: 2314, V_P3: 2298,
+      },
+    });
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const { driver, device } = fixture;
+    const session = createSession();
+    await driver.onRepair(session, device);
+
+    const loaded = await session.emit('get_scalers');
+    assert.equal(loaded.sample.V_P1, 2301);
+    assert.equal(loaded.effective.voltage, 0);
+
+    const values = {
+      enable: true, power: '', energy: '', voltage: '-1', current: '',
+    };
+    const preview = await session.emit('preview_scalers', values);
+    assert.deepEqual(preview.warnings, []);
+    assert.equal(preview.rows.find((row) => row.field === 'V_P1').preview, 230.1);
+    assert.equal(simulator.customScalers.enable, false);
+
+    const applied = await session.emit('apply_scalers', values);
+    assert.equal(applied.success, true);
+    assert.deepEqual(simulator.customScalers, {
+      enable: true, power: 0, energy: 0, voltage: -1, current: 0,
+    });
+    assert.equal(device.getCapabilityValue('measure_voltage'), 230.1);
+    assert.equal(device.getCapabilityValue('measure_voltage.phase2'), 231.4);
+  });
+
+  it('refuses invalid scalers without touching the device', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const session = createSession();
+    await fixture.driver.onRepair(session, fixture.device);
+
+    const result = await session.emit('apply_scalers', { enable: true, current: 'x' });
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /Invalid current scaler/);
+    assert.ok(!simulator.requests.some((request) => request.method === 'POST'));
+  });
+});
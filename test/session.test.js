@@ -0,0 +1,90 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WhatwattSession = require('../lib/session');
+const WhatwattAPI = require('../lib/whatwattapi');
+const WhatwattEventStream = require('../lib/eventstream');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createHomey, waitFor } = require('./helpers/homey');
+const { createFixture, startDevice } = require('./helpers/fixtures');
+
+describe('WhatwattSession', () => {
+  let simulator;
+  let homey;
+  let stream;
+  let fixture;
+
+  afterEach(async () => {
+    stream?.stop();
+    stream = null;
+    homey?.destroy();
+    homey = null;
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  const countUnauthorized = () => simulator.requests.filter((request) => !request.authorized).length;
+
+  const startProtected = async () => {
+    simulator = new WhatwattSimulator({ password: 'secret' });
+    await simulator.start();
+    homey = createHomey();
+    return new WhatwattSession({
+      homey, host: simulator.host, port: simulator.port, password: 'secret',
+    });
+  };
+
+  it('shares one auth probe and Digest handshake between API client and event stream', async () => {
+    const session = await startProtected();
+    const api = new WhatwattAPI({ homey, session });
+
+    // Concurrent first requests wait for the same probe and answer its challenge
+    await Promise.all([api.getSystemInfo(), api.getReport()]);
+    assert.equal(session.scheme, 'digest');
+    const unauthorized = countUnauthorized();
+    assert.equal(unauthorized, 1);
+
+    stream = new WhatwattEventStream({ homey, session, onData: () => {} });
+    stream.start().catch(() => {});
+    await waitFor(() => stream.isStreamConnected());
+
+    assert.equal(countUnauthorized(), unauthorized);
+  });
+
+  it('keeps the handshake across IP changes and starts over after a password change', async () => {
+    const session = await startProtected();
+    const api = new WhatwattAPI({ homey, session });
+    await api.getSystemInfo();
+    const unauthorized = countUnauthorized();
+
+    const { host } = await simulator.moveTo('127.0.0.2');
+    assert.equal(session.update({ host }), true);
+    await api.getSystemInfo();
+    assert.equal(countUnauthorized(), unauthorized);
+    assert.equal(session.scheme, 'digest');
+
+    simulator.password = 'rotated';
+    assert.equal(session.update({ password: 'rotated' }), true);
+    assert.equal(session.scheme, null);
+    assert.ok(await api.getSystemInfo());
+    assert.equal(session.update({ host, password: 'rotated' }), false);
+  });
+
+  it('lets a device probe its credentials once on startup', async () => {
+    simulator = new WhatwattSimulator({ password: 'secret' });
+    await simulator.start();
+    fixture = await createFixture(simulator, { password: 'secret' });
+    const { device } = fixture;
+
+    startDevice(device);
+    await waitFor(() => device.eventStream?.isStreamConnected());
+
+    const probes = simulator.requests.filter((request) => request.path === '/api/v1/system' && !request.authorized);
+    assert.equal(probes.length, 1);
+    assert.equal(device.eventStream.session, device._getAPI().session);
+  });
+});
@@ -0,0 +1,547 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const timers = require('timers');
+
+/**
+ * Local whatwatt Go simulator.
+ *
+ * Serves the parts of the whatwatt Go REST API the app uses, the `/api/v1/live` SSE stream
+ * and Basic/Digest 401 challenges, so the API client, event stream and device/driver classes
+ * can be exercised without a physical meter. Faults are scripted per test: dropped and stalled
+ * streams, HTTP errors on a path and moving the device to another address.
+ */
+
+/** Live sample in SSE units (kW, kvar, kWh), matching what the device pushes. */
+const DEFAULT_LIVE_DATA = {
+  P_In: 1.2,
+  P_Out: 0,
+  P_P1_In: 0.4,
+  P_P2_In: 0.5,
+  P_P3_In: 0.3,
+  P_P1_Out: 0,
+  P_P2_Out: 0,
+  P_P3_Out: 0,
+  V_P1: 230.1,
+  V_P2: 231.4,
+  V_P3: 229.8,
+  I_P1: 1.8,
+  I_P2: 2.2,
+  I_P3: 1.3,
+  E_In: 12345.678,
+  E_Out: 2345.678,
+  E_In_T1: 6000.1,
+  E_In_T2: 6345.578,
+  E_Out_T1: 1000.2,
+  E_Out_T2: 1345.478,
+  rP_In: 0.1,
+  rP_Out: 0.05,
+  PF: 0.98,
+};
+
+/** Configuration endpoints and the simulator property holding their value. */
+const CONFIG_PATHS = {
+  '/api/v1/settings': 'settings',
+  '/api/v1/meter/scalers/custom': 'customScalers',
+  '/api/v1/mqtt/settings': 'mqttSettings',
+  '/api/v1/wifi/sta/settings': 'wifiSettings',
+  '/api/v1/eth/settings': 'ethernetSettings',
+};
+
+/**
+ * Computes an MD5 hex digest as used by HTTP Digest authentication.
+ * @param {string} value - Input string
+ * @returns {string}
+ */
+function md5(value) {
+  return crypto.createHash('md5').update(value).digest('hex');
+}
+
+/**
+ * Parses the parameters of a Digest Authorization header.
+ * @param {string} header - Authorization header value without the scheme
+ * @returns {Object<string, string>}
+ */
+function parseDigestParams(header) {
+  const params = {};
+  const pattern = /(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/g;
+  for (let match = pattern.exec(header); match !== null; match = pattern.exec(header)) {
+    params[match[1]] = match[2]?.replace(/\\(.)/g, '$1') ?? match[3];
+  }
+  return params;
+}
+
+class WhatwattSimulator {
+  /**
+   * Creates a new simulator. Call start() to begin listening.
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.deviceId='ECC9FF5C7F04'] - Device ID reported by /api/v1/system
+   * @param {string} [options.password=''] - Web UI password; empty disables authentication
+   * @param {'digest'|'basic'} [options.authScheme='digest'] - Challenge sent when a password is set
+   * @param {string} [options.realm='whatwatt'] - Realm of the challenge
+   * @param {string} [options.qop='auth'] - Digest quality of protection offered
+   * @param {number} [options.liveInterval=50] - Interval between live events in ms
+   * @param {Object} [options.liveData] - Overrides for the live sample
+   */
+  constructor(options = {}) {
+    this.deviceId = options.deviceId || 'ECC9FF5C7F04';
+    this.password = options.password || '';
+    this.authScheme = options.authScheme || 'digest';
+    this.liveInterval = options.liveInterval || 50;
+    this.liveData = { ...DEFAULT_LIVE_DATA, ...options.liveData };
+    this.meterSettings = { report_interval: 1 };
+    this.settings = { system: { host_name: 'whatwatt-go', time_zone: 'CET-1CEST,M3.5.0,M10.5.0/3' }, services: { cloud: { what_watt: true } } };
+    this.currentScalers = {
+      power: 0, energy: 0, voltage: 0, current: 0,
+    };
+    this.customScalers = {
+      enable: false, power: 0, energy: 0, voltage: 0, current: 0,
+    };
+    this.mqttSettings = {
+      enable: false,
+      url: 'mqtt://broker.local:1883',
+      client_id: `whatwatt-${this.deviceId}`,
+      username: 'homey',
+      password: 'mqtt-secret',
+      publish: { topic: 'whatwatt/data', interval: 30 },
+    };
+    this.wifiSettings = { enable: true, ssid: 'Home', password: 'wifi-secret' };
+    this.ethernetSettings = { enable: false, dhcp: true };
+    this.variables = {
+      system: { uptime: 1200 },
+      wifi: { rssi: -61, ssid: 'Home' },
+      meter: { connected: true },
+    };
+    this.wifiNetworks = [
+      {
+        ssid: 'Home', rssi: -58, channel: 6, auth: 'wpa2',
+      },
+      {
+        ssid: 'Home', rssi: -81, channel: 11, auth: 'wpa2',
+      },
+      {
+        ssid: 'Guest', rssi: -70, channel: 1, auth: 'open',
+      },
+    ];
+
+    this.host = null;
+    this.port = null;
+    this.requests = [];
+    this.actions = [];
+    this.lastEventIds = [];
+    this.stalled = false;
+
+    this._server = null;
+    this._streams = new Set();
+    this._faults = [];
+    this._eventId = 0;
+    this._liveTimer = null;
+    this._realm = options.realm || 'whatwatt';
+    this._qop = options.qop || 'auth';
+    this._nonce = crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Starts listening.
+   * @param {string} [host='127.0.0.1'] - Loopback address to bind
+   * @param {number} [port=0] - Port, 0 picks a free one
+   * @returns {Promise<{host: string, port: number}>}
+   */
+  async start(host = '127.0.0.1', port = 0) {
+    this._server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, host, resolve);
+    });
+
+    this.host = host;
+    this.port = this._server.address().port;
+    // The simulator stands in for the meter, not the app, so it runs on Node's own timers
+    this._liveTimer = timers.setInterval(() => this._broadcastLive(), this.liveInterval);
+    return { host: this.host, port: this.port };
+  }
+
+  /**
+   * Stops listening and closes all open connections, including live streams.
+   */
+  async stop() {
+    timers.clearInterval(this._liveTimer);
+    this._liveTimer = null;
+    this.dropStreams();
+
+    if (this._server) {
+      const server = this._server;
+      this._server = null;
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  }
+
+  /**
+   * Simulates a DHCP address change: the device disappears from its current address
+   * and comes back on another loopback address with the same port.
+   *
+   * @param {string} host - New loopback address (e.g. 127.0.0.2)
+   * @returns {Promise<{host: string, port: number}>}
+   */
+  async moveTo(host) {
+    const { port } = this;
+    await this.stop();
+    return this.start(host, port);
+  }
+
+  /**
+   * Number of connected live stream clients.
+   * @returns {number}
+   */
+  get streamCount() {
+    return this._streams.size;
+  }
+
+  /**
+   * Updates the live sample sent on the stream and returned by /api/v1/report.
+   * @param {Object} values - SSE fields to change
+   */
+  setLiveData(values) {
+    Object.assign(this.liveData, values);
+  }
+
+  /**
+   * Closes all open live streams from the device side.
+   */
+  dropStreams() {
+    for (const res of this._streams) {
+      res.destroy();
+    }
+    this._streams.clear();
+  }
+
+  /**
+   * Keeps live streams open but stops sending events until resume() is called.
+   */
+  stall() {
+    this.stalled = true;
+  }
+
+  /**
+   * Resumes sending live events after stall().
+   */
+  resume() {
+    this.stalled = false;
+  }
+
+  /**
+   * Answers the next requests to a path with an HTTP error.
+   *
+   * @param {string} path - Request path (e.g. /api/v1/live)
+   * @param {number|string} [status=500] - HTTP status to return, 'timeout' to never answer or
+   *   'malformed' to answer 200 with a body that is not valid JSON
+   * @param {number} [count=1] - Number of requests to fail, Infinity for all
+   * @param {string} [method] - Only fail requests with this method, e.g. PUT
+   */
+  failNext(path, status = 500, count = 1, method = null) {
+    this._faults.push({
+      path, status, remaining: count, method,
+    });
+  }
+
+  /**
+   * Removes all scripted HTTP errors.
+   */
+  clearFaults() {
+    this._faults = [];
+  }
+
+  /**
+   * Sends an event to all connected live stream clients.
+   *
+   * @param {string} event - SSE event type
+   * @param {Object|string} data - Payload, objects are sent as JSON
+   */
+  sendEvent(event, data) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    this._eventId++;
+    this._write(`id: ${this._eventId}\nevent: ${event}\ndata: ${payload}\n\n`);
+  }
+
+  /**
+   * Sends an SSE comment (keep-alive) to all connected live stream clients.
+   * @param {string} [text='keep-alive']
+   */
+  sendComment(text = 'keep-alive') {
+    this._write(`: ${text}\n\n`);
+  }
+
+  /**
+   * Returns the live sample as the device reports it: with custom scalers enabled, each
+   * quantity is rescaled from the meter scaler to the custom one.
+   * @returns {Object}
+   */
+  getScaledLiveData() {
+    if (!this.customScalers.enable) return { ...this.liveData };
+
+    const prefixes = {
+      power: /^r?P_/, energy: /^E_/, voltage: /^V_/, current: /^I_/,
+    };
+    const data = { ...this.liveData };
+    for (const [quantity, prefix] of Object.entries(prefixes)) {
+      const factor = 10 ** ((this.customScalers[quantity] ?? 0) - (this.currentScalers[quantity] ?? 0));
+      for (const key of Object.keys(data)) {
+        if (prefix.test(key)) data[key] = Number((data[key] * factor).toPrecision(12));
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Builds the /api/v1/report body from the current live sample.
+   * @returns {Object}
+   */
+  getReport() {
+    const d = this.getScaledLiveData();
+    return {
+      report: {
+        instantaneous_power: {
+          active: {
+            positive: {
+              total: d.P_In, l1: d.P_P1_In, l2: d.P_P2_In, l3: d.P_P3_In,
+            },
+            negative: {
+              total: d.P_Out, l1: d.P_P1_Out, l2: d.P_P2_Out, l3: d.P_P3_Out,
+            },
+          },
+          reactive: {
+            positive: { total: d.rP_In },
+            negative: { total: d.rP_Out },
+          },
+        },
+        voltage: { l1: d.V_P1, l2: d.V_P2, l3: d.V_P3 },
+        current: { l1: d.I_P1, l2: d.I_P2, l3: d.I_P3 },
+        energy: {
+          active: {
+            positive: { total: d.E_In, t1: d.E_In_T1, t2: d.E_In_T2 },
+            negative: { total: d.E_Out, t1: d.E_Out_T1, t2: d.E_Out_T2 },
+          },
+        },
+        power_factor: d.PF,
+      },
+      meter: {
+        interface: 'P1',
+        id: '4530303331303033',
+        vendor: 'Simulated',
+        protocol: 'DSMR',
+      },
+    };
+  }
+
+  /**
+   * Routes a request after applying faults and authentication.
+   * @private
+   */
+  _handle(req, res) {
+    const path = req.url.split('?')[0];
+    const authorized = this._isAuthorized(req);
+    this.requests.push({ method: req.method, path, authorized });
+
+    const fault = this._faults.find((candidate) => candidate.path === path
+      && (!candidate.method || candidate.method === req.method)
+      && candidate.remaining > 0);
+    if (fault) {
+      fault.remaining--;
+      if (fault.status === 'malformed') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"device": ');
+      } else if (fault.status !== 'timeout') {
+        this._json(res, fault.status, { error: 'Simulated fault' });
+      }
+      return;
+    }
+
+    if (!authorized) {
+      this._challenge(res);
+      return;
+    }
+
+    const route = `${req.method} ${path}`;
+    switch (route) {
+      case 'GET /api/v1/system':
+        this._json(res, 200, {
+          device: {
+            id: this.deviceId,
+            model: 'whatwatt Go',
+            firmware: '1.10.4',
+          },
+          meter: {
+            interface: 'P1',
+            protocol: 'DSMR',
+            report_interval: this.meterSettings.report_interval,
+          },
+        });
+        return;
+      case 'GET /api/v1/report':
+        this._json(res, 200, this.getReport());
+        return;
+      case 'GET /api/v1/live':
+        this._openStream(req, res);
+        return;
+      case 'GET /api/v1/meter/settings':
+        this._json(res, 200, this.meterSettings);
+        return;
+      case 'PUT /api/v1/meter/settings':
+        this._readJson(req).then((body) => {
+          Object.assign(this.meterSettings, body);
+          this._json(res, 200, this.meterSettings);
+        }).catch(() => this._json(res, 400, { error: 'Invalid JSON' }));
+        return;
+      case 'GET /api/v1/variables':
+        this._json(res, 200, this.variables);
+        return;
+      case 'GET /api/v1/wifi/scan':
+        this._json(res, 200, this.wifiNetworks);
+        return;
+      case 'GET /api/v1/meter/scalers/current':
+        this._json(res, 200, this.currentScalers);
+        return;
+      case 'GET /api/v1/settings':
+      case 'GET /api/v1/meter/scalers/custom':
+      case 'GET /api/v1/mqtt/settings':
+      case 'GET /api/v1/wifi/sta/settings':
+      case 'GET /api/v1/eth/settings':
+        this._json(res, 200, this[CONFIG_PATHS[path]]);
+        return;
+      case 'PUT /api/v1/settings':
+      case 'PUT /api/v1/mqtt/settings':
+      case 'PUT /api/v1/wifi/sta/settings':
+      case 'PUT /api/v1/eth/settings':
+      case 'POST /api/v1/meter/scalers/custom':
+        this._readJson(req).then((body) => {
+          const key = CONFIG_PATHS[path];
+          // Custom scalers are replaced as a whole, the other settings are partial updates
+          this[key] = req.method === 'POST' ? body : { ...this[key], ...body };
+          this._json(res, 200, this[key]);
+        }).catch(() => this._json(res, 400, { error: 'Invalid JSON' }));
+        return;
+      case 'POST /api/v1/reboot':
+      case 'POST /api/v1/wifi/wps':
+        this.actions.push(path);
+        res.writeHead(204);
+        res.end();
+        if (path === '/api/v1/reboot') this.dropStreams();
+        return;
+      default:
+        this._json(res, 404, { error: 'Not found' });
+    }
+  }
+
+  /**
+   * Checks Basic or Digest credentials against the configured password.
+   * @private
+   * @returns {boolean}
+   */
+  _isAuthorized(req) {
+    if (!this.password) return true;
+
+    const header = req.headers.authorization || '';
+    if (this.authScheme === 'basic') {
+      if (!header.startsWith('Basic ')) return false;
+      const decoded = Buffer.from(header.slice(6), 'base64').toString();
+      return decoded.slice(decoded.indexOf(':') + 1) === this.password;
+    }
+
+    if (!header.startsWith('Digest ')) return false;
+    const params = parseDigestParams(header.slice(7));
+    const ha1 = md5(`${params.username || ''}:${this._realm}:${this.password}`);
+    const ha2 = md5(`${req.method}:${params.uri}`);
+    const expected = params.qop
+      ? md5(`${ha1}:${params.nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`)
+      : md5(`${ha1}:${params.nonce}:${ha2}`);
+    return params.nonce === this._nonce && params.response === expected;
+  }
+
+  /**
+   * Sends a 401 with the configured authentication challenge.
+   * @private
+   */
+  _challenge(res) {
+    const realm = JSON.stringify(this._realm);
+    const challenge = this.authScheme === 'basic'
+      ? `Basic realm=${realm}`
+      : `Digest realm=${realm}, qop="${this._qop}", nonce="${this._nonce}", algorithm=MD5`;
+    res.writeHead(401, { 'WWW-Authenticate': challenge, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Unauthorized' }));
+  }
+
+  /**
+   * Opens an SSE response and registers it for live broadcasts.
+   * @private
+   */
+  _openStream(req, res) {
+    if (req.headers['last-event-id']) {
+      this.lastEventIds.push(req.headers['last-event-id']);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    this._streams.add(res);
+    req.on('close', () => this._streams.delete(res));
+  }
+
+  /**
+   * Sends the current live sample to all streams unless stalled.
+   * @private
+   */
+  _broadcastLive() {
+    if (this.stalled || this._streams.size === 0) return;
+    this.sendEvent('live', this.getScaledLiveData());
+  }
+
+  /**
+   * Writes raw SSE text to all streams unless stalled.
+   * @private
+   */
+  _write(text) {
+    if (this.stalled) return;
+    for (const res of this._streams) {
+      res.write(text);
+    }
+  }
+
+  /**
+   * Sends a JSON response.
+   * @private
+   */
+  _json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Reads and parses a JSON request body.
+   * @private
+   * @returns {Promise<Object>}
+   */
+  _readJson(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = WhatwattSimulator;
+module.exports.DEFAULT_LIVE_DATA = DEFAULT_LIVE_DATA;
@@ -0,0 +1,86 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { flattenVariables, parseVariableSelection, validateVariableSelection } = require('../lib/variables');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { waitFor } = require('./helpers/homey');
+const { createFixture } = require('./helpers/fixtures');
+
+describe('device variables', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  const startWithVariables = async (selection) => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator, {
+      settings: { variables_selected: selection, variables_interval: 0.05 },
+    });
+    await fixture.device._initVariables();
+    return fixture;
+  };
+
+  it('flattens list and object responses into dotted names', () => {
+    assert.deepEqual(flattenVariables([{ name: 'uptime', value: 12 }, { name: 'mode', value: 'auto' }, { value: 1 }]), { uptime: 12, mode: 'auto' });
+    assert.deepEqual(flattenVariables({ variables: { wifi: { rssi: -61, ips: null }, ok: true } }), { 'wifi.rssi': -61, ok: true });
+    assert.deepEqual(parseVariableSelection(' wifi.rssi,\nsystem.uptime, wifi.rssi ,'), ['wifi.rssi', 'system.uptime']);
+  });
+
+  it('rejects selections that do not give each variable its own ID', async () => {
+    assert.doesNotThrow(() => validateVariableSelection(['wifi.rssi', 'system.uptime']));
+    assert.throws(() => validateVariableSelection(['a.b', 'a_b']), /"a.b" and "a_b" cannot both be selected/);
+    assert.throws(() => validateVariableSelection(['%%']), /"%%" needs at least one letter or digit/);
+
+    const { device } = await startWithVariables('');
+    await assert.rejects(device.applySettings({ variables_selected: 'wifi.rssi, wifi_rssi' }), /cannot both be selected/);
+    assert.equal(device.getSetting('variables_selected'), '');
+  });
+
+  it('lists the available variables without polling when nothing is selected', async () => {
+    const { device, homey } = await startWithVariables('');
+
+    assert.equal(device.getSetting('variables_available'), 'system.uptime, wifi.rssi, wifi.ssid, meter.connected');
+    assert.equal(device.variablesPoller, null);
+    assert.equal(homey.flow.tokens.size, 0);
+  });
+
+  it('exposes selected variables as capabilities and Flow tokens and triggers on changes', async () => {
+    const { device, homey } = await startWithVariables('wifi.rssi, wifi.ssid, missing');
+
+    await waitFor(() => device.getCapabilityValue('measure_variable.wifi_rssi') === -61);
+    assert.ok(!device.hasCapability('measure_variable.wifi_ssid'));
+    await waitFor(() => homey.flow.tokens.size === 2);
+    const ssidToken = homey.flow.tokens.get(`variable_${simulator.deviceId}_wifi_ssid`);
+    assert.equal(ssidToken.type, 'string');
+    assert.equal(ssidToken.value, 'Home');
+
+    simulator.variables.wifi.rssi = -70;
+    const card = homey.flow.cards.get('variable_changed');
+    await waitFor(() => card.triggers.length > 0);
+    assert.deepEqual(card.triggers[0].tokens, { variable: 'wifi.rssi', value: '-70', previous: '-61' });
+    assert.deepEqual(card.triggers[0].state, { variable: 'wifi.rssi' });
+    assert.equal(await card.runListener({ variable: 'wifi.ssid' }, card.triggers[0].state), false);
+    assert.equal(await card.runListener({ variable: '' }, card.triggers[0].state), true);
+    assert.equal(device.getCapabilityValue('measure_variable.wifi_rssi'), -70);
+  });
+
+  it('removes capabilities and tokens of variables that are deselected', async () => {
+    const { device, homey } = await startWithVariables('wifi.rssi');
+    await waitFor(() => device.hasCapability('measure_variable.wifi_rssi') && homey.flow.tokens.size === 1);
+
+    await device.applySettings({ variables_selected: 'system.uptime' });
+
+    await waitFor(() => device.getCapabilityValue('measure_variable.system_uptime') === 1200);
+    assert.ok(!device.hasCapability('measure_variable.wifi_rssi'));
+    assert.deepEqual([...homey.flow.tokens.keys()], [`variable_${simulator.deviceId}_system_uptime`]);
+  });
+});
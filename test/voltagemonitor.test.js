@@ -0,0 +1,103 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const VoltageMonitor = require('../lib/voltagemonitor');
+const WhatwattSimulator = require('./simulator/whatwatt-simulator');
+const { createFixture } = require('./helpers/fixtures');
+
+const TIMEZONE = 'Europe/Amsterdam';
+const LIMITS = { low: 207, high: 253 };
+// 19 October 2026, 12:00 in Amsterdam
+const NOON = Date.UTC(2026, 9, 19, 10, 0);
+
+describe('VoltageMonitor', () => {
+  it('logs excursions with their duration and voltage range', () => {
+    const monitor = new VoltageMonitor({ timezone: TIMEZONE, limits: LIMITS });
+
+    assert.deepEqual(monitor.update([230, 231, 229], NOON), { started: [], ended: [] });
+    const { started } = monitor.update([230, 254, 205], NOON + 1000);
+    assert.deepEqual(started.map(({ phase, type }) => `${phase} ${type}`), ['2 over', '3 under']);
+
+    // Inside the limit by less than the hysteresis is still part of the excursion
+    monitor.update([230, 256.5, 206], NOON + 2000);
+    monitor.update([230, 252, 208], NOON + 3000);
+    assert.deepEqual(monitor.update([230, 250, 208], NOON + 4000).ended, [{
+      phase: 2, type: 'over', start: NOON + 1000, end: NOON + 4000, duration: 3000, min: 252, max: 256.5,
+    }]);
+    assert.equal(monitor.update([230, 250, 210], NOON + 5000).ended[0].phase, 3);
+
+    assert.deepEqual(monitor.getDailyStats(), [{
+      day: '2026-10-19', over: 1, under: 1, duration: 7000, min: 205, max: 256.5,
+    }]);
+  });
+
+  it('keeps a running excursion and the statistics across restarts', () => {
+    const monitor = new VoltageMonitor({ timezone: TIMEZONE, limits: LIMITS });
+    monitor.update([260], NOON);
+
+    const state = JSON.parse(JSON.stringify(monitor.getState()));
+    const restored = new VoltageMonitor({ timezone: TIMEZONE, limits: LIMITS, state });
+    assert.equal(restored.getActive()[0].type, 'over');
+
+    // The next day gets its own statistics
+    const { ended } = restored.update([240], NOON + 24 * 60 * 60 * 1000);
+    assert.equal(ended[0].max, 260);
+    assert.deepEqual(restored.getDailyStats().map(({ day, over }) => `${day} ${over}`), ['2026-10-19 1', '2026-10-20 0']);
+  });
+
+  it('ends an excursion at its last sample when data stops coming in', () => {
+    const monitor = new VoltageMonitor({ timezone: TIMEZONE, limits: LIMITS });
+    monitor.update([260], NOON);
+    monitor.update([261], NOON + 60000);
+
+    // A restart or stream outage of ten minutes does not count as excursion time
+    const state = JSON.parse(JSON.stringify(monitor.getState()));
+    const restored = new VoltageMonitor({ timezone: TIMEZONE, limits: LIMITS, state });
+    const { started, ended } = restored.update([262], NOON + 11 * 60000);
+
+    assert.deepEqual(ended, [{
+      phase: 1, type: 'over', start: NOON, end: NOON + 60000, duration: 60000, min: 260, max: 261,
+    }]);
+    assert.equal(started[0].start, NOON + 11 * 60000);
+    assert.equal(restored.getDailyStats()[0].duration, 60000);
+  });
+});
+
+describe('voltage quality on the device', () => {
+  let simulator;
+  let fixture;
+
+  afterEach(async () => {
+    await fixture?.teardown();
+    fixture = null;
+    await simulator?.stop();
+    simulator = null;
+  });
+
+  it('fires excursion triggers and summarizes them in settings', async () => {
+    simulator = new WhatwattSimulator();
+    await simulator.start();
+    fixture = await createFixture(simulator);
+    const { device, homey } = fixture;
+    device._initVoltageMonitor();
+
+    await device._onLiveData({ V_P1: 230, V_P2: 201.5 });
+    const startedCard = homey.flow.cards.get('voltage_excursion_started');
+    assert.deepEqual(startedCard.triggers[0].tokens, { phase: 2, voltage: 201.5 });
+    assert.equal(await startedCard.runListener({ type: 'under' }, startedCard.triggers[0].state), true);
+    assert.equal(await startedCard.runListener({ type: 'over' }, startedCard.triggers[0].state), false);
+
+    await device._onLiveData({ V_P1: 230, V_P2: 231 });
+    const endedCard = homey.flow.cards.get('voltage_excursion_ended');
+    assert.equal(endedCard.triggers[0].tokens.min, 201.5);
+
+    await device._updateDiagnostics();
+    assert.equal(device.getSetting('voltage_today'), '0 over, 1 under (0 s in total), 201.5-231 V');
+    assert.match(device.getSetting('voltage_last_event'), /^Under-voltage on phase 2 for 0 s, 201.5-201.5 V/);
+    assert.equal(device.getStoreValue('voltage_quality').events.length, 1);
+
+    await assert.rejects(device.applySettings({ voltage_low: 260 }), /lower voltage limit/);
+  });
+});